@@ -1,6 +1,8 @@
 import {
   minEnclosingCircle,
 } from "./utils/geometry.js";
+import { fitSimilarityTransform } from "./utils/procrustes.js";
+import { CANONICAL_FACE_VERTICES, CANONICAL_MODEL_UNIT_MM } from "./canonical-face-model.js";
 
 // ============================================================================
 // CONVERSION UTILITIES
@@ -23,20 +25,129 @@ function estimateCameraDistanceCm(diameterPx, focalLengthPx, irisDiameterMm = 11
   return (distanceX + distanceY) / 2;
 }
 
+/**
+ * Fuse several mm-per-pixel estimates into one weighted average.
+ * Entries with a non-finite value or non-positive weight are ignored.
+ * @param {{mmPerPx: number|null, weight: number}[]} estimates
+ * @returns {number|null} Fused mm per pixel
+ */
+function fuseMillimetersPerPixel(estimates) {
+  let sum = 0;
+  let weightSum = 0;
+  for (const { mmPerPx, weight } of estimates || []) {
+    if (!Number.isFinite(mmPerPx) || mmPerPx <= 0 || !(weight > 0)) continue;
+    sum += mmPerPx * weight;
+    weightSum += weight;
+  }
+  return weightSum > 0 ? sum / weightSum : null;
+}
+
+// ============================================================================
+// VERGENCE MODEL
+// ============================================================================
+
+/**
+ * PD while both eyes fixate a point straight ahead. Each eye rotates about its
+ * center of rotation towards the target, which swings the pupils inwards by
+ * r * sin(theta), with tan(theta) = (farPd / 2) / distance from the rotation
+ * centers to the target.
+ *
+ * @param {number} farPdMm - Distance PD (separation of the rotation centers)
+ * @param {number} fixationDistanceMm - Target distance from the pupil plane
+ * @param {number} rotationRadiusMm - Center of rotation to pupil
+ * @returns {number} Converged PD in mm
+ */
+function distanceToConvergedPd(farPdMm, fixationDistanceMm, rotationRadiusMm) {
+  const theta = Math.atan2(farPdMm / 2, fixationDistanceMm + rotationRadiusMm);
+  return farPdMm - 2 * rotationRadiusMm * Math.sin(theta);
+}
+
+/**
+ * Invert distanceToConvergedPd: recover the distance PD from a PD observed
+ * while fixating at a known distance (fixed-point iteration; the correction
+ * changes very little with farPd, so it converges in a few steps)
+ *
+ * @param {number} observedPdMm - PD measured while fixating the target
+ * @param {number} fixationDistanceMm - Target distance from the pupil plane
+ * @param {number} rotationRadiusMm - Center of rotation to pupil
+ * @returns {number} Distance PD in mm
+ */
+function convergedToDistancePd(observedPdMm, fixationDistanceMm, rotationRadiusMm) {
+  let farPd = observedPdMm;
+  for (let i = 0; i < 5; i++) {
+    farPd = observedPdMm + (farPd - distanceToConvergedPd(farPd, fixationDistanceMm, rotationRadiusMm));
+  }
+  return farPd;
+}
+
+/**
+ * Derive distance and near (reading) PD from a PD observed while looking at the camera
+ * @param {number} observedPdMm - PD measured in the image
+ * @param {Object|null} vergence - Vergence parameters (null = no correction)
+ * @param {number} vergence.cameraDistanceMm - Distance from the eyes to the camera
+ * @param {number} vergence.nearDistanceMm - Near working distance
+ * @param {number} vergence.rotationRadiusMm - Center of rotation to pupil
+ * @returns {{observed: number, near: number, far: number}} PD values in mm
+ */
+function applyVergenceModel(observedPdMm, vergence) {
+  const valid =
+    vergence &&
+    vergence.cameraDistanceMm > 0 &&
+    vergence.nearDistanceMm > 0 &&
+    vergence.rotationRadiusMm >= 0;
+  if (!valid) return { observed: observedPdMm, near: observedPdMm, far: observedPdMm };
+
+  const { cameraDistanceMm, nearDistanceMm, rotationRadiusMm } = vergence;
+  const far = convergedToDistancePd(observedPdMm, cameraDistanceMm, rotationRadiusMm);
+  return {
+    observed: observedPdMm,
+    near: distanceToConvergedPd(far, nearDistanceMm, rotationRadiusMm),
+    far,
+  };
+}
+
+/**
+ * Inward rotation of each eye while both fixate the camera (the angle of
+ * distanceToConvergedPd), i.e. the gaze a landmark gaze estimate reads when the
+ * user looks at the camera
+ *
+ * @param {number} observedPdMm - PD measured in the image
+ * @param {Object|null} vergence - Vergence parameters (see applyVergenceModel)
+ * @returns {number} Angle in degrees (0 without vergence parameters)
+ */
+function cameraFixationAngleDeg(observedPdMm, vergence) {
+  const valid =
+    vergence &&
+    vergence.cameraDistanceMm > 0 &&
+    vergence.rotationRadiusMm >= 0 &&
+    Number.isFinite(observedPdMm);
+  if (!valid) return 0;
+
+  const { cameraDistanceMm, rotationRadiusMm } = vergence;
+  const far = convergedToDistancePd(observedPdMm, cameraDistanceMm, rotationRadiusMm);
+  const theta = Math.atan2(far / 2, cameraDistanceMm + rotationRadiusMm);
+  return (theta * 180) / Math.PI;
+}
+
 // ============================================================================
 // POSE UTILITIES
 // ============================================================================
 
+/**
+ * Extract Euler angles from a MediaPipe facial transformation matrix.
+ * MediaPipe packs the 4x4 matrix in column-major order (the layout Three.js
+ * Matrix4.fromArray expects), so r_ij lives at data[j * 4 + i].
+ */
 function extractRotation(matrixData) {
-  if (!matrixData || matrixData.length < 9) return null;
+  if (!matrixData || matrixData.length < 11) return null;
   const r00 = matrixData[0];
-  const r01 = matrixData[1];
-  const r02 = matrixData[2];
-  const r10 = matrixData[4];
+  const r10 = matrixData[1];
+  const r20 = matrixData[2];
+  const r01 = matrixData[4];
   const r11 = matrixData[5];
-  const r12 = matrixData[6];
-  const r20 = matrixData[8];
-  const r21 = matrixData[9];
+  const r21 = matrixData[6];
+  const r02 = matrixData[8];
+  const r12 = matrixData[9];
   const r22 = matrixData[10];
 
   const sy = Math.sqrt(r00 * r00 + r10 * r10);
@@ -66,6 +177,129 @@ function extractRotation(matrixData) {
   };
 }
 
+/**
+ * Undo head rotation so landmarks look as if the face pointed at the camera.
+ *
+ * Landmarks are lifted into pixel space (z shares the x scale), rotated about
+ * their centroid by the inverse head rotation and returned normalized again,
+ * so the usual projection helpers can consume them unchanged. The rotation is
+ * expressed in MediaPipe's camera frame (y up, z towards the viewer), hence
+ * the y/z flips around it.
+ *
+ * @param {Array} landmarks - Normalized landmarks ({x, y, z})
+ * @param {number[][]} rotationMatrix - 3x3 rotation from extractRotation
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {Array|null} De-rotated normalized landmarks
+ */
+function derotateLandmarks(landmarks, rotationMatrix, canvasWidth, canvasHeight) {
+  if (!Array.isArray(landmarks) || !rotationMatrix || !canvasWidth || !canvasHeight) {
+    return null;
+  }
+
+  let cx = 0;
+  let cy = 0;
+  let cz = 0;
+  let count = 0;
+  for (const lm of landmarks) {
+    if (!lm) continue;
+    cx += lm.x * canvasWidth;
+    cy += lm.y * canvasHeight;
+    cz += (lm.z || 0) * canvasWidth;
+    count++;
+  }
+  if (!count) return null;
+  cx /= count;
+  cy /= count;
+  cz /= count;
+
+  const [[r00, r01, r02], [r10, r11, r12], [r20, r21, r22]] = rotationMatrix;
+
+  return landmarks.map((lm) => {
+    if (!lm) return lm;
+    // Image frame -> camera frame (flip y and z)
+    const px = lm.x * canvasWidth - cx;
+    const py = -(lm.y * canvasHeight - cy);
+    const pz = -((lm.z || 0) * canvasWidth - cz);
+
+    // Apply R^T (inverse rotation)
+    const qx = r00 * px + r10 * py + r20 * pz;
+    const qy = r01 * px + r11 * py + r21 * pz;
+    const qz = r02 * px + r12 * py + r22 * pz;
+
+    return {
+      ...lm,
+      x: (qx + cx) / canvasWidth,
+      y: (cy - qy) / canvasHeight,
+      z: (cz - qz) / canvasWidth,
+    };
+  });
+}
+
+// ============================================================================
+// CANONICAL MODEL FITTING
+// ============================================================================
+
+/**
+ * Fit the canonical face model to live landmarks with a similarity transform.
+ *
+ * Landmarks are lifted to pixel space in MediaPipe's camera frame (y up,
+ * z towards the viewer) so the recovered rotation matches the facial
+ * transformation matrix convention. A mirrored video reflects the face, which
+ * no rotation can undo, so the x-reflected model is tried as well and the
+ * better fit wins.
+ *
+ * @param {Array} landmarks - Normalized landmarks ({x, y, z})
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @param {number[]} [indices] - Rigid landmark subset to fit (defaults to all mesh points)
+ * @returns {{pxPerMm: number, mmPerPx: number, rotation: number[][], translation: Object,
+ *   rmsErrorMm: number, mirrored: boolean}|null}
+ */
+function fitCanonicalModel(landmarks, canvasWidth, canvasHeight, indices = null) {
+  if (!Array.isArray(landmarks) || !canvasWidth || !canvasHeight) return null;
+
+  const fitIndices = indices?.length
+    ? indices
+    : CANONICAL_FACE_VERTICES.map((_, idx) => idx);
+
+  const source = [];
+  const target = [];
+  for (const idx of fitIndices) {
+    const lm = landmarks[idx];
+    const vertex = CANONICAL_FACE_VERTICES[idx];
+    if (!lm || !vertex) continue;
+    source.push({
+      x: vertex[0] * CANONICAL_MODEL_UNIT_MM,
+      y: vertex[1] * CANONICAL_MODEL_UNIT_MM,
+      z: vertex[2] * CANONICAL_MODEL_UNIT_MM,
+    });
+    target.push({
+      x: lm.x * canvasWidth,
+      y: -lm.y * canvasHeight,
+      z: -(lm.z || 0) * canvasWidth,
+    });
+  }
+
+  const direct = fitSimilarityTransform(source, target);
+  const reflected = fitSimilarityTransform(
+    source.map((p) => ({ x: -p.x, y: p.y, z: p.z })),
+    target
+  );
+  const mirrored = !!reflected && (!direct || reflected.rmsError < direct.rmsError);
+  const fit = mirrored ? reflected : direct;
+  if (!fit) return null;
+
+  return {
+    pxPerMm: fit.scale,
+    mmPerPx: 1 / fit.scale,
+    rotation: fit.rotation,
+    translation: fit.translation,
+    rmsErrorMm: fit.rmsError / fit.scale,
+    mirrored,
+  };
+}
+
 // ============================================================================
 // PROJECTION UTILITIES
 // ============================================================================
@@ -332,24 +566,99 @@ function extractEyeSegment(landmarks, idxPair, canvasWidth, canvasHeight) {
 }
 
 /**
- * Build IPD measurement (optimized: Math.hypot instead of manual sqrt)
+ * Eye shape landmarks in pixels: the [inner, outer] canthi and the mid upper
+ * and lower eyelid points of one eye
+ * @returns {Object|null} inner, outer, upper and lower points or null
+ */
+function extractEyeShape(landmarks, cornerIdx, lidIdx, canvasWidth, canvasHeight) {
+  const indices = {
+    inner: cornerIdx?.[0],
+    outer: cornerIdx?.[1],
+    upper: lidIdx?.upper,
+    lower: lidIdx?.lower,
+  };
+  const shape = {};
+  for (const [key, idx] of Object.entries(indices)) {
+    const lm = landmarks?.[idx];
+    if (!lm) return null;
+    shape[key] = { x: lm.x * canvasWidth, y: lm.y * canvasHeight };
+  }
+  return shape;
+}
+
+/**
+ * Facial midline from a nose grid: the middle column of the bridge and pad
+ * rows (landmarks 168 and 6 with the default grid). Works on a grid of
+ * points or a grid of landmark indices.
+ * @returns {{top: *, bottom: *}|null} Midline ends or null
+ */
+function getNoseMidline(grid) {
+  const bridgeRow = grid?.bridgeRow;
+  const padRow = grid?.padRow;
+  if (!Array.isArray(bridgeRow) || !Array.isArray(padRow)) return null;
+
+  const top = bridgeRow[Math.floor(bridgeRow.length / 2)];
+  const bottom = padRow[Math.floor(padRow.length / 2)];
+  return top != null && bottom != null ? { top, bottom } : null;
+}
+
+/**
+ * Fraction of the pupil axis (left -> right) that lies left of the 2D midline,
+ * taken where the midline line crosses the axis
+ */
+function midlineSplitFraction(left, right, midline) {
+  const { top, bottom } = midline;
+  const ax = right.x - left.x;
+  const ay = right.y - left.y;
+  const mx = bottom.x - top.x;
+  const my = bottom.y - top.y;
+  const denom = ax * my - ay * mx;
+  if (Math.abs(denom) < 1e-9) return null;
+
+  const t = ((top.x - left.x) * my - (top.y - left.y) * mx) / denom;
+  return t > 0 && t < 1 ? t : null;
+}
+
+/**
+ * Add monocular PD (each pupil to the facial midline) to an IPD measurement.
+ * Each eye's vergence correction is proportional to its own offset from the
+ * midline, so the near/far values split in the same ratio as the observed one.
  */
-function buildIpdMeasurement(leftIris, rightIris, mmPerPx) {
+function withMonocularPd(ipd, fraction) {
+  if (!ipd || !Number.isFinite(fraction)) return ipd;
+  return {
+    ...ipd,
+    monoLeft: ipd.far * fraction,
+    monoRight: ipd.far * (1 - fraction),
+    monoLeftNear: ipd.near * fraction,
+    monoRightNear: ipd.near * (1 - fraction),
+  };
+}
+
+/**
+ * Build IPD measurement (optimized: Math.hypot instead of manual sqrt).
+ * The pupils converge on the camera, so the observed PD is converted to
+ * distance and near PD with the vergence model (see applyVergenceModel).
+ * With a nose midline the monocular PDs are added as well.
+ */
+function buildIpdMeasurement(leftIris, rightIris, mmPerPx, vergence = null, midline = null) {
   if (!leftIris || !rightIris || !Number.isFinite(mmPerPx)) return null;
 
   const dxPx = rightIris.center.x - leftIris.center.x;
   const dyPx = rightIris.center.y - leftIris.center.y;
   const pupilDistancePx = Math.hypot(dxPx, dyPx); // OPTIMIZED: Use Math.hypot
 
-  const near = pupilDistancePx * mmPerPx;
-  const far = near * 1.05;
+  const { observed, near, far } = applyVergenceModel(pupilDistancePx * mmPerPx, vergence);
 
-  return {
-    near,
-    far,
-    left: { x: leftIris.center.x, y: leftIris.center.y },
-    right: { x: rightIris.center.x, y: rightIris.center.y },
-  };
+  const left = { x: leftIris.center.x, y: leftIris.center.y };
+  const right = { x: rightIris.center.x, y: rightIris.center.y };
+  const fraction = midline ? midlineSplitFraction(left, right, midline) : null;
+  const center =
+    fraction == null
+      ? null
+      : { x: left.x + dxPx * fraction, y: left.y + dyPx * fraction };
+
+  return withMonocularPd({ observed, near, far, left, right, center }, fraction);
 }
 
 /**
@@ -385,6 +694,61 @@ function buildEyeWidthMeasurement(segment, mmPerPx) {
   };
 }
 
+/**
+ * Angle of the intercanthal line (through both inner canthi) in radians,
+ * in (-pi/2, pi/2] so it reads the same with the image mirrored or not.
+ * Canthal tilt and eye height are measured against this line, so head roll
+ * does not change them.
+ * @returns {number} Angle in radians (0 if either eye shape is missing)
+ */
+function computeIntercanthalAngle(leftShape, rightShape) {
+  if (!leftShape?.inner || !rightShape?.inner) return 0;
+  let angle = Math.atan2(
+    rightShape.inner.y - leftShape.inner.y,
+    rightShape.inner.x - leftShape.inner.x
+  );
+  if (angle > Math.PI / 2) angle -= Math.PI;
+  else if (angle <= -Math.PI / 2) angle += Math.PI;
+  return angle;
+}
+
+/**
+ * Build eye shape measurement: palpebral fissure length (canthus to
+ * canthus), eye height (eyelid gap perpendicular to the intercanthal line)
+ * and canthal tilt (outer canthus above the inner one is positive)
+ *
+ * @param {Object} shape - Eye shape points from extractEyeShape
+ * @param {number} mmPerPx - Millimeters per pixel
+ * @param {number} [axisAngle=0] - Intercanthal line angle in radians
+ * @returns {Object|null} fissureLengthMm, heightMm, canthalTiltDeg and the points
+ */
+function buildEyeShapeMeasurement(shape, mmPerPx, axisAngle = 0) {
+  if (!shape || !Number.isFinite(mmPerPx)) return null;
+  const { inner, outer, upper, lower } = shape;
+  const cos = Math.cos(axisAngle);
+  const sin = Math.sin(axisAngle);
+
+  // Vectors in the face frame (x along the intercanthal line, y down)
+  const toFaceFrame = (from, to) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos };
+  };
+  const fissure = toFaceFrame(inner, outer);
+  const lidGap = toFaceFrame(upper, lower);
+
+  const fissureLengthPx = Math.hypot(fissure.x, fissure.y);
+  if (!(fissureLengthPx > 0)) return null;
+
+  return {
+    fissureLengthMm: fissureLengthPx * mmPerPx,
+    heightMm: Math.abs(lidGap.y) * mmPerPx,
+    canthalTiltDeg: (Math.atan2(-fissure.y, Math.abs(fissure.x)) * 180) / Math.PI,
+    canthi: { inner, outer },
+    lids: { upper, lower },
+  };
+}
+
 /**
  * Compute iris measurement (optimized: reduced allocations)
  */
@@ -420,9 +784,17 @@ function computeIrisMeasurement(
   const distanceCm =
     typeof estimateDistanceFn === "function" ? estimateDistanceFn(diameter) : null;
 
+  // How far the boundary points stray from the circle (relative RMS)
+  let residualSq = 0;
+  for (let i = 0; i < 4; i++) {
+    const d = Math.hypot(irisPts[i].x - circle.center.x, irisPts[i].y - circle.center.y);
+    residualSq += ((d - circle.radius) / circle.radius) ** 2;
+  }
+
   return {
     distanceCm,
     diameterPx: diameter,
+    fitResidual: Math.sqrt(residualSq / 4),
     center: {
       x: circle.center.x,
       y: circle.center.y,
@@ -430,6 +802,952 @@ function computeIrisMeasurement(
   };
 }
 
+// ============================================================================
+// METRIC 3D MEASUREMENT BUILDERS
+// ============================================================================
+
+/**
+ * Reconstruct metric 3D landmark positions (mm) from normalized landmarks.
+ * Weak-perspective model: x/y are scaled to canvas pixels, z shares the x
+ * scale (MediaPipe convention), and everything is converted with the iris
+ * derived mm-per-pixel factor.
+ */
+function reconstructMetricLandmarks(landmarks, canvasWidth, canvasHeight, mmPerPx) {
+  if (!Array.isArray(landmarks) || !Number.isFinite(mmPerPx) || mmPerPx <= 0) return null;
+  return landmarks.map((lm) => {
+    if (!lm) return null;
+    return {
+      x: lm.x * canvasWidth * mmPerPx,
+      y: lm.y * canvasHeight * mmPerPx,
+      z: (lm.z || 0) * canvasWidth * mmPerPx,
+    };
+  });
+}
+
+function distance3D(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function angleAt3D(origin, a, b) {
+  const va = { x: a.x - origin.x, y: a.y - origin.y, z: a.z - origin.z };
+  const vb = { x: b.x - origin.x, y: b.y - origin.y, z: b.z - origin.z };
+  const magA = Math.hypot(va.x, va.y, va.z);
+  const magB = Math.hypot(vb.x, vb.y, vb.z);
+  if (!magA || !magB) return null;
+  const cosTheta = (va.x * vb.x + va.y * vb.y + va.z * vb.z) / (magA * magB);
+  return (Math.acos(Math.max(-1, Math.min(1, cosTheta))) * 180) / Math.PI;
+}
+
+function centroid3D(points) {
+  const valid = points.filter(Boolean);
+  if (!valid.length) return null;
+  const sum = valid.reduce(
+    (acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y, z: acc.z + p.z }),
+    { x: 0, y: 0, z: 0 }
+  );
+  return { x: sum.x / valid.length, y: sum.y / valid.length, z: sum.z / valid.length };
+}
+
+/**
+ * Euclidean span in mm between two landmark indices
+ */
+function buildSpanMeasurement3D(points3d, idxA, idxB) {
+  const a = points3d?.[idxA];
+  const b = points3d?.[idxB];
+  if (!a || !b) return null;
+  const valueMm = distance3D(a, b);
+  return Number.isFinite(valueMm) && valueMm > 0 ? { valueMm } : null;
+}
+
+/**
+ * Palpebral fissure length and eye height from the 3D canthus and eyelid
+ * landmarks (canthal tilt needs the image plane and stays 2D)
+ */
+function buildEyeShapeMeasurement3D(points3d, cornerIdx, lidIdx) {
+  const fissure = buildSpanMeasurement3D(points3d, cornerIdx?.[0], cornerIdx?.[1]);
+  const height = buildSpanMeasurement3D(points3d, lidIdx?.upper, lidIdx?.lower);
+  if (!fissure) return null;
+  return { fissureLengthMm: fissure.valueMm, heightMm: height?.valueMm ?? null };
+}
+
+/**
+ * Build IPD from the 3D pupil landmarks (same vergence handling as 2D).
+ * Monocular PD splits the span where the midline centroid projects onto it.
+ */
+function buildIpdMeasurement3D(
+  points3d,
+  leftPupilIdx,
+  rightPupilIdx,
+  vergence = null,
+  midlineIdx = null
+) {
+  const span = buildSpanMeasurement3D(points3d, leftPupilIdx, rightPupilIdx);
+  if (!span) return null;
+  const ipd = applyVergenceModel(span.valueMm, vergence);
+
+  const left = points3d[leftPupilIdx];
+  const right = points3d[rightPupilIdx];
+  const center = midlineIdx
+    ? centroid3D([points3d[midlineIdx.top], points3d[midlineIdx.bottom]])
+    : null;
+  if (!center) return ipd;
+
+  const fraction =
+    ((center.x - left.x) * (right.x - left.x) +
+      (center.y - left.y) * (right.y - left.y) +
+      (center.z - left.z) * (right.z - left.z)) /
+    (span.valueMm * span.valueMm);
+  return withMonocularPd(ipd, fraction > 0 && fraction < 1 ? fraction : null);
+}
+
+/**
+ * Compute nose metrics in 3D from the nose index grid.
+ * Mirrors computeNoseMetrics: row spans use the outermost landmarks of each
+ * row, pad height the distance between row centroids, and the pad/flare
+ * angles the same vertices, measured in space rather than in the image plane.
+ */
+function computeNoseMetrics3D(points3d, noseIndices) {
+  if (!points3d || !noseIndices) return null;
+
+  const rowsByName = Array.isArray(noseIndices) ? null : noseIndices;
+  const orderedRows = Array.isArray(noseIndices) ? noseIndices : Object.values(noseIndices);
+  const rowPoints = (row) => (Array.isArray(row) ? row.map((idx) => points3d[idx] || null) : []);
+
+  const bridge = rowPoints(rowsByName?.bridgeRow);
+  const pad = rowPoints(rowsByName?.padRow);
+  if (bridge.length < 2 || pad.length < 2) return null;
+
+  const rowSpan = (pts) => {
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    return first && last ? distance3D(first, last) : null;
+  };
+
+  const bridgeCenter = centroid3D(bridge);
+  const padCenter = centroid3D(pad);
+
+  // Pad angle: same grid walk as the 2D builder
+  const midColumn = Math.floor((orderedRows.find(Array.isArray)?.length || 0) / 2);
+  const gridPoint = (r, c) => {
+    const row = orderedRows[r];
+    return Array.isArray(row) && c >= 0 && c < row.length ? points3d[row[c]] || null : null;
+  };
+  const maxRow = Math.min(orderedRows.length - 1, 3);
+  let topMid = null;
+  let topMidRow = 0;
+  let bottomMid = null;
+  for (let r = 1; r <= maxRow; r++) {
+    const pt = gridPoint(r, midColumn);
+    if (!pt) continue;
+    if (!topMid) {
+      topMid = pt;
+      topMidRow = r;
+    }
+    bottomMid = pt;
+  }
+  let diagPoint = topMid;
+  for (let r = topMidRow + 1, c = midColumn + 1; topMid && r <= maxRow; r++, c++) {
+    const candidate = gridPoint(r, c);
+    if (!candidate) break;
+    diagPoint = candidate;
+  }
+
+  // Flare angle: pad row neighbours around the centre column
+  const padMid = Math.floor(pad.length / 2);
+  const flareCenter = pad[padMid];
+  const flareLeft = pad[padMid - 1];
+  const flareRight = pad[padMid + 1];
+
+  return {
+    bridgeWidthMm: rowSpan(bridge),
+    padSpanMm: rowSpan(pad),
+    padHeightMm: bridgeCenter && padCenter ? distance3D(bridgeCenter, padCenter) : null,
+    padAngleDeg:
+      topMid && bottomMid && diagPoint ? angleAt3D(topMid, bottomMid, diagPoint) : null,
+    flareAngleDeg:
+      flareCenter && flareLeft && flareRight
+        ? angleAt3D(flareCenter, flareLeft, flareRight)
+        : null,
+  };
+}
+
+// ============================================================================
+// FRAME QUALITY
+// ============================================================================
+
+/**
+ * Mean landmark displacement between two frames, relative to face size
+ * @param {Array|null} previous - Previous normalized landmarks
+ * @param {Array} current - Current normalized landmarks
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {number|null} Displacement as a fraction of the landmark bounding box width
+ */
+function computeLandmarkJitter(previous, current, canvasWidth, canvasHeight) {
+  if (!Array.isArray(previous) || !Array.isArray(current)) return null;
+  const n = Math.min(previous.length, current.length);
+  if (!n) return null;
+
+  let sum = 0;
+  let count = 0;
+  let minX = Infinity;
+  let maxX = -Infinity;
+  for (let i = 0; i < n; i++) {
+    const a = previous[i];
+    const b = current[i];
+    if (!a || !b) continue;
+    sum += Math.hypot((b.x - a.x) * canvasWidth, (b.y - a.y) * canvasHeight);
+    count++;
+    minX = Math.min(minX, b.x);
+    maxX = Math.max(maxX, b.x);
+  }
+  const faceWidthPx = (maxX - minX) * canvasWidth;
+  return count && faceWidthPx > 0 ? sum / count / faceWidthPx : null;
+}
+
+/**
+ * Read a blendshape score from FaceLandmarker output
+ * @param {{categories: {categoryName: string, score: number}[]}|null} blendshapes
+ * @param {string} name - Category name (e.g. "eyeBlinkLeft")
+ * @returns {number|null} Score (0-1) or null if unavailable
+ */
+function readBlendshapeScore(blendshapes, name) {
+  const category = blendshapes?.categories?.find((c) => c.categoryName === name);
+  return Number.isFinite(category?.score) ? category.score : null;
+}
+
+/**
+ * Linear ramp: 1 at or below `good`, 0 at or above `bad`
+ */
+function rampDown(value, good, bad) {
+  if (value <= good) return 1;
+  if (value >= bad) return 0;
+  return (bad - value) / (bad - good);
+}
+
+/**
+ * Score how trustworthy a frame is for measurement.
+ * Each available factor maps to 0-1 and the overall score is their weighted
+ * geometric mean, so a single failing factor (e.g. closed eyes) sinks the frame.
+ *
+ * @param {Object} factors - Per-frame observations (null entries are skipped)
+ * @param {{yaw: number, pitch: number, roll: number}|null} factors.pose - Head pose in degrees
+ * @param {number|null} factors.irisResidual - Iris circle fit residual (relative RMS)
+ * @param {number|null} factors.distanceCm - Camera distance
+ * @param {number|null} factors.jitter - Landmark jitter (fraction of face width)
+ * @param {number|null} factors.blink - Eye blink blendshape (max of both eyes)
+ * @param {Object} config - Quality configuration (CAMERA_CONFIG.quality)
+ * @returns {{score: number|null, components: Object}} Overall score and per-factor scores
+ */
+function computeFrameQuality(factors, config) {
+  const components = {};
+
+  if (factors.pose) {
+    const ratio = Math.max(
+      Math.abs(factors.pose.yaw) / config.maxYawDeg,
+      Math.abs(factors.pose.pitch) / config.maxPitchDeg,
+      Math.abs(factors.pose.roll) / config.maxRollDeg
+    );
+    components.pose = Math.max(0, 1 - ratio);
+  }
+  if (Number.isFinite(factors.irisResidual)) {
+    components.iris = rampDown(factors.irisResidual, 0, config.maxIrisResidual);
+  }
+  if (Number.isFinite(factors.distanceCm)) {
+    const { min, max } = config.distanceRangeCm;
+    const outside = Math.max(min - factors.distanceCm, factors.distanceCm - max, 0);
+    components.distance = rampDown(outside, 0, config.distanceFalloffCm);
+  }
+  if (Number.isFinite(factors.jitter)) {
+    components.jitter = rampDown(factors.jitter, 0, config.maxJitter);
+  }
+  if (Number.isFinite(factors.blink)) {
+    components.eyes = rampDown(factors.blink, config.blink.open, config.blink.closed);
+  }
+
+  let logSum = 0;
+  let weightSum = 0;
+  for (const [name, value] of Object.entries(components)) {
+    const weight = config.weights?.[name] ?? 1;
+    if (!(weight > 0)) continue;
+    logSum += weight * Math.log(Math.max(value, 1e-6));
+    weightSum += weight;
+  }
+
+  return {
+    score: weightSum ? Math.exp(logSum / weightSum) : null,
+    components,
+  };
+}
+
+// ============================================================================
+// GAZE ESTIMATION
+// ============================================================================
+
+/**
+ * Raw gaze signals for one eye: the pupil offset from the middle of the eye
+ * corners (normalized by half the eye width) and the eyeLook* blendshapes.
+ * Offsets are positive towards the outer corner and upwards.
+ *
+ * @param {Array} landmarks - Face landmarks (normalized)
+ * @param {number} pupilIdx - Pupil center landmark index
+ * @param {number[]} cornerIdx - [inner, outer] eye corner landmark indices
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object|null} blendshapes - Face blendshapes ({categories})
+ * @param {string} side - Blendshape suffix for this eye ("Left" or "Right")
+ * @returns {Object|null} {offset: {h, v}, look: {h, v}|null, axis: {out, up}}
+ */
+function measureGazeSignals(
+  landmarks,
+  pupilIdx,
+  cornerIdx,
+  canvasWidth,
+  canvasHeight,
+  blendshapes,
+  side
+) {
+  const pupil = landmarks?.[pupilIdx];
+  const inner = landmarks?.[cornerIdx?.[0]];
+  const outer = landmarks?.[cornerIdx?.[1]];
+  if (!pupil || !inner || !outer) return null;
+
+  const ix = inner.x * canvasWidth;
+  const iy = inner.y * canvasHeight;
+  const ox = outer.x * canvasWidth;
+  const oy = outer.y * canvasHeight;
+  const halfWidth = Math.hypot(ox - ix, oy - iy) / 2;
+  if (!(halfWidth > 0)) return null;
+
+  const out = { x: (ox - ix) / (2 * halfWidth), y: (oy - iy) / (2 * halfWidth) };
+  // Perpendicular to the eye axis, pointing up the image (negative y)
+  const up = out.x >= 0 ? { x: out.y, y: -out.x } : { x: -out.y, y: out.x };
+
+  const dx = pupil.x * canvasWidth - (ix + ox) / 2;
+  const dy = pupil.y * canvasHeight - (iy + oy) / 2;
+
+  const score = (name) => readBlendshapeScore(blendshapes, `${name}${side}`);
+  const lookIn = score("eyeLookIn");
+  const lookOut = score("eyeLookOut");
+  const lookUp = score("eyeLookUp");
+  const lookDown = score("eyeLookDown");
+  const look =
+    lookIn == null || lookOut == null || lookUp == null || lookDown == null
+      ? null
+      : { h: lookOut - lookIn, v: lookUp - lookDown };
+
+  return {
+    offset: {
+      h: (dx * out.x + dy * out.y) / halfWidth,
+      v: (dx * up.x + dy * up.y) / halfWidth,
+    },
+    look,
+    axis: { out, up },
+  };
+}
+
+/**
+ * Gaze angles of one eye from its raw signals: the landmark offset and the
+ * blendshapes each map linearly to an angle and are blended by weight.
+ *
+ * @param {Object|null} signals - Output of measureGazeSignals
+ * @param {Object} config - Gaze configuration (CAMERA_CONFIG.gaze)
+ * @returns {{yawDeg: number, pitchDeg: number}|null} Angles (outwards/upwards positive)
+ */
+function estimateGazeAngles(signals, config) {
+  if (!signals) return null;
+
+  const estimates = [
+    { weight: config.landmarkWeight, range: config.landmarkRangeDeg, value: signals.offset },
+    { weight: config.blendshapeWeight, range: config.blendshapeRangeDeg, value: signals.look },
+  ].filter((e) => e.value && e.weight > 0);
+  if (!estimates.length) return null;
+
+  const weightSum = estimates.reduce((sum, e) => sum + e.weight, 0);
+  const blend = (axis) =>
+    estimates.reduce((sum, e) => sum + e.weight * e.range * e.value[axis], 0) / weightSum;
+
+  return { yawDeg: blend("h"), pitchDeg: blend("v") };
+}
+
+/**
+ * Move a pupil center back to primary gaze. A rotation of the eye by angle a
+ * about its center of rotation displaces the pupil by r * sin(a) in the image.
+ *
+ * @param {Object} iris - Iris measurement ({center, ...})
+ * @param {Object} signals - Output of measureGazeSignals (for the eye axes)
+ * @param {{yawDeg: number, pitchDeg: number}} angles - Gaze angles
+ * @param {number} mmPerPx - Millimeters per pixel
+ * @param {number} rotationRadiusMm - Eye center of rotation to pupil
+ * @returns {Object} Iris measurement with the corrected center
+ */
+function correctPupilForGaze(iris, signals, angles, mmPerPx, rotationRadiusMm) {
+  if (!iris?.center || !signals || !angles || !(mmPerPx > 0)) return iris;
+
+  const toRad = Math.PI / 180;
+  const hPx = (rotationRadiusMm * Math.sin(angles.yawDeg * toRad)) / mmPerPx;
+  const vPx = (rotationRadiusMm * Math.sin(angles.pitchDeg * toRad)) / mmPerPx;
+  const { out, up } = signals.axis;
+
+  return {
+    ...iris,
+    center: {
+      x: iris.center.x - out.x * hPx - up.x * vPx,
+      y: iris.center.y - out.y * hPx - up.y * vPx,
+    },
+  };
+}
+
+// ============================================================================
+// EYE OPENNESS
+// ============================================================================
+
+/**
+ * Eyelid aperture of one eye: the gap between the mid upper and lower lid
+ * landmarks as a fraction of the corner-to-corner eye width (~0.3 open,
+ * under ~0.1 closed)
+ *
+ * @param {Array} landmarks - Face landmarks (normalized)
+ * @param {{upper: number, lower: number}} lidIdx - Mid eyelid landmark indices
+ * @param {number[]} cornerIdx - Eye corner landmark indices
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {number|null} Aperture ratio or null
+ */
+function computeEyeAperture(landmarks, lidIdx, cornerIdx, canvasWidth, canvasHeight) {
+  const upper = landmarks?.[lidIdx?.upper];
+  const lower = landmarks?.[lidIdx?.lower];
+  const a = landmarks?.[cornerIdx?.[0]];
+  const b = landmarks?.[cornerIdx?.[1]];
+  if (!upper || !lower || !a || !b) return null;
+
+  const width = Math.hypot((b.x - a.x) * canvasWidth, (b.y - a.y) * canvasHeight);
+  if (!(width > 0)) return null;
+  const gap = Math.hypot(
+    (lower.x - upper.x) * canvasWidth,
+    (lower.y - upper.y) * canvasHeight
+  );
+  return gap / width;
+}
+
+/**
+ * Whether an eye is too closed to measure its iris: blinking or squinting
+ * by the blendshapes, or a narrow eyelid aperture
+ *
+ * @param {{blink: number|null, squint: number|null, aperture: number|null}} openness
+ *   - Blendshape scores and eyelid aperture (null entries are skipped)
+ * @param {Object} config - Eye closure configuration (CAMERA_CONFIG.eyeClosure)
+ * @returns {boolean} True if closed or squinting
+ */
+function isEyeClosed(openness, config) {
+  if (!openness) return false;
+  const { blink, squint, aperture } = openness;
+  return (
+    (Number.isFinite(blink) && blink >= config.blinkThreshold) ||
+    (Number.isFinite(squint) && squint >= config.squintThreshold) ||
+    (Number.isFinite(aperture) && aperture < config.minAperture)
+  );
+}
+
+// ============================================================================
+// FRAME FITTING
+// ============================================================================
+
+/**
+ * Segment (fitting) height of a frame placed on the nose: the pads rest on
+ * the nose pad row, the lenses sit bridgeWidthMm apart about its center, and
+ * each eye's height runs from the pupil down to the lens bottom, measured
+ * perpendicular to the pupil line (head roll does not change it)
+ *
+ * @param {{left: Object, right: Object}} pupils - Pupil centers in pixels
+ * @param {Object} padRow - Nose pad row ({left, right, midY}, from computeNoseMetrics rows.pad)
+ * @param {Object} frame - Frame model (lensWidthMm, lensHeightMm, bridgeWidthMm, bridgeOffsetMm)
+ * @param {number} mmPerPx - Millimeters per pixel
+ * @returns {Object|null} leftMm, rightMm, the rails (pupil to lens bottom) and
+ *   lens outlines in pixels, or null
+ */
+function buildSegmentHeightMeasurement(pupils, padRow, frame, mmPerPx) {
+  const { left, right } = pupils || {};
+  if (!left || !right || !padRow?.left || !padRow?.right || !frame) return null;
+  if (!Number.isFinite(mmPerPx) || mmPerPx <= 0) return null;
+
+  // Face axes: u along the pupil line, v perpendicular to it, pointing down
+  const length = Math.hypot(right.x - left.x, right.y - left.y);
+  if (!(length > 0)) return null;
+  const sign = right.x >= left.x ? 1 : -1;
+  const u = { x: (sign * (right.x - left.x)) / length, y: (sign * (right.y - left.y)) / length };
+  const v = { x: -u.y, y: u.x };
+
+  const padCenter = { x: (padRow.left.x + padRow.right.x) / 2, y: padRow.midY };
+  const topPx = -frame.bridgeOffsetMm / mmPerPx;
+  const bottomPx = (frame.lensHeightMm - frame.bridgeOffsetMm) / mmPerPx;
+  const innerPx = frame.bridgeWidthMm / 2 / mmPerPx;
+  const outerPx = innerPx + frame.lensWidthMm / mmPerPx;
+  const at = (along, down) => ({
+    x: padCenter.x + u.x * along + v.x * down,
+    y: padCenter.y + u.y * along + v.y * down,
+  });
+
+  const buildSide = (pupil) => {
+    const dx = padCenter.x - pupil.x;
+    const dy = padCenter.y - pupil.y;
+    const heightPx = dx * v.x + dy * v.y + bottomPx;
+    const side = dx * u.x + dy * u.y > 0 ? -1 : 1;
+    return {
+      valueMm: heightPx * mmPerPx,
+      rail: {
+        pupil,
+        lensBottom: { x: pupil.x + v.x * heightPx, y: pupil.y + v.y * heightPx },
+      },
+      lens: [
+        at(side * innerPx, topPx),
+        at(side * outerPx, topPx),
+        at(side * outerPx, bottomPx),
+        at(side * innerPx, bottomPx),
+      ],
+    };
+  };
+  const leftSide = buildSide(left);
+  const rightSide = buildSide(right);
+
+  return {
+    frameId: frame.id,
+    frameName: frame.name,
+    leftMm: leftSide.valueMm,
+    rightMm: rightSide.valueMm,
+    rails: { left: leftSide.rail, right: rightSide.rail },
+    lenses: { left: leftSide.lens, right: rightSide.lens },
+  };
+}
+
+// ============================================================================
+// HEAD SIZE
+// ============================================================================
+
+/**
+ * Depth (mm) from the most anterior forehead point back to the face width
+ * landmarks, from metric 3D landmarks of a frontal (de-rotated) face
+ *
+ * @param {Array} points3d - Metric 3D landmarks (reconstructMetricLandmarks)
+ * @param {number[]} foreheadIdx - Forehead landmark indices
+ * @param {number[]} sideIdx - Face width landmark indices (e.g., 127 and 356)
+ * @returns {number|null} Depth in mm or null
+ */
+function measureHeadDepthMm(points3d, foreheadIdx, sideIdx) {
+  const front = (foreheadIdx || []).map((i) => points3d?.[i]).filter(Boolean);
+  const sides = (sideIdx || []).map((i) => points3d?.[i]).filter(Boolean);
+  if (!front.length || sides.length !== sideIdx.length) return null;
+
+  // MediaPipe z decreases toward the camera
+  const frontZ = Math.min(...front.map((p) => p.z));
+  const sideZ = sides.reduce((sum, p) => sum + p.z, 0) / sides.length;
+  const depth = sideZ - frontZ;
+  return Number.isFinite(depth) ? depth : null;
+}
+
+/**
+ * Perimeter of an ellipse (Ramanujan's approximation)
+ */
+function ellipsePerimeter(a, b) {
+  return Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)));
+}
+
+/**
+ * Estimate head breadth, length and circumference with anthropometric
+ * regressions: breadth from the face width, length from the forehead-to-ear
+ * depth (or the cephalic index when the depth is missing or implausible),
+ * circumference as a scaled ellipse perimeter. The band propagates the
+ * regression errors to the circumference.
+ *
+ * @param {{faceWidthMm: number, depthMm: number|null}} inputs - Face width and head depth
+ * @param {Object} config - Head size configuration (HEAD_SIZE_CONFIG)
+ * @returns {Object|null} breadthMm, lengthMm, circumferenceMm, circumferenceLowMm,
+ *   circumferenceHighMm and lengthSource ("depth" or "index"), or null
+ */
+function estimateHeadSize({ faceWidthMm, depthMm }, config) {
+  if (!Number.isFinite(faceWidthMm) || faceWidthMm <= 0) return null;
+
+  const { breadth, length, depthRangeMm } = config;
+  const breadthMm = breadth.intercept + breadth.slope * faceWidthMm;
+
+  const depthUsable =
+    Number.isFinite(depthMm) && depthMm >= depthRangeMm.min && depthMm <= depthRangeMm.max;
+  const lengthMm = depthUsable
+    ? length.intercept + length.slope * depthMm
+    : breadthMm / config.cephalicIndex;
+  const lengthSdMm = depthUsable ? length.sdMm : config.indexLengthSdMm;
+
+  const circumference = (l, b) => config.circumferenceScale * ellipsePerimeter(l / 2, b / 2);
+  const circumferenceMm = circumference(lengthMm, breadthMm);
+
+  // First-order error propagation of the independent length and breadth errors
+  const dL = circumference(lengthMm + 1, breadthMm) - circumferenceMm;
+  const dB = circumference(lengthMm, breadthMm + 1) - circumferenceMm;
+  const sdMm = Math.hypot(dL * lengthSdMm, dB * breadth.sdMm);
+  const halfBand = (config.confidenceZ ?? 1.96) * sdMm;
+
+  return {
+    breadthMm,
+    lengthMm,
+    circumferenceMm,
+    circumferenceLowMm: circumferenceMm - halfBand,
+    circumferenceHighMm: circumferenceMm + halfBand,
+    lengthSource: depthUsable ? "depth" : "index",
+  };
+}
+
+/**
+ * Hat sizes for a head circumference: EU is the circumference in cm, US
+ * fitted sizes are the circumference in inches over pi in 1/8 steps, and
+ * UK sizes run 1/8 below US
+ *
+ * @param {number} circumferenceMm - Head circumference in mm
+ * @returns {{us: number, uk: number, eu: number}|null} Hat sizes or null
+ */
+function computeHatSizes(circumferenceMm) {
+  if (!Number.isFinite(circumferenceMm) || circumferenceMm <= 0) return null;
+  const us = Math.round((circumferenceMm / 25.4 / Math.PI) * 8) / 8;
+  return {
+    us,
+    uk: us - 1 / 8,
+    eu: Math.round(circumferenceMm / 10),
+  };
+}
+
+// ============================================================================
+// FACE SHAPE
+// ============================================================================
+
+const FACE_SPANS = ["forehead", "cheekbone", "jaw", "length"];
+
+/**
+ * Project the face silhouette: contour points and the width/length spans
+ *
+ * @param {Array} landmarks - Normalized landmarks
+ * @param {Object} outlineIdx - Contour indices and forehead, cheekbone, jaw and length pairs
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {{contour: Object[], spans: Object}|null} Contour points and spans
+ *   ({start, end} per span) in pixels, or null
+ */
+function extractFaceOutline(landmarks, outlineIdx, canvasWidth, canvasHeight) {
+  if (!landmarks || !outlineIdx) return null;
+  const project = (idx) => projectLandmark(landmarks, idx, canvasWidth, canvasHeight);
+
+  const spans = {};
+  for (const key of FACE_SPANS) {
+    const [a, b] = outlineIdx[key] || [];
+    const start = project(a);
+    const end = project(b);
+    if (!start || !end) return null;
+    spans[key] = { start, end };
+  }
+
+  return {
+    contour: (outlineIdx.contour || []).map(project).filter(Boolean),
+    spans,
+  };
+}
+
+/**
+ * Face width and length spans in mm and their ratios to the cheekbone width
+ *
+ * @param {{contour: Object[], spans: Object}} outline - Face outline (extractFaceOutline)
+ * @param {number} mmPerPx - Millimeters per pixel
+ * @returns {Object|null} foreheadWidthMm, cheekboneWidthMm, jawWidthMm, faceLengthMm,
+ *   lengthRatio, foreheadRatio, jawRatio, with the contour and spans for drawing
+ */
+function buildFaceShapeMeasurement(outline, mmPerPx) {
+  if (!outline?.spans || !Number.isFinite(mmPerPx)) return null;
+
+  const spanMm = (key) => {
+    const { start, end } = outline.spans[key];
+    return Math.hypot(end.x - start.x, end.y - start.y) * mmPerPx;
+  };
+  const cheekboneWidthMm = spanMm("cheekbone");
+  if (!(cheekboneWidthMm > 0)) return null;
+
+  const foreheadWidthMm = spanMm("forehead");
+  const jawWidthMm = spanMm("jaw");
+  const faceLengthMm = spanMm("length");
+
+  return {
+    foreheadWidthMm,
+    cheekboneWidthMm,
+    jawWidthMm,
+    faceLengthMm,
+    lengthRatio: faceLengthMm / cheekboneWidthMm,
+    foreheadRatio: foreheadWidthMm / cheekboneWidthMm,
+    jawRatio: jawWidthMm / cheekboneWidthMm,
+    contour: outline.contour,
+    spans: outline.spans,
+  };
+}
+
+/**
+ * Classify the face shape as the nearest prototype in ratio space. Scores
+ * are softmax weights of the spread-scaled distances.
+ *
+ * @param {{lengthRatio: number, foreheadRatio: number, jawRatio: number}} ratios - Face ratios
+ * @param {Object} config - Face shape configuration (FACE_SHAPE_CONFIG)
+ * @returns {{shape: string, confidence: number, scores: Object<string, number>}|null}
+ *   Best shape, its score (0-1) and the score of every shape, or null
+ */
+function classifyFaceShape(ratios, config) {
+  const keys = Object.keys(config.spread);
+  if (!ratios || !keys.every((key) => Number.isFinite(ratios[key]))) return null;
+
+  const distances = Object.entries(config.prototypes).map(([shape, prototype]) => {
+    const d2 = keys.reduce(
+      (sum, key) => sum + ((ratios[key] - prototype[key]) / config.spread[key]) ** 2,
+      0
+    );
+    return [shape, d2];
+  });
+  if (!distances.length) return null;
+
+  const best = Math.min(...distances.map(([, d2]) => d2));
+  const weights = distances.map(([shape, d2]) => [shape, Math.exp(-(d2 - best) / 2)]);
+  const total = weights.reduce((sum, [, w]) => sum + w, 0);
+  const scores = Object.fromEntries(weights.map(([shape, w]) => [shape, w / total]));
+  const [shape] = distances.find(([, d2]) => d2 === best);
+
+  return { shape, confidence: scores[shape], scores };
+}
+
+// ============================================================================
+// FACIAL SYMMETRY
+// ============================================================================
+
+/**
+ * Fit the facial midline plane x = a*y + b*z + c (least squares) to metric
+ * 3D landmarks of a frontal (de-rotated) face. Without enough depth spread
+ * the plane is taken parallel to z.
+ *
+ * @param {Array} points3d - Metric 3D landmarks (reconstructMetricLandmarks)
+ * @param {number[]} midlineIdx - Midline landmark indices
+ * @returns {{normal: {x: number, y: number, z: number}, offset: number}|null}
+ *   Unit normal (pointing to +x) and offset (normal . p = offset on the plane)
+ */
+function fitMidlinePlane(points3d, midlineIdx) {
+  const points = (midlineIdx || []).map((i) => points3d?.[i]).filter(Boolean);
+  if (points.length < 3) return null;
+
+  const n = points.length;
+  const mean = centroid3D(points);
+  let syy = 0;
+  let syz = 0;
+  let szz = 0;
+  let sxy = 0;
+  let sxz = 0;
+  for (const p of points) {
+    const dx = p.x - mean.x;
+    const dy = p.y - mean.y;
+    const dz = p.z - mean.z;
+    syy += dy * dy;
+    syz += dy * dz;
+    szz += dz * dz;
+    sxy += dx * dy;
+    sxz += dx * dz;
+  }
+  if (!(syy > 0)) return null;
+
+  // Centered normal equations; fall back to x = a*y + c when z is degenerate
+  const det = syy * szz - syz * syz;
+  const wellPosed = det > 1e-6 * syy * szz * n && szz / n > 1;
+  const a = wellPosed ? (sxy * szz - sxz * syz) / det : sxy / syy;
+  const b = wellPosed ? (sxz * syy - sxy * syz) / det : 0;
+  const c = mean.x - a * mean.y - b * mean.z;
+
+  const norm = Math.hypot(1, a, b);
+  return { normal: { x: 1 / norm, y: -a / norm, z: -b / norm }, offset: c / norm };
+}
+
+/**
+ * Mirror a 3D point across a plane
+ */
+function mirrorAcrossPlane(p, plane) {
+  const { normal, offset } = plane;
+  const dist = normal.x * p.x + normal.y * p.y + normal.z * p.z - offset;
+  return {
+    x: p.x - 2 * dist * normal.x,
+    y: p.y - 2 * dist * normal.y,
+    z: p.z - 2 * dist * normal.z,
+  };
+}
+
+/**
+ * Left/right symmetry per region: each left landmark is mirrored across the
+ * midline plane and compared with its right counterpart.
+ *
+ * @param {Array} points3d - Metric 3D landmarks, frontal (mm)
+ * @param {Array} landmarks - Display landmarks (normalized) for the drawing geometry
+ * @param {number[]} midlineIdx - Midline landmark indices (plane fit)
+ * @param {Object<string, Array<[number, number]>>} regions - [left, right] pairs per region
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {Object|null} overallMm (mean pair deviation), regions ({deviationMm,
+ *   lateralMm: left minus right distance to the midline, verticalMm: positive when
+ *   the left side is higher} per region), pairs ({region, left, right, deviationMm}
+ *   with display points) and midline (display points), or null
+ */
+function buildSymmetryMeasurement(
+  points3d,
+  landmarks,
+  midlineIdx,
+  regions,
+  canvasWidth,
+  canvasHeight
+) {
+  const plane = fitMidlinePlane(points3d, midlineIdx);
+  if (!plane) return null;
+
+  // Down direction within the midline plane
+  const { normal, offset } = plane;
+  const downLen = Math.hypot(normal.x, normal.z);
+  const down = {
+    x: (-normal.y * normal.x) / downLen,
+    y: downLen,
+    z: (-normal.y * normal.z) / downLen,
+  };
+  const side = (p) => Math.abs(normal.x * p.x + normal.y * p.y + normal.z * p.z - offset);
+  const project = (idx) => projectLandmark(landmarks, idx, canvasWidth, canvasHeight);
+
+  const pairs = [];
+  const regionResults = {};
+  for (const [region, regionPairs] of Object.entries(regions || {})) {
+    const measured = [];
+    for (const [leftIdx, rightIdx] of regionPairs) {
+      const left = points3d?.[leftIdx];
+      const right = points3d?.[rightIdx];
+      if (!left || !right) continue;
+      const deviationMm = distance3D(mirrorAcrossPlane(left, plane), right);
+      const rise = {
+        x: right.x - left.x,
+        y: right.y - left.y,
+        z: right.z - left.z,
+      };
+      measured.push({
+        deviationMm,
+        lateralMm: side(left) - side(right),
+        verticalMm: rise.x * down.x + rise.y * down.y + rise.z * down.z,
+      });
+      pairs.push({ region, left: project(leftIdx), right: project(rightIdx), deviationMm });
+    }
+    if (!measured.length) continue;
+    const mean = (key) => measured.reduce((sum, m) => sum + m[key], 0) / measured.length;
+    regionResults[region] = {
+      deviationMm: mean("deviationMm"),
+      lateralMm: mean("lateralMm"),
+      verticalMm: mean("verticalMm"),
+    };
+  }
+  if (!pairs.length) return null;
+
+  return {
+    overallMm: pairs.reduce((sum, p) => sum + p.deviationMm, 0) / pairs.length,
+    regions: regionResults,
+    pairs,
+    midline: midlineIdx.map(project).filter(Boolean),
+  };
+}
+
+// ============================================================================
+// MEASUREMENT REGISTRY
+// ============================================================================
+
+/**
+ * Pixel geometry of a registry measurement type
+ * @type {Object<string, function(Object[]): ({px: number}|{deg: number})|null>}
+ */
+const REGISTRY_GEOMETRY = {
+  distance: ([a, b]) => ({ px: Math.hypot(b.x - a.x, b.y - a.y) }),
+
+  angle: ([a, vertex, b]) => {
+    const deg = calculateAngleDeg(
+      { x: a.x - vertex.x, y: a.y - vertex.y },
+      { x: b.x - vertex.x, y: b.y - vertex.y }
+    );
+    return Number.isFinite(deg) ? { deg } : null;
+  },
+
+  // Extent along the first-to-last axis; start/end are the extremes on that axis
+  "row-span": (points) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const len = Math.hypot(last.x - first.x, last.y - first.y);
+    if (!len) return null;
+    const axis = { x: (last.x - first.x) / len, y: (last.y - first.y) / len };
+    const along = points.map((p) => (p.x - first.x) * axis.x + (p.y - first.y) * axis.y);
+    const min = Math.min(...along);
+    const max = Math.max(...along);
+    return {
+      px: max - min,
+      start: { x: first.x + axis.x * min, y: first.y + axis.y * min },
+      end: { x: first.x + axis.x * max, y: first.y + axis.y * max },
+    };
+  },
+
+  polyline: (points) => ({
+    px: points
+      .slice(1)
+      .reduce((sum, p, i) => sum + Math.hypot(p.x - points[i].x, p.y - points[i].y), 0),
+  }),
+};
+
+const UNIT_PER_MM = { mm: 1, cm: 0.1 };
+
+/**
+ * Project the landmarks of each registry definition
+ *
+ * @param {Array} landmarks - Normalized landmarks
+ * @param {Object[]} definitions - Registry definitions (HEAD_CONFIG.measurements)
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {Object<string, Object[]>} Points per definition id (missing ids
+ *   when a landmark is unavailable)
+ */
+function extractRegistryPoints(landmarks, definitions, canvasWidth, canvasHeight) {
+  const result = {};
+  if (!landmarks) return result;
+  for (const { id, landmarks: indices } of definitions || []) {
+    const points = (indices || []).map((idx) =>
+      projectLandmark(landmarks, idx, canvasWidth, canvasHeight)
+    );
+    if (points.length && points.every(Boolean)) result[id] = points;
+  }
+  return result;
+}
+
+/**
+ * Measure one registry definition from its projected points
+ *
+ * @param {Object} definition - Registry definition ({id, label, type, landmarks, unit})
+ * @param {Object[]|null} points - Projected points of its landmarks
+ * @param {number} mmPerPx - Millimeters per pixel
+ * @returns {Object|null} label, type, unit, value (in the unit) and points, plus
+ *   start/end for row spans, or null
+ */
+function buildRegistryMeasurement(definition, points, mmPerPx) {
+  const geometry = REGISTRY_GEOMETRY[definition?.type];
+  if (!geometry || !points?.length || !Number.isFinite(mmPerPx)) return null;
+
+  const measured = geometry(points);
+  if (!measured) return null;
+  const { px, deg, ...anchors } = measured;
+  const value = deg ?? px * mmPerPx * (UNIT_PER_MM[definition.unit] ?? 1);
+  if (!Number.isFinite(value)) return null;
+
+  return {
+    label: definition.label ?? definition.id,
+    type: definition.type,
+    unit: definition.unit,
+    value,
+    points,
+    ...anchors,
+  };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -438,10 +1756,40 @@ export const ConversionUtils = {
   pixelsPerMillimeter,
   millimetersPerPixel,
   estimateCameraDistanceCm,
+  fuseMillimetersPerPixel,
+};
+
+export const VergenceUtils = {
+  distanceToConvergedPd,
+  convergedToDistancePd,
+  applyVergenceModel,
+  cameraFixationAngleDeg,
 };
 
 export const PoseUtils = {
   extractRotation,
+  derotateLandmarks,
+};
+
+export const QualityUtils = {
+  computeLandmarkJitter,
+  readBlendshapeScore,
+  computeFrameQuality,
+};
+
+export const EyeOpennessUtils = {
+  computeEyeAperture,
+  isEyeClosed,
+};
+
+export const GazeUtils = {
+  measureGazeSignals,
+  estimateGazeAngles,
+  correctPupilForGaze,
+};
+
+export const ModelFitUtils = {
+  fitCanonicalModel,
 };
 
 export const ProjectionUtils = {
@@ -453,8 +1801,48 @@ export const ProjectionUtils = {
 export const MeasurementBuilders = {
   computeNoseMetrics,
   extractEyeSegment,
+  extractEyeShape,
+  getNoseMidline,
   buildIpdMeasurement,
   buildFaceWidthMeasurement,
   buildEyeWidthMeasurement,
+  computeIntercanthalAngle,
+  buildEyeShapeMeasurement,
   computeIrisMeasurement,
 };
+
+export const FrameFitUtils = {
+  buildSegmentHeightMeasurement,
+};
+
+export const HeadSizeUtils = {
+  measureHeadDepthMm,
+  estimateHeadSize,
+  computeHatSizes,
+};
+
+export const FaceShapeUtils = {
+  extractFaceOutline,
+  buildFaceShapeMeasurement,
+  classifyFaceShape,
+};
+
+export const SymmetryUtils = {
+  fitMidlinePlane,
+  mirrorAcrossPlane,
+  buildSymmetryMeasurement,
+};
+
+export const RegistryUtils = {
+  extractRegistryPoints,
+  buildRegistryMeasurement,
+};
+
+export const MetricBuilders = {
+  reconstructMetricLandmarks,
+  distance3D,
+  buildSpanMeasurement3D,
+  buildEyeShapeMeasurement3D,
+  buildIpdMeasurement3D,
+  computeNoseMetrics3D,
+};
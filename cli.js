@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Headless CLI - measurement reports from landmark files, without a browser
+ * @module cli
+ *
+ * Runs recorded landmark files (see utils/landmark-recording) or MediaPipe
+ * FaceLandmarker result dumps through the same pipeline as the app and prints
+ * one report per file as JSON or CSV.
+ *
+ *   node cli.js [options] <file|directory>...
+ */
+
+import { readFile, readdir, stat } from "node:fs/promises";
+import { join, extname } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  CAMERA_CONFIG,
+  HEAD_CONFIG,
+  HEAD_SIZE_CONFIG,
+  FACE_SHAPE_CONFIG,
+  SYMMETRY_CONFIG,
+  FRAME_CONFIG,
+  VIDEO_FILE_CONFIG,
+  validateConfig,
+} from "./config.js";
+import { FaceTrackManager } from "./core/face-track-manager.js";
+import { VideoAnalysisManager } from "./core/video-analysis-manager.js";
+import {
+  applyRecordingEvent,
+  guessFocalLengthPx,
+  processFaceResults,
+} from "./core/measurement-pipeline.js";
+import { parseLandmarkFile } from "./utils/landmark-recording.js";
+
+const USAGE = `Usage: node cli.js [options] <file|directory>...
+
+Measures recorded landmark files (.ndjson/.json from the app's Record button)
+and MediaPipe FaceLandmarker result dumps (.json). Directories are searched
+recursively.
+
+Options:
+  --format <json|csv>  Report format (default json)
+  --timeline           Include the per-frame timeline (JSON only)
+  --width <px>         Image width of result dumps (default ${CAMERA_CONFIG.videoSize.width})
+  --height <px>        Image height of result dumps (default ${CAMERA_CONFIG.videoSize.height})
+  --fps <n>            Frame rate of result dumps without timestamps (default ${VIDEO_FILE_CONFIG.frameRate})
+  --mirror             Mirror the landmarks of result dumps
+  -h, --help           Show this help`;
+
+const LANDMARK_FILE_EXTENSIONS = [".json", ".ndjson"];
+
+const CSV_COLUMNS = [
+  "file",
+  "face",
+  "frameCount",
+  "complete",
+  "metric",
+  "label",
+  "unit",
+  "median",
+  "q1",
+  "q3",
+  "ciLow",
+  "ciHigh",
+  "count",
+  "rejected",
+];
+
+/**
+ * Find the landmark files under the given paths
+ * @param {string[]} paths - Files or directories
+ * @returns {Promise<string[]>} File paths (directory contents sorted)
+ */
+async function collectFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    if (!(await stat(path)).isDirectory()) {
+      files.push(path);
+      continue;
+    }
+    const entries = await readdir(path, { recursive: true, withFileTypes: true });
+    entries
+      .filter((entry) => entry.isFile() && LANDMARK_FILE_EXTENSIONS.includes(extname(entry.name)))
+      .map((entry) => join(entry.parentPath ?? entry.path, entry.name))
+      .sort()
+      .forEach((file) => files.push(file));
+  }
+  return files;
+}
+
+/**
+ * Measure one landmark file
+ * @param {string} file - File path
+ * @param {Object} dumpOptions - How dumped results were captured (parseLandmarkFile)
+ * @param {boolean} includeTimeline - Keep the per-frame timeline in the report
+ * @returns {Promise<Object>} Report: file, durationMs, frameCount and the
+ *   aggregated result per face (as in video file analysis)
+ */
+async function measureFile(file, dumpOptions, includeTimeline) {
+  const { header, frames, events } = parseLandmarkFile(await readFile(file, "utf8"), dumpOptions);
+  if (!frames.length) throw new Error("No frames");
+
+  // Fresh tracks per file, set up like a replay in the app
+  const faces = new FaceTrackManager(CAMERA_CONFIG, HEAD_CONFIG, {
+    headSize: HEAD_SIZE_CONFIG,
+    faceShape: FACE_SHAPE_CONFIG,
+    symmetry: SYMMETRY_CONFIG,
+  });
+  faces.setSessionIrisDiameterMm(header.irisDiameterMm);
+  faces.setFrame(FRAME_CONFIG.models.find((model) => model.id === header.frameId) || null);
+
+  const startMs = frames[0].timestampMs;
+  const analysis = new VideoAnalysisManager({
+    ...VIDEO_FILE_CONFIG,
+    frameRate: dumpOptions.frameRate,
+  });
+  analysis.start(file, frames[frames.length - 1].timestampMs - startMs);
+
+  try {
+    let nextEvent = 0;
+    for (const [index, frame] of frames.entries()) {
+      while (nextEvent < events.length && events[nextEvent].frameIndex <= index) {
+        applyRecordingEvent(faces, events[nextEvent++], FRAME_CONFIG.models);
+      }
+      const tracks = processFaceResults(faces, frame.faceResults, frame.timestampMs, frame, {
+        irisDiameterMm: CAMERA_CONFIG.irisDiameterMm,
+      });
+      analysis.recordFrame(frame.timestampMs - startMs, tracks);
+    }
+  } finally {
+    faces.clear();
+  }
+
+  const { durationMs, frameCount, timeline, faces: faceResults } = analysis.finish();
+  return {
+    file,
+    durationMs,
+    frameCount,
+    faces: faceResults,
+    ...(includeTimeline ? { timeline } : {}),
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV rows of a report: one per face and summarized metric (failed files get
+ * one row with the error in the label column)
+ * @param {Object} report - measureFile report, or {file, error}
+ * @returns {string[]} CSV lines
+ */
+function toCsvRows(report) {
+  if (report.error) {
+    const row = { file: report.file, label: report.error };
+    return [CSV_COLUMNS.map((column) => toCsvField(row[column])).join(",")];
+  }
+  const rows = [];
+  for (const [id, face] of Object.entries(report.faces)) {
+    for (const [metric, summary] of Object.entries(face.metrics)) {
+      if (!summary) continue;
+      const row = {
+        ...summary,
+        file: report.file,
+        face: id,
+        frameCount: face.frameCount,
+        complete: face.complete,
+        metric,
+      };
+      rows.push(CSV_COLUMNS.map((column) => toCsvField(row[column])).join(","));
+    }
+  }
+  return rows;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string", default: "json" },
+      timeline: { type: "boolean", default: false },
+      width: { type: "string" },
+      height: { type: "string" },
+      fps: { type: "string" },
+      mirror: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!positionals.length) {
+    console.error(USAGE);
+    return 2;
+  }
+  if (values.format !== "json" && values.format !== "csv") {
+    throw new Error(`Unknown format "${values.format}" (json or csv)`);
+  }
+
+  const width = Number(values.width ?? CAMERA_CONFIG.videoSize.width);
+  const height = Number(values.height ?? CAMERA_CONFIG.videoSize.height);
+  const frameRate = Number(values.fps ?? VIDEO_FILE_CONFIG.frameRate);
+  if (!(width > 0) || !(height > 0) || !(frameRate > 0)) {
+    throw new Error("--width, --height and --fps must be positive numbers");
+  }
+  const dumpOptions = {
+    videoSize: { width, height },
+    focalLengthPx: guessFocalLengthPx(CAMERA_CONFIG, width, height),
+    frameRate,
+    mirror: values.mirror,
+  };
+
+  const files = await collectFiles(positionals);
+  const reports = [];
+  for (const file of files) {
+    try {
+      reports.push(await measureFile(file, dumpOptions, values.timeline));
+    } catch (error) {
+      reports.push({ file, error: error.message });
+    }
+  }
+
+  if (values.format === "csv") {
+    const lines = [CSV_COLUMNS.join(","), ...reports.flatMap(toCsvRows)];
+    process.stdout.write(`${lines.join("\n")}\n`);
+  } else {
+    process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  }
+  return reports.some((report) => report.error) ? 1 : 0;
+}
+
+validateConfig();
+
+main().then(
+  (exitCode) => {
+    process.exitCode = exitCode;
+  },
+  (error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 2;
+  }
+);
@@ -30,6 +30,7 @@ export const CAMERA_CONFIG = {
   // MediaPipe version
   mediaPipeVersion: "0.10.0",
   runningMode: "VIDEO",
+  imageRunningMode: "IMAGE", // Uploaded photos use a separate landmarker
 
   // Video resolution
   videoSize: {
@@ -52,7 +53,7 @@ export const CAMERA_CONFIG = {
   // Physical measurements
   irisDiameterMm: 11.7,    // Average human iris diameter in millimeters
 
-  // Focal length calculation
+  // Focal length guess (video pixels), used until the camera intrinsics are calibrated
   defaultNorm: { x: 0.8, y: 1.4 },
   focalLengthScale() {
     return {
@@ -62,12 +63,99 @@ export const CAMERA_CONFIG = {
   },
 
   // Distance estimation
-  distanceSmoothing: 0.18,           // Exponential smoothing factor (0-1)
   distanceVisibilityTimeout: 1200,   // Hide distance after ms of inactivity
 
-  // Iris measurement stabilization (reduces jitter in measurements)
-  irisSmoothing: 0.3,               // Exponential smoothing for iris diameter (0.1-0.3 recommended)
-  irisStabilizationThreshold: 1,   // Ignore changes smaller than this many pixels
+  // Temporal filters, one per signal ("oneEuro", "kalman" or "none").
+  // One Euro: minCutoff (Hz at rest), beta (cutoff gain per unit/s), dCutoff (Hz).
+  // Kalman (constant velocity): processNoise (units²/s³), measurementNoise (units²).
+  filters: {
+    landmarks: { type: "oneEuro", minCutoff: 1.5, beta: 10, dCutoff: 1 },      // Normalized coordinates
+    irisDiameter: { type: "kalman", processNoise: 20, measurementNoise: 0.5 }, // Pixels
+    distance: { type: "oneEuro", minCutoff: 0.5, beta: 0.05, dCutoff: 1 },     // Centimeters
+    measurements: { type: "oneEuro", minCutoff: 0.8, beta: 0.02, dCutoff: 1 }, // mm and degrees
+  },
+
+  // Faces to detect and measure at once (each gets its own overlays and cards)
+  numFaces: 1,
+  faceTracking: {
+    maxMatchDistance: 0.2,  // Largest centroid jump per frame (normalized units) to keep a face ID
+    maxMissedFrames: 30,    // Frames a face may be missing before its ID is dropped
+  },
+
+  // Head pose compensation (de-rotate landmarks using the facial transformation matrix)
+  poseCompensation: true,
+
+  // Measurement mode: "2d" (projected pixel distances), "3d" (Euclidean distances
+  // between metric 3D landmarks) or "compare" (2D values with a 3D comparison card)
+  measurementMode: "2d",
+
+  // Scale fusion: combine the iris reference with the canonical face model fit
+  scaleFusion: {
+    enabled: true,
+    irisWeight: 0.6,      // Weight of the iris-derived mm/px
+    modelWeight: 0.4,     // Weight of the canonical model fit mm/px
+    maxFitRmsMm: 3,       // Ignore model fits with a larger RMS residual
+  },
+
+  // Vergence model: the eyes converge on the camera, so the observed PD is
+  // converted to distance (far) PD and to PD at a near working distance
+  vergence: {
+    enabled: true,
+    rotationRadiusMm: 10.5,     // Eye center of rotation to pupil (~13.5 mm behind the cornea)
+    nearWorkingDistanceCm: 40,  // Near PD working distance (reading)
+    fallbackDistanceCm: 50,     // Camera distance to assume until one is estimated
+  },
+
+  // Eye closure: while either eye is blinking or squinting, the iris is held
+  // at its last open value and IPD / eye widths keep their last values
+  eyeClosure: {
+    enabled: true,
+    blinkThreshold: 0.5,   // eyeBlink* blendshape score
+    squintThreshold: 0.7,  // eyeSquint* blendshape score
+    minAperture: 0.12,     // Eyelid gap / eye width
+  },
+
+  // Gaze compensation: pupils are moved back to primary gaze (looking into the
+  // lens) before IPD is measured. Each eye's angle blends the pupil offset from
+  // its corners with the eyeLook* blendshapes.
+  gaze: {
+    enabled: true,
+    landmarkRangeDeg: 40,    // Angle when the pupil sits at an eye corner
+    blendshapeRangeDeg: 30,  // Angle at eyeLook* = 1
+    landmarkWeight: 1,
+    blendshapeWeight: 1,
+    maxOffAxisDeg: 10,       // Warn above this
+  },
+
+  // Frame quality: frames scoring below minScore are left out of iris smoothing,
+  // measurement updates and capture sessions
+  quality: {
+    enabled: true,
+    minScore: 0.6,
+    maxYawDeg: 30,           // Pose score reaches 0 at these angles
+    maxPitchDeg: 25,
+    maxRollDeg: 20,
+    maxIrisResidual: 0.12,   // Iris points vs fitted circle (relative RMS)
+    distanceRangeCm: {       // Full score inside this camera distance range
+      min: 30,
+      max: 80,
+    },
+    distanceFalloffCm: 20,   // Score reaches 0 this far outside the range
+    maxJitter: 0.02,         // Landmark motion per frame (fraction of face width)
+    blink: {                 // eyeBlink blendshape: full score below open, 0 above closed
+      open: 0.35,
+      closed: 0.65,
+    },
+    weights: { pose: 1, iris: 1, distance: 1, jitter: 1, eyes: 1 },
+  },
+
+  // Capture session: aggregate several seconds of measurements into a final result
+  capture: {
+    durationMs: 5000,        // Collection time
+    minSamples: 30,          // Frames needed for a complete result
+    outlierIqrFactor: 1.5,   // Reject samples beyond this many IQRs outside the quartiles
+    confidenceZ: 1.96,       // Median confidence interval (1.96 = 95%)
+  },
 };
 
 // ============================================================================
@@ -103,17 +191,256 @@ export const HEAD_CONFIG = {
     right: [464, 265],  // Right eye corners
   },
 
+  // Forehead landmarks (hairline center and brow tops)
+  foreheadIdx: {
+    top: 10,
+    browLeft: 105,
+    browRight: 334,
+  },
+
+  // Rigid landmarks used to fit canonical_face_model.obj (forehead, temples,
+  // cheekbones, eye corners, nose) - expressive regions are left out
+  canonicalFitIdx: [
+    10, 151, 9, 8, 168, 6, 197, 195, 5, 4,         // Midline: forehead to nose tip
+    67, 297, 109, 338, 54, 284, 103, 332,           // Forehead and temples
+    127, 356, 234, 454, 116, 345, 123, 352,         // Face edges and cheekbones
+    50, 280, 101, 330,                              // Cheeks
+    33, 263, 133, 362,                              // Eye corners
+    193, 417, 122, 351, 196, 419, 3, 248, 51, 281,  // Nose sides
+  ],
+
   // Iris and pupil landmarks for IPD and distance
   iris: {
     left: {
       iris: [474, 475, 476, 477],  // Left iris boundary points
       pupil: 473,                   // Left pupil center
+      corners: [362, 263],          // Same eye's [inner, outer] corners (gaze, eye shape)
+      blendshapeSide: "Left",       // Blendshape suffix (eyeLook*, eyeBlink*, eyeSquint*)
+      lids: { upper: 386, lower: 374 }, // Mid eyelid points (eye aperture and height)
     },
     right: {
       iris: [469, 470, 471, 472],  // Right iris boundary points
       pupil: 468,                   // Right pupil center
+      corners: [133, 33],           // Same eye's [inner, outer] corners (gaze, eye shape)
+      blendshapeSide: "Right",      // Blendshape suffix (eyeLook*, eyeBlink*, eyeSquint*)
+      lids: { upper: 159, lower: 145 }, // Mid eyelid points (eye aperture and height)
     },
   },
+
+  // Face silhouette (face shape): oval contour from the top of the forehead
+  // around the right side of the image, and the width/length spans
+  faceOutline: {
+    contour: [
+      10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288,
+      397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136,
+      172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109,
+    ],
+    forehead: [54, 284],   // Temples at brow height
+    cheekbone: [234, 454], // Widest points of the face
+    jaw: [172, 397],       // Jaw angles
+    length: [10, 152],     // Top of the mesh (below the hairline) to chin
+  },
+
+  // Declarative measurements: picked up by the head tracker, measurement state,
+  // metrics panel ("Measurements" card), capture sessions and overlays.
+  //   type: "distance"  - [a, b]
+  //         "angle"     - [a, vertex, b]
+  //         "row-span"  - extent of a landmark row along its first-to-last axis
+  //         "polyline"  - length along the landmarks in order
+  //   unit: "mm" | "cm" (distance types), "deg" (angle)
+  // None by default; see "Adding New Measurements" in the README for examples.
+  measurements: [],
+};
+
+/**
+ * Head size estimation. Only the face is visible, so breadth and length come
+ * from anthropometric regressions on the face width (landmarks 127/356) and
+ * the depth from the forehead back to those landmarks (metric 3D landmarks).
+ */
+export const HEAD_SIZE_CONFIG = {
+  enabled: true,
+  foreheadIdx: [9, 151, 10],   // Glabella, mid and upper forehead (most anterior is used)
+
+  // Head breadth = intercept + slope * face width (sdMm: regression error)
+  breadth: { slope: 0.9, intercept: 20, sdMm: 5 },
+  // Head length = intercept + slope * forehead-to-127/356 depth
+  length: { slope: 2.0, intercept: 42, sdMm: 7 },
+  depthRangeMm: { min: 50, max: 110 }, // Plausible depth; otherwise the cephalic index is used
+
+  cephalicIndex: 0.8,          // Breadth / length without a usable depth
+  indexLengthSdMm: 10,         // Length error when estimated from the cephalic index
+  circumferenceScale: 1.03,    // Tape circumference / ellipse perimeter
+  confidenceZ: 1.96,           // Confidence band width (1.96 = 95%)
+};
+
+/**
+ * Face shape classification. Each shape is a prototype in ratio space (face
+ * length, forehead width and jaw width over the cheekbone width, measured on
+ * the face mesh, which stops below the hairline); the face gets the nearest
+ * prototype, with spread scaling each ratio's distance.
+ */
+export const FACE_SHAPE_CONFIG = {
+  enabled: true,
+  prototypes: {
+    oval: { lengthRatio: 1.15, foreheadRatio: 0.82, jawRatio: 0.77 },
+    round: { lengthRatio: 1.02, foreheadRatio: 0.82, jawRatio: 0.8 },
+    square: { lengthRatio: 1.04, foreheadRatio: 0.87, jawRatio: 0.88 },
+    heart: { lengthRatio: 1.12, foreheadRatio: 0.9, jawRatio: 0.7 },
+    oblong: { lengthRatio: 1.3, foreheadRatio: 0.84, jawRatio: 0.82 },
+    diamond: { lengthRatio: 1.14, foreheadRatio: 0.74, jawRatio: 0.72 },
+  },
+  spread: { lengthRatio: 0.06, foreheadRatio: 0.04, jawRatio: 0.04 },
+};
+
+/**
+ * Facial symmetry. The midline plane is fitted to the forehead landmarks and
+ * the center column of the nose grid (metric 3D, frontal); each region lists
+ * [left, right] landmark pairs (the subject's left first, as in
+ * HEAD_CONFIG.iris) whose left point is mirrored onto the right side.
+ */
+export const SYMMETRY_CONFIG = {
+  enabled: true,
+  foreheadIdx: [10, 151],
+  regions: {
+    eyes: [[362, 133], [263, 33], [386, 159], [374, 145], [473, 468]],
+    brows: [[336, 107], [296, 66], [334, 105], [293, 63], [300, 70]],
+    nose: [[351, 122], [412, 188], [281, 51], [360, 131], [275, 45], [440, 220]],
+    mouth: [[291, 61], [267, 37], [314, 84]],
+  },
+};
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+/**
+ * Reference card calibration (ISO/IEC 7810 ID-1 card held against the forehead)
+ */
+export const CALIBRATION_CONFIG = {
+  card: {
+    widthMm: 85.6,
+    heightMm: 53.98,
+    aspectTolerance: 0.12,     // Allowed relative aspect ratio error
+    minFaceWidthRatio: 0.4,    // Card width limits relative to face width (127-356)
+    maxFaceWidthRatio: 0.9,
+    depthOffsetMm: 8,          // Card plane in front of the iris plane
+  },
+
+  // Search region, in multiples of face width
+  roi: {
+    marginX: 0.05,
+    heightAboveBrows: 0.7,
+    heightBelowBrows: 0.1,
+  },
+
+  sampleCount: 30,             // Samples to collect before finishing
+  minSamples: 10,              // Minimum samples to accept a result on timeout
+  minConfidence: 0.35,         // Minimum card detection confidence (0-1)
+  timeoutMs: 20000,            // Give up after this long
+
+  // Plausible adult iris diameters
+  irisRangeMm: {
+    min: 9.5,
+    max: 13.5,
+  },
+};
+
+/**
+ * Camera intrinsics calibration (checkerboard, printed or shown on screen and
+ * photographed via a mirror). The square size does not affect the result.
+ */
+export const INTRINSICS_CONFIG = {
+  board: {
+    innerCols: 9,              // Inner corners per row (10 squares)
+    innerRows: 6,              // Inner corners per column (7 squares)
+  },
+
+  downsample: 2,               // Detect corners on a 1/N resolution frame
+  frameInterval: 3,            // Only search every Nth frame
+  viewCount: 10,               // Board views to collect before solving
+  minViewChange: 0.06,         // Mean corner movement between views (fraction of width)
+  maxReprojectionErrorPx: 2,   // Reject solutions with a larger RMS error
+  timeoutMs: 90000,            // Give up after this long
+
+  // Plausible focal lengths as a fraction of image width (~25-110 degree HFOV)
+  focalRange: {
+    min: 0.35,
+    max: 2.5,
+  },
+
+  storageKeyPrefix: "headSize.intrinsics.",
+};
+
+/**
+ * Frame models for the segment (fitting) height. The frame is placed with its
+ * pads on the nose pad row and its lenses bridgeWidthMm apart; the segment
+ * height runs from each pupil down to the lens bottom.
+ */
+export const FRAME_CONFIG = {
+  selected: null,              // Frame model ID shown at startup (null = none)
+
+  // lensWidthMm / lensHeightMm: lens box (A / B), bridgeWidthMm: distance
+  // between lenses (DBL), bridgeOffsetMm: lens top above the pad rest line
+  models: [
+    { id: "rect-52-18", name: "Rectangle 52□18", lensWidthMm: 52, lensHeightMm: 36, bridgeWidthMm: 18, bridgeOffsetMm: 21 },
+    { id: "narrow-50-17", name: "Narrow 50□17", lensWidthMm: 50, lensHeightMm: 30, bridgeWidthMm: 17, bridgeOffsetMm: 17 },
+    { id: "round-48-21", name: "Round 48□21", lensWidthMm: 48, lensHeightMm: 44, bridgeWidthMm: 21, bridgeOffsetMm: 26 },
+    { id: "aviator-58-14", name: "Aviator 58□14", lensWidthMm: 58, lensHeightMm: 50, bridgeWidthMm: 14, bridgeOffsetMm: 30 },
+  ],
+};
+
+/**
+ * Frame size recommendation: targets derived from the measurements, with
+ * good / acceptable tolerance bands per dimension, matched against a local
+ * JSON catalog (data/frames.json)
+ */
+export const RECOMMENDER_CONFIG = {
+  enabled: true,
+  catalogUrl: "data/frames.json",
+  maxResults: 3,               // Matches shown in the Frames card
+
+  totalWidthRatio: 0.93,       // Frame total width / face width
+  bridgeRatio: 0.7,            // Bridge size (DBL) / nose width at the pad row
+  endpieceMm: 6,               // Hinge/endpiece width on each side of the lenses
+  decentrationMm: 4,           // Frame PD (lens width + bridge) over the far PD
+
+  // Temple length by face width (first class whose maxFaceWidthMm is not exceeded)
+  templeClasses: [
+    { label: "S", lengthMm: 135, maxFaceWidthMm: 140 },
+    { label: "M", lengthMm: 140, maxFaceWidthMm: 150 },
+    { label: "L", lengthMm: 145, maxFaceWidthMm: 160 },
+    { label: "XL", lengthMm: 150, maxFaceWidthMm: Infinity },
+  ],
+
+  // Deviation from the target (mm) still rated good / acceptable
+  tolerances: {
+    lensWidth: { good: 2, ok: 4 },
+    bridge: { good: 1.5, ok: 3 },
+    templeLength: { good: 2.5, ok: 5 },
+    totalWidth: { good: 3, ok: 6 },
+  },
+
+  // Dimension weights in the match score
+  weights: {
+    lensWidth: 1,
+    bridge: 1,
+    templeLength: 0.5,
+    totalWidth: 1.5,
+  },
+};
+
+// ============================================================================
+// VIDEO FILE ANALYSIS
+// ============================================================================
+
+/**
+ * Frame-by-frame analysis of a recorded video file (played in place of the
+ * camera). Frames are visited by seeking, so none are skipped however slow
+ * the models are; the summaries use CAMERA_CONFIG.capture.
+ */
+export const VIDEO_FILE_CONFIG = {
+  frameRate: 30,               // Frames analyzed per second of video
+  minFrames: 30,               // Usable frames per face for a complete result
 };
 
 // ============================================================================
@@ -133,21 +460,52 @@ export const COLOR_CONFIG = {
     flareAngle: "#FF6AD5",  // Pink - flare angle
   },
 
+  // Calibration card outline
+  calibrationCard: "#FFD166",
+
   // Eye measurement colors
   eyeWidths: {
     left: "#FFFFFF",   // White - left eye
     right: "#FFFFFF",  // White - right eye
   },
 
+  // Eye shape colors
+  eyeShape: {
+    fissure: "#B8E0FF",  // Light blue - palpebral fissure and canthal tilt
+    height: "#FFC9A3",   // Peach - eye height
+  },
+
   // IPD (Interpupillary Distance) colors
   ipd: {
     near: "#FFFFFF",   // White - near IPD
     far: "#A0FFE6",    // Light cyan - far IPD
+    mono: "#FFE08A",   // Light amber - monocular PD half-rails
   },
 
   // Face measurement color
   faceWidth: "#FFFFFF",  // White - face width
 
+  // Face shape contour and width spans
+  faceShape: {
+    contour: "rgba(255, 214, 102, 0.7)",  // Amber - silhouette
+    spans: "#FFD666",                     // Amber - forehead, cheekbone, jaw and length lines
+  },
+
+  // Symmetry heatmap (low to high deviation) and midline
+  symmetry: {
+    ramp: ["#3DDC97", "#FFD166", "#FF4D4D"],  // Green - yellow - red
+    midline: "rgba(255, 255, 255, 0.6)",
+  },
+
+  // Declarative measurements (HEAD_CONFIG.measurements)
+  registry: "#9EE6FF",  // Sky blue
+
+  // Virtual frame (segment height)
+  frame: {
+    lens: "rgba(255, 255, 255, 0.55)",  // Lens outlines
+    segmentHeight: "#C3A6FF",           // Lavender - pupil to lens bottom rails
+  },
+
   // UI element colors
   ui: {
     background: "rgba(0, 0, 0, 0.65)",
@@ -234,6 +592,12 @@ export const IPD_OVERLAY_CONFIG = {
     { key: "near", label: "Near", offset: 55, drawRail: true },
     { key: "far", label: "Far", offset: 85, drawRail: false },
   ],
+  // Monocular (far) PD half-rails, each pupil to the nose midline
+  monocular: {
+    enabled: true,
+    offset: 25,
+    labels: { left: "L", right: "R" },
+  },
 };
 
 /**
@@ -243,6 +607,7 @@ export const FACE_OVERLAY_CONFIG = {
   label: "Face",
   spanOffset: 50,
   labelLift: 16,
+  tagLift: 0.8,  // Face ID tag height above the face width line (fraction of face width)
 };
 
 /**
@@ -255,6 +620,59 @@ export const EYE_WIDTH_OVERLAY_CONFIG = {
   drawRail: true,
 };
 
+/**
+ * Eye shape overlay configuration (palpebral fissure with canthal tilt, eye height)
+ */
+export const EYE_SHAPE_OVERLAY_CONFIG = {
+  enabled: true,
+  lineWidth: 1.5,
+  fissureTextLift: 16,   // Fissure label distance below the canthal line
+  heightTextLift: 14,    // Height label distance beside the eyelid line
+  labels: { fissure: "PF", height: "H" },
+};
+
+/**
+ * Face shape overlay configuration (silhouette contour, width and length spans)
+ */
+export const FACE_SHAPE_OVERLAY_CONFIG = {
+  enabled: true,
+  contourLineWidth: 1.5,
+  spanLineWidth: 1,
+  textLift: 12,             // Span label distance from the line
+  labels: { forehead: "F", cheekbone: "C", jaw: "J", length: "L" },
+};
+
+/**
+ * Symmetry heatmap overlay configuration (deviation of each mirrored landmark pair)
+ */
+export const SYMMETRY_OVERLAY_CONFIG = {
+  enabled: true,
+  radiusPx: 12,             // Heat spot radius at each landmark
+  maxDeviationMm: 4,        // Deviation drawn at the top of the color ramp
+  opacity: 0.6,
+  drawMidline: true,
+};
+
+/**
+ * Declarative measurement overlay configuration (HEAD_CONFIG.measurements)
+ */
+export const REGISTRY_OVERLAY_CONFIG = {
+  enabled: true,
+  lineWidth: 1.5,
+  textLift: 12,             // Label distance from the rail or the angle arc
+  arcRadiusPx: 18,          // Angle arc radius
+};
+
+/**
+ * Segment height overlay configuration (virtual lens outlines, pupil to lens bottom rails)
+ */
+export const FRAME_OVERLAY_CONFIG = {
+  drawLenses: true,
+  lensLineWidth: 1.5,
+  textLift: 14,             // Label distance beside the rail
+  label: "Seg",
+};
+
 /**
  * Default render policy settings
  */
@@ -438,8 +856,50 @@ export function validateConfig() {
     errors.push("CAMERA_CONFIG.focalLengthScale must be a function");
   }
 
-  if (CAMERA_CONFIG.distanceSmoothing < 0 || CAMERA_CONFIG.distanceSmoothing > 1) {
-    errors.push("CAMERA_CONFIG.distanceSmoothing must be between 0 and 1");
+  for (const [signal, params] of Object.entries(CAMERA_CONFIG.filters)) {
+    if (!["oneEuro", "kalman", "none"].includes(params?.type)) {
+      errors.push(`CAMERA_CONFIG.filters.${signal}.type must be "oneEuro", "kalman" or "none"`);
+    } else if (params.type === "oneEuro" && !(params.minCutoff > 0 && params.beta >= 0)) {
+      errors.push(`CAMERA_CONFIG.filters.${signal} needs minCutoff > 0 and beta >= 0`);
+    } else if (params.type === "kalman" && !(params.processNoise > 0 && params.measurementNoise > 0)) {
+      errors.push(`CAMERA_CONFIG.filters.${signal} needs positive processNoise and measurementNoise`);
+    }
+  }
+
+  const validMeasurementModes = ["2d", "3d", "compare"];
+  if (!validMeasurementModes.includes(CAMERA_CONFIG.measurementMode)) {
+    errors.push(`CAMERA_CONFIG.measurementMode must be one of: ${validMeasurementModes.join(", ")}`);
+  }
+
+  if (!(CAMERA_CONFIG.vergence.nearWorkingDistanceCm > 0)) {
+    errors.push("CAMERA_CONFIG.vergence.nearWorkingDistanceCm must be positive");
+  }
+
+  if (!Number.isInteger(CAMERA_CONFIG.numFaces) || CAMERA_CONFIG.numFaces < 1) {
+    errors.push("CAMERA_CONFIG.numFaces must be a positive integer");
+  }
+
+  if (!(CAMERA_CONFIG.eyeClosure.minAperture >= 0 && CAMERA_CONFIG.eyeClosure.minAperture < 1)) {
+    errors.push("CAMERA_CONFIG.eyeClosure.minAperture must be between 0 and 1");
+  }
+
+  if (!(CAMERA_CONFIG.gaze.landmarkWeight >= 0 && CAMERA_CONFIG.gaze.blendshapeWeight >= 0)) {
+    errors.push("CAMERA_CONFIG.gaze weights must be non-negative");
+  }
+
+  if (!(CAMERA_CONFIG.gaze.maxOffAxisDeg > 0)) {
+    errors.push("CAMERA_CONFIG.gaze.maxOffAxisDeg must be positive");
+  }
+
+  if (CAMERA_CONFIG.quality.minScore < 0 || CAMERA_CONFIG.quality.minScore > 1) {
+    errors.push("CAMERA_CONFIG.quality.minScore must be between 0 and 1");
+  }
+  if (CAMERA_CONFIG.quality.blink.open >= CAMERA_CONFIG.quality.blink.closed) {
+    errors.push("CAMERA_CONFIG.quality.blink.open must be less than closed");
+  }
+
+  if (!(CAMERA_CONFIG.capture?.durationMs > 0)) {
+    errors.push("CAMERA_CONFIG.capture.durationMs must be positive");
   }
 
   // Validate HEAD_CONFIG
@@ -457,6 +917,116 @@ export function validateConfig() {
     errors.push("HEAD_CONFIG.iris must have left and right iris configurations");
   }
 
+  // Validate HEAD_SIZE_CONFIG
+  if (!(HEAD_SIZE_CONFIG.cephalicIndex > 0 && HEAD_SIZE_CONFIG.cephalicIndex <= 1)) {
+    errors.push("HEAD_SIZE_CONFIG.cephalicIndex must be between 0 and 1");
+  }
+  if (HEAD_SIZE_CONFIG.depthRangeMm.min >= HEAD_SIZE_CONFIG.depthRangeMm.max) {
+    errors.push("HEAD_SIZE_CONFIG.depthRangeMm.min must be less than max");
+  }
+
+  // Validate HEAD_CONFIG.measurements (declarative registry)
+  const measurementIds = new Set();
+  for (const def of HEAD_CONFIG.measurements || []) {
+    const name = `HEAD_CONFIG.measurements "${def?.id}"`;
+    if (!def?.id || measurementIds.has(def.id)) {
+      errors.push(`${name} needs a unique id`);
+    }
+    measurementIds.add(def?.id);
+    const count = Array.isArray(def?.landmarks) ? def.landmarks.length : 0;
+    const countOk = {
+      distance: count === 2,
+      angle: count === 3,
+      "row-span": count >= 2,
+      polyline: count >= 2,
+    }[def?.type];
+    if (countOk === undefined) {
+      errors.push(`${name} has unknown type "${def?.type}"`);
+    } else if (!countOk) {
+      errors.push(`${name} has the wrong number of landmarks for "${def.type}"`);
+    }
+    const units = def?.type === "angle" ? ["deg"] : ["mm", "cm"];
+    if (countOk !== undefined && !units.includes(def.unit)) {
+      errors.push(`${name} unit must be one of ${units.join(", ")}`);
+    }
+  }
+
+  // Validate FACE_SHAPE_CONFIG
+  const outline = HEAD_CONFIG.faceOutline;
+  if (!Array.isArray(outline?.contour) || outline.contour.length < 3) {
+    errors.push("HEAD_CONFIG.faceOutline.contour must list at least 3 landmarks");
+  }
+  for (const key of ["forehead", "cheekbone", "jaw", "length"]) {
+    if (!Array.isArray(outline?.[key]) || outline[key].length !== 2) {
+      errors.push(`HEAD_CONFIG.faceOutline.${key} must be a landmark pair`);
+    }
+  }
+  if (!Object.keys(FACE_SHAPE_CONFIG.prototypes).length) {
+    errors.push("FACE_SHAPE_CONFIG.prototypes must define at least one shape");
+  }
+  for (const [key, spread] of Object.entries(FACE_SHAPE_CONFIG.spread)) {
+    if (!(spread > 0)) errors.push(`FACE_SHAPE_CONFIG.spread.${key} must be positive`);
+  }
+
+  // Validate SYMMETRY_CONFIG
+  for (const [region, pairs] of Object.entries(SYMMETRY_CONFIG.regions)) {
+    if (!Array.isArray(pairs) || !pairs.every((pair) => Array.isArray(pair) && pair.length === 2)) {
+      errors.push(`SYMMETRY_CONFIG.regions.${region} must be a list of [left, right] landmark pairs`);
+    }
+  }
+  if (!(SYMMETRY_OVERLAY_CONFIG.maxDeviationMm > 0)) {
+    errors.push("SYMMETRY_OVERLAY_CONFIG.maxDeviationMm must be positive");
+  }
+
+  // Validate CALIBRATION_CONFIG
+  if (!(CALIBRATION_CONFIG.card.widthMm > 0) || !(CALIBRATION_CONFIG.card.heightMm > 0)) {
+    errors.push("CALIBRATION_CONFIG.card dimensions must be positive");
+  }
+  if (CALIBRATION_CONFIG.irisRangeMm.min >= CALIBRATION_CONFIG.irisRangeMm.max) {
+    errors.push("CALIBRATION_CONFIG.irisRangeMm.min must be less than max");
+  }
+
+  // Validate INTRINSICS_CONFIG
+  if (!(INTRINSICS_CONFIG.board.innerCols >= 3) || !(INTRINSICS_CONFIG.board.innerRows >= 3)) {
+    errors.push("INTRINSICS_CONFIG.board must have at least 3 inner corners per side");
+  }
+  if (INTRINSICS_CONFIG.board.innerCols === INTRINSICS_CONFIG.board.innerRows) {
+    errors.push("INTRINSICS_CONFIG.board must not be square (orientation is ambiguous)");
+  }
+  if (!(INTRINSICS_CONFIG.viewCount >= 3)) {
+    errors.push("INTRINSICS_CONFIG.viewCount must be at least 3");
+  }
+
+  // Validate FRAME_CONFIG
+  const frameDims = ["lensWidthMm", "lensHeightMm", "bridgeWidthMm", "bridgeOffsetMm"];
+  FRAME_CONFIG.models.forEach((model, i) => {
+    if (!model.id) errors.push(`FRAME_CONFIG.models[${i}] must have an id`);
+    if (!frameDims.every((key) => Number.isFinite(model[key]) && model[key] >= 0)) {
+      errors.push(`FRAME_CONFIG.models[${i}] dimensions must be non-negative numbers`);
+    }
+  });
+  if (
+    FRAME_CONFIG.selected != null &&
+    !FRAME_CONFIG.models.some((model) => model.id === FRAME_CONFIG.selected)
+  ) {
+    errors.push("FRAME_CONFIG.selected must be null or a model id");
+  }
+
+  // Validate RECOMMENDER_CONFIG
+  for (const [key, band] of Object.entries(RECOMMENDER_CONFIG.tolerances)) {
+    if (!(band.good > 0 && band.ok >= band.good)) {
+      errors.push(`RECOMMENDER_CONFIG.tolerances.${key} must have 0 < good <= ok`);
+    }
+  }
+  if (!RECOMMENDER_CONFIG.templeClasses.length) {
+    errors.push("RECOMMENDER_CONFIG.templeClasses must not be empty");
+  }
+
+  // Validate VIDEO_FILE_CONFIG
+  if (!(VIDEO_FILE_CONFIG.frameRate > 0)) {
+    errors.push("VIDEO_FILE_CONFIG.frameRate must be positive");
+  }
+
   // Validate COLOR_CONFIG
   if (!COLOR_CONFIG || typeof COLOR_CONFIG !== "object") {
     errors.push("COLOR_CONFIG must be an object");
@@ -492,12 +1062,25 @@ export function getConfig(path) {
     APP_CONFIG,
     CAMERA_CONFIG,
     HEAD_CONFIG,
+    HEAD_SIZE_CONFIG,
+    FACE_SHAPE_CONFIG,
+    SYMMETRY_CONFIG,
+    CALIBRATION_CONFIG,
+    INTRINSICS_CONFIG,
+    FRAME_CONFIG,
+    RECOMMENDER_CONFIG,
+    VIDEO_FILE_CONFIG,
     COLOR_CONFIG,
     TYPOGRAPHY,
     NOSE_OVERLAY_CONFIG,
     IPD_OVERLAY_CONFIG,
     FACE_OVERLAY_CONFIG,
     EYE_WIDTH_OVERLAY_CONFIG,
+    EYE_SHAPE_OVERLAY_CONFIG,
+    FACE_SHAPE_OVERLAY_CONFIG,
+    SYMMETRY_OVERLAY_CONFIG,
+    REGISTRY_OVERLAY_CONFIG,
+    FRAME_OVERLAY_CONFIG,
     RENDER_POLICY,
     UI_CONFIG,
     THREEJS_CONFIG,
@@ -518,12 +1101,25 @@ export const ALL_CONFIG = {
   APP_CONFIG,
   CAMERA_CONFIG,
   HEAD_CONFIG,
+  HEAD_SIZE_CONFIG,
+  FACE_SHAPE_CONFIG,
+  SYMMETRY_CONFIG,
+  CALIBRATION_CONFIG,
+  INTRINSICS_CONFIG,
+  FRAME_CONFIG,
+  RECOMMENDER_CONFIG,
+  VIDEO_FILE_CONFIG,
   COLOR_CONFIG,
   TYPOGRAPHY,
   NOSE_OVERLAY_CONFIG,
   IPD_OVERLAY_CONFIG,
   FACE_OVERLAY_CONFIG,
   EYE_WIDTH_OVERLAY_CONFIG,
+  EYE_SHAPE_OVERLAY_CONFIG,
+  FACE_SHAPE_OVERLAY_CONFIG,
+  SYMMETRY_OVERLAY_CONFIG,
+  REGISTRY_OVERLAY_CONFIG,
+  FRAME_OVERLAY_CONFIG,
   RENDER_POLICY,
   UI_CONFIG,
   THREEJS_CONFIG,
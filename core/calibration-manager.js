@@ -0,0 +1,250 @@
+/**
+ * Calibration Manager - derives the user's iris diameter from a reference card
+ * @module core/calibration-manager
+ */
+
+import { MeasurementBuilders } from "../calculations.js";
+import { detectCardEdges } from "../utils/card-detection.js";
+import { createFrameGrabber } from "../utils/frame-capture.js";
+import { median } from "../utils/statistics.js";
+
+const { computeIrisMeasurement } = MeasurementBuilders;
+
+/**
+ * @typedef {Object} CalibrationStatus
+ * @property {"idle"|"collecting"|"done"|"failed"} state - Calibration state
+ * @property {number} progress - Collected samples / required samples (0-1)
+ * @property {number|null} irisDiameterMm - Calibrated iris diameter (when done)
+ * @property {string} message - Human-readable status
+ * @property {{x: number, y: number}[]|null} cardCorners - Last detected card corners
+ *   (normalized video coordinates: top-left, top-right, bottom-right, bottom-left)
+ */
+
+/**
+ * Runs the credit-card calibration: the user holds an ID-1 card against their
+ * forehead, the card edges give a true mm/px scale at the face, and the iris
+ * diameter in pixels is converted to millimeters with it.
+ */
+export class CalibrationManager {
+  /**
+   * @param {Object} config - Calibration configuration (CALIBRATION_CONFIG)
+   * @param {Object} headConfig - Landmark indices (HEAD_CONFIG)
+   * @param {Object} [callbacks] - Optional callbacks
+   * @param {Function} [callbacks.onComplete] - Called with the calibrated iris diameter in mm
+   */
+  constructor(config, headConfig, callbacks = {}) {
+    this.config = config;
+    this.headConfig = headConfig;
+    this.callbacks = callbacks;
+    this.frameGrabber = createFrameGrabber();
+    this.samples = [];
+    this.startedAt = 0;
+    this.irisDiameterMm = null;
+
+    /** @type {CalibrationStatus} */
+    this.status = {
+      state: "idle",
+      progress: 0,
+      irisDiameterMm: null,
+      message: "",
+      cardCorners: null,
+    };
+  }
+
+  /**
+   * Start collecting card samples
+   */
+  start() {
+    this.samples = [];
+    this.startedAt = performance.now();
+    this.setStatus("collecting", "Hold a card flat against your forehead");
+  }
+
+  /**
+   * Abort an in-progress calibration (keeps any previous result)
+   */
+  cancel() {
+    this.samples = [];
+    this.setStatus("idle", "");
+  }
+
+  /**
+   * @returns {boolean} True while samples are being collected
+   */
+  isActive() {
+    return this.status.state === "collecting";
+  }
+
+  /**
+   * Get the calibrated iris diameter for this session
+   * @returns {number|null} Iris diameter in mm or null if not calibrated
+   */
+  getIrisDiameterMm() {
+    return this.irisDiameterMm;
+  }
+
+  /**
+   * @returns {CalibrationStatus} Current status
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Update status fields
+   * @param {string} state - New state
+   * @param {string} message - Status message
+   */
+  setStatus(state, message) {
+    this.status = {
+      ...this.status,
+      state,
+      message,
+      progress: Math.min(1, this.samples.length / this.config.sampleCount),
+      irisDiameterMm: this.irisDiameterMm,
+      cardCorners: state === "collecting" ? this.status.cardCorners : null,
+    };
+  }
+
+  /**
+   * Region above the brows where the card is expected (video pixels)
+   * @param {Array} landmarks - Raw (unmirrored) landmarks
+   * @param {number} width - Video width
+   * @param {number} height - Video height
+   * @returns {{roi: Object, faceWidthPx: number}|null}
+   */
+  computeSearchRegion(landmarks, width, height) {
+    const { faceWidthIdx, foreheadIdx } = this.headConfig;
+    const leftEdge = landmarks[faceWidthIdx.left];
+    const rightEdge = landmarks[faceWidthIdx.right];
+    const browLeft = landmarks[foreheadIdx.browLeft];
+    const browRight = landmarks[foreheadIdx.browRight];
+    if (!leftEdge || !rightEdge || !browLeft || !browRight) return null;
+
+    const faceWidthPx = Math.abs(rightEdge.x - leftEdge.x) * width;
+    if (!faceWidthPx) return null;
+
+    const minX = Math.min(leftEdge.x, rightEdge.x) * width;
+    const browY = Math.min(browLeft.y, browRight.y) * height;
+    const { roi } = this.config;
+    return {
+      faceWidthPx,
+      roi: {
+        x: minX - faceWidthPx * roi.marginX,
+        y: browY - faceWidthPx * roi.heightAboveBrows,
+        width: faceWidthPx * (1 + 2 * roi.marginX),
+        height: faceWidthPx * (roi.heightAboveBrows + roi.heightBelowBrows),
+      },
+    };
+  }
+
+  /**
+   * Process one video frame while calibrating
+   * @param {HTMLVideoElement} video - Video element (unmirrored pixels)
+   * @param {Array} landmarks - Raw (unmirrored) landmarks for the same frame
+   * @param {{x: number, y: number}} focalLengthPx - Focal length in pixels
+   * @returns {CalibrationStatus} Updated status
+   */
+  processFrame(video, landmarks, focalLengthPx) {
+    if (!this.isActive()) return this.status;
+
+    if (performance.now() - this.startedAt > this.config.timeoutMs) {
+      this.finish();
+      return this.status;
+    }
+    if (!Array.isArray(landmarks)) return this.status;
+
+    const frame = this.frameGrabber.grab(video);
+    if (!frame) return this.status;
+
+    const region = this.computeSearchRegion(landmarks, frame.width, frame.height);
+    if (!region) return this.status;
+
+    const { card } = this.config;
+    const edges = detectCardEdges(frame.gray, frame.width, region.roi, {
+      aspectRatio: card.widthMm / card.heightMm,
+      aspectTolerance: card.aspectTolerance,
+      minWidthPx: region.faceWidthPx * card.minFaceWidthRatio,
+      maxWidthPx: region.faceWidthPx * card.maxFaceWidthRatio,
+    });
+
+    if (!edges || edges.confidence < this.config.minConfidence) {
+      this.status = { ...this.status, cardCorners: null };
+      return this.status;
+    }
+
+    const sample = this.computeIrisSample(landmarks, frame, edges, focalLengthPx);
+    if (Number.isFinite(sample)) this.samples.push(sample);
+
+    const toNorm = (x, y) => ({ x: x / frame.width, y: y / frame.height });
+    this.status = {
+      ...this.status,
+      progress: Math.min(1, this.samples.length / this.config.sampleCount),
+      cardCorners: [
+        toNorm(edges.left, edges.top),
+        toNorm(edges.right, edges.top),
+        toNorm(edges.right, edges.bottom),
+        toNorm(edges.left, edges.bottom),
+      ],
+    };
+
+    if (this.samples.length >= this.config.sampleCount) this.finish();
+    return this.status;
+  }
+
+  /**
+   * Convert one frame's card and iris pixels into an iris diameter in mm
+   * @param {Array} landmarks - Raw landmarks
+   * @param {Object} frame - Grabbed frame ({width, height})
+   * @param {Object} edges - Detected card edges
+   * @param {{x: number, y: number}} focalLengthPx - Focal length in pixels
+   * @returns {number|null} Iris diameter in mm
+   */
+  computeIrisSample(landmarks, frame, edges, focalLengthPx) {
+    const { iris } = this.headConfig;
+    const left = computeIrisMeasurement(
+      landmarks, iris.left.iris, iris.left.pupil, frame.width, frame.height, null
+    );
+    const right = computeIrisMeasurement(
+      landmarks, iris.right.iris, iris.right.pupil, frame.width, frame.height, null
+    );
+    if (!left || !right) return null;
+
+    const { card } = this.config;
+    const cardMmPerPx =
+      (card.widthMm / edges.widthPx + card.heightMm / edges.heightPx) / 2;
+
+    // The card sits in front of the iris plane; scale mm/px out to the iris depth
+    const focal = (focalLengthPx.x + focalLengthPx.y) / 2;
+    const cardDistanceMm = focal * cardMmPerPx;
+    const depthScale = cardDistanceMm > 0
+      ? (cardDistanceMm + card.depthOffsetMm) / cardDistanceMm
+      : 1;
+
+    const irisDiameterPx = (left.diameterPx + right.diameterPx) / 2;
+    return irisDiameterPx * cardMmPerPx * depthScale;
+  }
+
+  /**
+   * Finish collecting and publish the median result if it is plausible
+   */
+  finish() {
+    const { min, max } = this.config.irisRangeMm;
+    const required = Math.min(this.config.minSamples, this.config.sampleCount);
+    const enough = this.samples.length >= required;
+    const result = enough ? median(this.samples) : null;
+
+    if (result == null) {
+      this.setStatus("failed", "Card not found - try better lighting");
+      return;
+    }
+    if (result < min || result > max) {
+      this.setStatus("failed", `Implausible iris diameter (${result.toFixed(1)} mm)`);
+      return;
+    }
+
+    this.irisDiameterMm = result;
+    this.setStatus("done", `Iris ${result.toFixed(2)} mm`);
+    this.callbacks.onComplete?.(result);
+  }
+}
@@ -3,6 +3,35 @@
  * @module core/camera-manager
  */
 
+import { mirrorLandmarks } from "../utils/geometry.js";
+
+/**
+ * Wait for a media element event
+ * @param {HTMLMediaElement} media - Media element
+ * @param {string} type - Event type
+ * @param {string[]} [failureTypes] - Events that reject the wait ("emptied" when
+ *   the source is replaced meanwhile)
+ * @returns {Promise<void>}
+ */
+function waitForMediaEvent(media, type, failureTypes = ["error"]) {
+  return new Promise((resolve, reject) => {
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onFailure = (event) => {
+      cleanup();
+      reject(media.error || new Error(`Video ${event.type} while waiting for ${type}`));
+    };
+    const cleanup = () => {
+      media.removeEventListener(type, onEvent);
+      failureTypes.forEach((failure) => media.removeEventListener(failure, onFailure));
+    };
+    media.addEventListener(type, onEvent);
+    failureTypes.forEach((failure) => media.addEventListener(failure, onFailure));
+  });
+}
+
 /**
  * Manages camera access and video stream operations
  */
@@ -16,6 +45,8 @@ export class CameraManager {
     this.config = config;
     this.mirrorEnabled = true;
     this.mediaStream = null;
+    this.deviceId = null;
+    this.videoFileUrl = null;
   }
 
   /**
@@ -85,23 +116,97 @@ export class CameraManager {
     };
 
     this.mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
-    this.video.srcObject = this.mediaStream;
+    if (!this.videoFileUrl) this.video.srcObject = this.mediaStream;
+
+    // Identify the opened camera (facingMode fallback has no preselected ID)
+    const track = this.mediaStream.getVideoTracks()[0];
+    this.deviceId = deviceId || track?.getSettings?.().deviceId || null;
 
     return this.mediaStream;
   }
 
+  /**
+   * Show a local video file in place of the camera stream (paused on its
+   * first frame; the camera stream keeps running for useCamera)
+   * @param {Blob} file - Video file
+   * @returns {Promise<{durationMs: number}>} Video duration, once the first frame is loaded
+   */
+  async loadVideoFile(file) {
+    this.releaseVideoFile();
+    this.videoFileUrl = URL.createObjectURL(file);
+    this.video.srcObject = null;
+    this.video.muted = true;
+    const loaded = waitForMediaEvent(this.video, "loadeddata");
+    this.video.src = this.videoFileUrl;
+    await loaded;
+    this.video.pause();
+
+    const durationMs = this.video.duration * 1000;
+    if (!Number.isFinite(durationMs)) {
+      throw new Error("Video file has no known duration");
+    }
+    return { durationMs };
+  }
+
+  /**
+   * Seek the video file to a media time
+   * @param {number} timeMs - Media time in milliseconds
+   * @returns {Promise<number>} Media time of the shown frame in milliseconds
+   */
+  async seekVideoFile(timeMs) {
+    const seeked = waitForMediaEvent(this.video, "seeked", ["error", "emptied"]);
+    this.video.currentTime = timeMs / 1000;
+    await seeked;
+    return this.video.currentTime * 1000;
+  }
+
+  /**
+   * Whether a video file is shown instead of the camera
+   * @returns {boolean}
+   */
+  isPlayingFile() {
+    return this.videoFileUrl != null;
+  }
+
+  /**
+   * Show the camera stream again after a video file
+   * @returns {Promise<void>} Resolves once the stream metadata is loaded
+   */
+  async useCamera() {
+    this.releaseVideoFile();
+    if (!this.mediaStream) return;
+    const loaded = waitForMediaEvent(this.video, "loadedmetadata");
+    this.video.srcObject = this.mediaStream;
+    await loaded;
+    await this.video.play().catch((error) => console.warn("Could not resume camera:", error));
+  }
+
+  /**
+   * Detach and free the video file, if any
+   */
+  releaseVideoFile() {
+    if (!this.videoFileUrl) return;
+    this.video.removeAttribute("src");
+    this.video.load();
+    URL.revokeObjectURL(this.videoFileUrl);
+    this.videoFileUrl = null;
+  }
+
+  /**
+   * Get the device ID of the opened camera
+   * @returns {string|null} Device ID or null before initialization
+   */
+  getDeviceId() {
+    return this.deviceId;
+  }
+
   /**
    * Mirror landmarks horizontally (flip x-coordinates)
    * @param {Array} landmarks - MediaPipe landmarks array
    * @returns {Array|null} Mirrored landmarks or null if invalid input
    */
   mirrorLandmarks(landmarks) {
-    if (!Array.isArray(landmarks)) return null;
-    return landmarks.map((lm) => {
-      if (!lm) return lm;
-      const mirroredX = Number.isFinite(lm.x) ? 1 - lm.x : lm.x;
-      return { ...lm, x: mirroredX };
-    });
+    return mirrorLandmarks(landmarks);
   }
 
   /**
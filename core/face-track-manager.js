@@ -0,0 +1,251 @@
+/**
+ * Face Track Manager - one head tracker and measurement state per tracked face
+ * @module core/face-track-manager
+ */
+
+import { createHeadTracker } from "../head.js";
+import { StateManager } from "./state-manager.js";
+
+/**
+ * @typedef {Object} FaceTrack
+ * @property {number} id - Stable face ID (1, 2, ...) for as long as the face is tracked
+ * @property {Object} head - Head tracker for this face
+ * @property {StateManager} state - Measurement state for this face
+ * @property {{x: number, y: number}|null} center - Last landmark centroid (normalized)
+ * @property {number|null} detectionIndex - Index of this face in the current
+ *   FaceLandmarker results (null when missed this frame)
+ * @property {number} missedFrames - Consecutive frames without a matching detection
+ */
+
+/**
+ * Centroid of a landmark set (normalized coordinates)
+ * @param {Array<{x: number, y: number}>} landmarks - Face landmarks
+ * @returns {{x: number, y: number}|null} Centroid or null
+ */
+function landmarkCentroid(landmarks) {
+  if (!landmarks?.length) return null;
+  let x = 0;
+  let y = 0;
+  for (const lm of landmarks) {
+    x += lm.x;
+    y += lm.y;
+  }
+  return { x: x / landmarks.length, y: y / landmarks.length };
+}
+
+/**
+ * Matches FaceLandmarker detections to face tracks frame to frame (nearest
+ * landmark centroid, greedy) so each face keeps its ID, head tracker and
+ * measurement state
+ */
+export class FaceTrackManager {
+  /**
+   * @param {Object} cameraConfig - Camera configuration (numFaces, faceTracking, filters, ...)
+   * @param {Object} headConfig - Head tracker landmark configuration
+   * @param {Object} [estimators] - Estimator configurations passed to each
+   *   StateManager ({headSize, faceShape, symmetry}) with headConfig.measurements
+   */
+  constructor(cameraConfig, headConfig, estimators = {}) {
+    this.cameraConfig = cameraConfig;
+    this.headConfig = headConfig;
+    this.estimators = estimators;
+    this.maxFaces = Math.max(1, cameraConfig.numFaces ?? 1);
+    this.tracking = cameraConfig.faceTracking || {};
+
+    /** @type {FaceTrack[]} */
+    this.tracks = [];
+    this.nextId = 1;
+
+    // With a single face the calibrated iris diameter outlives the track
+    this.sessionIrisDiameterMm = null;
+    // Calibrated iris diameter by face ID, also for faces not tracked yet
+    this.irisDiameterMmById = new Map();
+
+    // Frame model for the segment height, shared by every face
+    this.frame = null;
+  }
+
+  /**
+   * Create a track with its own head tracker and measurement state
+   * @returns {FaceTrack} New track
+   */
+  createTrack() {
+    const head = createHeadTracker({
+      ...this.headConfig,
+      landmarkFilter: this.cameraConfig.filters?.landmarks,
+      eyeClosure: this.cameraConfig.eyeClosure,
+    });
+    const state = new StateManager(this.cameraConfig, {
+      ...this.estimators,
+      measurements: this.headConfig.measurements,
+    });
+    const id = this.nextId++;
+    const irisDiameterMm = this.irisDiameterMmById.get(id) ?? this.sessionIrisDiameterMm;
+    if (irisDiameterMm != null) {
+      head.setIrisDiameterMm(irisDiameterMm);
+      state.setIrisDiameterMm(irisDiameterMm);
+    }
+    state.setFrame(this.frame);
+    const track = {
+      id,
+      head,
+      state,
+      center: null,
+      detectionIndex: null,
+      missedFrames: 0,
+    };
+    this.tracks.push(track);
+    return track;
+  }
+
+  /**
+   * Assign this frame's detections to tracks. Unmatched detections start new
+   * tracks (up to numFaces); tracks missed for longer than maxMissedFrames
+   * are dropped (the only track is kept when numFaces is 1).
+   *
+   * @param {Array<Array>} landmarkSets - Landmarks of each detected face
+   * @returns {FaceTrack[]} All tracks, ordered by ID
+   */
+  assign(landmarkSets = []) {
+    const centers = landmarkSets.slice(0, this.maxFaces).map(landmarkCentroid);
+    const maxDistance = this.maxFaces > 1 ? this.tracking.maxMatchDistance ?? 0.2 : Infinity;
+
+    // Greedy nearest-centroid matching
+    const pairs = [];
+    this.tracks.forEach((track, t) => {
+      centers.forEach((center, d) => {
+        if (!center) return;
+        const dist = track.center
+          ? Math.hypot(center.x - track.center.x, center.y - track.center.y)
+          : Infinity;
+        if (dist <= maxDistance) pairs.push({ t, d, dist });
+      });
+    });
+    pairs.sort((a, b) => a.dist - b.dist);
+
+    this.tracks.forEach((track) => {
+      track.detectionIndex = null;
+    });
+    const usedDetections = new Set();
+    for (const { t, d } of pairs) {
+      const track = this.tracks[t];
+      if (track.detectionIndex != null || usedDetections.has(d)) continue;
+      track.detectionIndex = d;
+      usedDetections.add(d);
+    }
+
+    // Remaining detections are new faces
+    centers.forEach((center, d) => {
+      if (!center || usedDetections.has(d) || this.tracks.length >= this.maxFaces) return;
+      this.createTrack().detectionIndex = d;
+      usedDetections.add(d);
+    });
+
+    const maxMissed = this.tracking.maxMissedFrames ?? 30;
+    for (const track of this.tracks) {
+      if (track.detectionIndex != null) {
+        track.center = centers[track.detectionIndex];
+        track.missedFrames = 0;
+      } else {
+        track.missedFrames++;
+      }
+    }
+    if (this.maxFaces > 1) {
+      this.tracks = this.tracks.filter((t) => {
+        if (t.missedFrames <= maxMissed) return true;
+        t.head.dispose();
+        return false;
+      });
+    }
+
+    return this.tracks;
+  }
+
+  /**
+   * All current tracks, ordered by ID
+   * @returns {FaceTrack[]}
+   */
+  getTracks() {
+    return this.tracks;
+  }
+
+  /**
+   * The longest-tracked face (used for calibration and the 3D view)
+   * @returns {FaceTrack|null}
+   */
+  getPrimaryTrack() {
+    return this.tracks[0] || null;
+  }
+
+  /**
+   * Drop every track so the next detections start fresh (face IDs restart at 1)
+   */
+  clear() {
+    this.tracks.forEach((t) => t.head.dispose());
+    this.tracks = [];
+    this.nextId = 1;
+    this.irisDiameterMmById.clear();
+  }
+
+  /**
+   * Use a calibrated iris diameter for one face. A face not tracked yet gets it
+   * when it is (a replay calibrates a face before the frame it first appears in).
+   * @param {number} trackId - Face ID
+   * @param {number|null} irisDiameterMm - Iris diameter in mm (null = default)
+   */
+  setIrisDiameterMm(trackId, irisDiameterMm) {
+    this.irisDiameterMmById.set(trackId, irisDiameterMm);
+    const track = this.tracks.find((t) => t.id === trackId);
+    track?.head.setIrisDiameterMm(irisDiameterMm);
+    track?.state.setIrisDiameterMm(irisDiameterMm);
+    if (this.maxFaces === 1) this.sessionIrisDiameterMm = irisDiameterMm;
+  }
+
+  /**
+   * Use a calibrated iris diameter for every face tracked from now on (a
+   * replay starts from the recorded calibration)
+   * @param {number|null} irisDiameterMm - Iris diameter in mm (null = default)
+   */
+  setSessionIrisDiameterMm(irisDiameterMm) {
+    this.sessionIrisDiameterMm = irisDiameterMm ?? null;
+  }
+
+  /**
+   * Calibrated iris diameter given to newly tracked faces
+   * @returns {number|null} Iris diameter in mm (null = default)
+   */
+  getSessionIrisDiameterMm() {
+    return this.sessionIrisDiameterMm;
+  }
+
+  /**
+   * Select the frame model used for every face's segment height
+   * @param {Object|null} frame - Frame model (null = none)
+   */
+  setFrame(frame) {
+    this.frame = frame || null;
+    this.tracks.forEach((t) => t.state.setFrame(this.frame));
+  }
+
+  /**
+   * Whether any face is collecting a capture session
+   * @returns {boolean}
+   */
+  isCapturing() {
+    return this.tracks.some((t) => t.state.getCaptureStatus().active);
+  }
+
+  /**
+   * Start a capture session on every tracked face
+   */
+  startCapture() {
+    this.tracks.forEach((t) => t.state.startCapture());
+  }
+
+  /**
+   * Cancel the capture session on every tracked face
+   */
+  cancelCapture() {
+    this.tracks.forEach((t) => t.state.cancelCapture());
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * Intrinsics Manager - camera focal length and principal point calibration
+ * @module core/intrinsics-manager
+ */
+
+import {
+  detectCheckerboard,
+  boardOutline,
+  solveIntrinsics,
+} from "../utils/camera-intrinsics.js";
+import { createFrameGrabber } from "../utils/frame-capture.js";
+
+/**
+ * @typedef {Object} IntrinsicsStatus
+ * @property {"idle"|"collecting"|"done"|"failed"} state - Calibration state
+ * @property {number} progress - Collected views / required views (0-1)
+ * @property {string} message - Human-readable status
+ * @property {{x: number, y: number}[]|null} boardCorners - Last detected board outline
+ *   (normalized video coordinates)
+ */
+
+/**
+ * Runs the checkerboard calibration wizard: collects board views at varied
+ * orientations, solves for the camera intrinsics and stores them per device.
+ */
+export class IntrinsicsCalibrationManager {
+  /**
+   * @param {Object} config - Intrinsics configuration (INTRINSICS_CONFIG)
+   * @param {Object} [callbacks] - Optional callbacks
+   * @param {Function} [callbacks.onComplete] - Called with the solved intrinsics
+   */
+  constructor(config, callbacks = {}) {
+    this.config = config;
+    this.callbacks = callbacks;
+    this.frameGrabber = createFrameGrabber();
+    this.views = [];
+    this.outlines = [];
+    this.frameCounter = 0;
+    this.startedAt = 0;
+    this.imageSize = null;
+
+    /** @type {IntrinsicsStatus} */
+    this.status = {
+      state: "idle",
+      progress: 0,
+      message: "",
+      boardCorners: null,
+    };
+  }
+
+  /**
+   * Start collecting board views
+   */
+  start() {
+    this.views = [];
+    this.outlines = [];
+    this.frameCounter = 0;
+    this.startedAt = performance.now();
+    this.setStatus("collecting", "Show the checkerboard at different angles");
+  }
+
+  /**
+   * Abort an in-progress calibration
+   */
+  cancel() {
+    this.views = [];
+    this.outlines = [];
+    this.setStatus("idle", "");
+  }
+
+  /**
+   * @returns {boolean} True while views are being collected
+   */
+  isActive() {
+    return this.status.state === "collecting";
+  }
+
+  /**
+   * @returns {IntrinsicsStatus} Current status
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Update status fields
+   * @param {string} state - New state
+   * @param {string} message - Status message
+   */
+  setStatus(state, message) {
+    this.status = {
+      state,
+      message,
+      progress: Math.min(1, this.views.length / this.config.viewCount),
+      boardCorners: state === "collecting" ? this.status.boardCorners : null,
+    };
+  }
+
+  /**
+   * Load stored intrinsics for a camera
+   * @param {string|null} deviceId - Camera device ID
+   * @returns {Object|null} Stored intrinsics or null
+   */
+  loadIntrinsics(deviceId) {
+    if (!deviceId) return null;
+    try {
+      const raw = window.localStorage.getItem(this.config.storageKeyPrefix + deviceId);
+      const intrinsics = raw ? JSON.parse(raw) : null;
+      return Number.isFinite(intrinsics?.fx) && Number.isFinite(intrinsics?.fy)
+        ? intrinsics
+        : null;
+    } catch (error) {
+      console.warn("Could not load camera intrinsics:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Store intrinsics for a camera
+   * @param {string|null} deviceId - Camera device ID
+   * @param {Object} intrinsics - Solved intrinsics
+   */
+  saveIntrinsics(deviceId, intrinsics) {
+    if (!deviceId || !intrinsics) return;
+    try {
+      window.localStorage.setItem(
+        this.config.storageKeyPrefix + deviceId,
+        JSON.stringify(intrinsics)
+      );
+    } catch (error) {
+      console.warn("Could not store camera intrinsics:", error);
+    }
+  }
+
+  /**
+   * Whether a board outline differs enough from every collected view
+   * @param {{x: number, y: number}[]} outline - Board outline (image pixels)
+   * @param {number} width - Image width
+   * @returns {boolean} True if the view adds a new orientation
+   */
+  isNewView(outline, width) {
+    const threshold = this.config.minViewChange * width;
+    return this.outlines.every((previous) => {
+      // Corner order can flip between detections, so match nearest corners
+      const mean =
+        outline.reduce(
+          (sum, p) => sum + Math.min(...previous.map((q) => Math.hypot(p.x - q.x, p.y - q.y))),
+          0
+        ) / outline.length;
+      return mean > threshold;
+    });
+  }
+
+  /**
+   * Process one video frame while calibrating
+   * @param {HTMLVideoElement} video - Video element (unmirrored pixels)
+   * @returns {IntrinsicsStatus} Updated status
+   */
+  processFrame(video) {
+    if (!this.isActive()) return this.status;
+
+    if (performance.now() - this.startedAt > this.config.timeoutMs) {
+      this.finish();
+      return this.status;
+    }
+    this.frameCounter++;
+    if (this.frameCounter % this.config.frameInterval !== 0) return this.status;
+
+    const frame = this.frameGrabber.grab(video);
+    if (!frame) return this.status;
+    this.imageSize = { width: frame.width, height: frame.height };
+
+    const { board, downsample } = this.config;
+    const view = detectCheckerboard(frame.gray, frame.width, frame.height, {
+      innerCols: board.innerCols,
+      innerRows: board.innerRows,
+      downsample,
+    });
+    if (!view) {
+      this.status = { ...this.status, boardCorners: null };
+      return this.status;
+    }
+
+    const outline = boardOutline(view);
+    if (this.isNewView(outline, frame.width)) {
+      this.views.push(view);
+      this.outlines.push(outline);
+    }
+
+    this.status = {
+      ...this.status,
+      progress: Math.min(1, this.views.length / this.config.viewCount),
+      boardCorners: outline.map((p) => ({ x: p.x / frame.width, y: p.y / frame.height })),
+    };
+
+    if (this.views.length >= this.config.viewCount) this.finish();
+    return this.status;
+  }
+
+  /**
+   * Solve from the collected views and publish the result if it is plausible
+   */
+  finish() {
+    const size = this.imageSize;
+    const result = size ? solveIntrinsics(this.views, size.width, size.height) : null;
+
+    if (!result) {
+      const message =
+        this.views.length < 3
+          ? "Checkerboard not found - fill more of the frame"
+          : "Tilt the board more between views";
+      this.setStatus("failed", message);
+      return;
+    }
+
+    const { focalRange, maxReprojectionErrorPx } = this.config;
+    const focalRatio = result.fx / result.imageWidth;
+    const plausible =
+      result.rmsErrorPx <= maxReprojectionErrorPx &&
+      focalRatio >= focalRange.min &&
+      focalRatio <= focalRange.max &&
+      Math.abs(result.fy / result.fx - 1) < 0.2 &&
+      result.cx > 0.25 * result.imageWidth &&
+      result.cx < 0.75 * result.imageWidth &&
+      result.cy > 0.25 * result.imageHeight &&
+      result.cy < 0.75 * result.imageHeight;
+
+    if (!plausible) {
+      this.setStatus("failed", `Implausible result (f = ${Math.round(result.fx)} px) - try again`);
+      return;
+    }
+
+    const intrinsics = { ...result, viewCount: this.views.length, calibratedAt: Date.now() };
+    this.setStatus("done", `f = ${Math.round(result.fx)} px`);
+    this.callbacks.onComplete?.(intrinsics);
+  }
+}
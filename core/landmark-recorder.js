@@ -0,0 +1,118 @@
+/**
+ * Landmark Recorder - records the raw FaceLandmarker results of each frame
+ * @module core/landmark-recorder
+ */
+
+import { toPlainFaceResults } from "../utils/landmark-recording.js";
+
+/**
+ * Records what the measurement pipeline was given each frame (results,
+ * timestamp, display size, focal length and mirroring) and the session
+ * changes between frames, so the session can be replayed without a camera or
+ * model (see utils/landmark-recording)
+ */
+export class LandmarkRecorder {
+  constructor() {
+    this.recording = null;
+    // Recording face ID of each live face track
+    this.faceIds = new Map();
+  }
+
+  /**
+   * Start a new recording
+   * @param {Object} header - Recording header (createRecordingHeader)
+   */
+  start(header) {
+    this.recording = { header, frames: [], events: [] };
+    this.faceIds.clear();
+  }
+
+  /**
+   * @returns {boolean} True while frames are being recorded
+   */
+  isActive() {
+    return this.recording != null;
+  }
+
+  /**
+   * Add a frame
+   * @param {Object|null} faceResults - FaceLandmarker results of the frame
+   * @param {number} timestampMs - Frame time given to the pipeline
+   * @param {Object} view - How the landmarks were measured
+   * @param {{width: number, height: number}} view.displaySize - Display size in pixels
+   * @param {{x: number, y: number}} view.focalLengthPx - Focal length at the display size
+   * @param {boolean} view.mirror - Landmarks were mirrored for display
+   * @param {boolean} [view.still] - Single still image (photo)
+   */
+  record(faceResults, timestampMs, { displaySize, focalLengthPx, mirror, still = false }) {
+    this.recording.frames.push({
+      timestampMs,
+      displaySize: { width: displaySize.width, height: displaySize.height },
+      focalLengthPx: { x: focalLengthPx.x, y: focalLengthPx.y },
+      mirror,
+      still,
+      faceResults: toPlainFaceResults(faceResults),
+    });
+  }
+
+  /**
+   * Number the faces detected in the frame just recorded the way a replay's
+   * fresh face tracks number them: 1, 2, ... in order of first detection. A
+   * face calibrated before its first detection gets an iris calibration event
+   * at that frame.
+   * @param {Object[]} tracks - Face tracks after the frame (FaceTrackManager)
+   */
+  addFaces(tracks) {
+    const frameIndex = this.recording.frames.length - 1;
+    tracks
+      .filter((track) => track.detectionIndex != null && !this.faceIds.has(track))
+      .sort((a, b) => a.detectionIndex - b.detectionIndex)
+      .forEach((track) => {
+        const faceId = this.faceIds.size + 1;
+        this.faceIds.set(track, faceId);
+        const irisDiameterMm = track.state.getIrisDiameterMm(null);
+        if (irisDiameterMm != null) {
+          this.recording.events.push({ frameIndex, kind: "irisCalibration", faceId, irisDiameterMm });
+        }
+      });
+  }
+
+  /**
+   * Recording face ID of a face track
+   * @param {Object} track - Face track
+   * @returns {number|null} Face ID, or null if not detected since the recording started
+   */
+  getFaceId(track) {
+    return this.faceIds.get(track) ?? null;
+  }
+
+  /**
+   * Add a session change; it applies from the next recorded frame
+   * @param {Object} event - Event kind and fields (RecordingEvent without frameIndex)
+   */
+  recordEvent(event) {
+    this.recording.events.push({ frameIndex: this.recording.frames.length, ...event });
+  }
+
+  /**
+   * @returns {{active: boolean, frameCount: number}} Recording status
+   */
+  getStatus() {
+    return {
+      active: this.isActive(),
+      frameCount: this.recording?.frames.length ?? 0,
+    };
+  }
+
+  /**
+   * End the recording
+   * @returns {{header: Object, frames: Object[], events: Object[]}|null} Recording, or null
+   *   if none was active
+   */
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+    this.faceIds.clear();
+    return recording;
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Measurement Pipeline - runs FaceLandmarker results through the face tracks
+ * @module core/measurement-pipeline
+ *
+ * DOM-free, so the browser app (main.js) and the headless CLI (cli.js) measure
+ * the same way.
+ */
+
+import { ConversionUtils } from "../calculations.js";
+import { mirrorLandmarks, mirrorTransformMatrix } from "../utils/geometry.js";
+
+const { estimateCameraDistanceCm } = ConversionUtils;
+
+/**
+ * @typedef {Object} DisplayView
+ * @property {{width: number, height: number}} displaySize - Size in pixels the
+ *   landmarks are measured at (the canvas display size in the app)
+ * @property {{x: number, y: number}} focalLengthPx - Focal length at the display size
+ * @property {boolean} mirror - Mirror the landmarks horizontally
+ * @property {boolean} [still] - Single still image (photo): not held back by the
+ *   frame quality gate
+ */
+
+/**
+ * Focal length guess for an image of the given size (same aspect as the video),
+ * used until the camera intrinsics are calibrated
+ * @param {Object} cameraConfig - Camera configuration (CAMERA_CONFIG)
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {{x: number, y: number}} Focal length in pixels
+ */
+export function guessFocalLengthPx(cameraConfig, width, height) {
+  const guess = cameraConfig.focalLengthScale();
+  const { videoSize } = cameraConfig;
+  return {
+    x: (guess.x * width) / videoSize.width,
+    y: (guess.y * height) / videoSize.height,
+  };
+}
+
+/**
+ * Apply a recorded session change (utils/landmark-recording RecordingEvent)
+ * @param {import("./face-track-manager.js").FaceTrackManager} faces - Face tracks
+ * @param {Object} event - Iris calibration or frame model event
+ * @param {Object[]} frameModels - Frame models (FRAME_CONFIG.models)
+ */
+export function applyRecordingEvent(faces, event, frameModels) {
+  if (event.kind === "irisCalibration") {
+    faces.setIrisDiameterMm(event.faceId, event.irisDiameterMm);
+  } else if (event.kind === "frame") {
+    faces.setFrame(frameModels.find((model) => model.id === event.frameId) || null);
+  }
+}
+
+/**
+ * Process one frame of FaceLandmarker results: match detections to face
+ * tracks and update each face's head tracker, distance and measurements
+ *
+ * @param {import("./face-track-manager.js").FaceTrackManager} faces - Face tracks
+ * @param {Object|null} faceResults - FaceLandmarker results
+ * @param {number} timestampMs - Frame time in milliseconds
+ * @param {DisplayView} view - How the landmarks are measured
+ * @param {Object} options - Options
+ * @param {number} options.irisDiameterMm - Default iris diameter (CAMERA_CONFIG.irisDiameterMm)
+ * @param {function(Object, Array): void} [options.onDetection] - Called with each
+ *   detected track and its raw (unmirrored) landmarks before the track is updated
+ * @returns {Object[]} All face tracks
+ */
+export function processFaceResults(faces, faceResults, timestampMs, view, options) {
+  const { irisDiameterMm, onDetection } = options;
+  const landmarkSets = faceResults?.faceLandmarks || [];
+  const { width, height } = view.displaySize;
+  const estimateDistance = (diameterPx, irisMm = irisDiameterMm) =>
+    estimateCameraDistanceCm(diameterPx, view.focalLengthPx, irisMm);
+
+  const tracks = faces.assign(landmarkSets);
+  tracks.forEach((track) => {
+    const faceIndex = track.detectionIndex;
+    const landmarks = faceIndex == null ? null : landmarkSets[faceIndex];
+    const displayLandmarks = landmarks && (view.mirror ? mirrorLandmarks(landmarks) : landmarks);
+
+    if (!displayLandmarks) {
+      track.head.reset();
+    } else {
+      onDetection?.(track, landmarks);
+
+      const rawMatrix = faceResults.facialTransformationMatrixes?.[faceIndex] || null;
+      track.head.update(
+        displayLandmarks,
+        width,
+        height,
+        estimateDistance,
+        view.mirror ? mirrorTransformMatrix(rawMatrix) : rawMatrix,
+        faceResults.faceBlendshapes?.[faceIndex] || null,
+        timestampMs
+      );
+    }
+
+    // Update distance with smoothing
+    const frameDistanceCm = track.head.getAverageCameraDistance();
+    if (Number.isFinite(frameDistanceCm)) {
+      track.state.updateDistance(frameDistanceCm, timestampMs);
+    } else {
+      track.state.decayDistance(timestampMs);
+    }
+
+    // Update measurements from head tracking
+    track.state.updateMeasurements(track.head, irisDiameterMm, timestampMs, {
+      still: Boolean(view.still),
+    });
+  });
+
+  return tracks;
+}
@@ -16,10 +16,18 @@ export class ModelManager {
   /**
    * @param {Object} gestureRecognizer - MediaPipe gesture recognizer instance
    * @param {Object} faceLandmarker - MediaPipe face landmarker instance
+   * @param {Object} [vision] - MediaPipe vision fileset (for the image-mode landmarker)
+   * @param {Object} [config] - Camera configuration object
    */
-  constructor(gestureRecognizer, faceLandmarker) {
+  constructor(gestureRecognizer, faceLandmarker, vision = null, config = {}) {
     this.gestureRecognizer = gestureRecognizer;
     this.faceLandmarker = faceLandmarker;
+    this.vision = vision;
+    this.config = config;
+    this.imageFaceLandmarker = null;
+    this.fileFaceLandmarker = null;
+    this.fileTimeOffsetMs = 0;
+    this.lastFileTimestampMs = -1;
     this.lastVideoTime = -1;
     this.gestureResults = null;
     this.faceResults = null;
@@ -45,7 +53,24 @@ export class ModelManager {
       numHands: 2,
     });
 
-    const faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
+    const faceLandmarker = await ModelManager.createFaceLandmarker(
+      vision,
+      config,
+      config.runningMode
+    );
+
+    return new ModelManager(gestureRecognizer, faceLandmarker, vision, config);
+  }
+
+  /**
+   * Create a face landmarker
+   * @param {Object} vision - MediaPipe vision fileset
+   * @param {Object} config - Camera configuration object
+   * @param {string} runningMode - "VIDEO" or "IMAGE"
+   * @returns {Promise<Object>} Face landmarker instance
+   */
+  static createFaceLandmarker(vision, config, runningMode) {
+    return FaceLandmarker.createFromOptions(vision, {
       baseOptions: {
         modelAssetPath:
           "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
@@ -53,12 +78,10 @@ export class ModelManager {
       },
       outputFaceBlendshapes: true,
       outputFacialTransformationMatrixes: true,
-      runningMode: config.runningMode,
-      numFaces: 1,
+      runningMode,
+      numFaces: config.numFaces ?? 1,
       refineLandmarks: true, // Enable iris landmarks (468-477)
     });
-
-    return new ModelManager(gestureRecognizer, faceLandmarker);
   }
 
   /**
@@ -82,6 +105,51 @@ export class ModelManager {
     };
   }
 
+  /**
+   * Detect faces in a still image. The live landmarker stays in VIDEO mode, so
+   * images go through a second landmarker in IMAGE mode, created on first use.
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Image to process
+   * @returns {Promise<Object>} Face detection results
+   */
+  async detectImage(image) {
+    if (!this.imageFaceLandmarker) {
+      this.imageFaceLandmarker = await ModelManager.createFaceLandmarker(
+        this.vision,
+        this.config,
+        this.config.imageRunningMode ?? "IMAGE"
+      );
+    }
+    return this.imageFaceLandmarker.detect(image);
+  }
+
+  /**
+   * Start detecting frames of a new video file. File frames go through their
+   * own VIDEO-mode landmarker whose timestamps must keep increasing, so each
+   * file's media times are offset past the previous file's.
+   */
+  startVideoFile() {
+    this.fileTimeOffsetMs = this.lastFileTimestampMs + 1;
+  }
+
+  /**
+   * Detect faces in the current frame of a video file, at its media time
+   * @param {HTMLVideoElement} video - Video element showing the file
+   * @param {number} mediaTimeMs - Media time of the frame in milliseconds
+   * @returns {Promise<Object>} Face detection results
+   */
+  async detectVideoFileFrame(video, mediaTimeMs) {
+    if (!this.fileFaceLandmarker) {
+      this.fileFaceLandmarker = await ModelManager.createFaceLandmarker(
+        this.vision,
+        this.config,
+        this.config.runningMode
+      );
+    }
+    const timestampMs = Math.max(this.fileTimeOffsetMs + mediaTimeMs, this.lastFileTimestampMs + 1);
+    this.lastFileTimestampMs = timestampMs;
+    return this.fileFaceLandmarker.detectForVideo(video, timestampMs);
+  }
+
   /**
    * Get gesture recognizer instance
    * @returns {Object}
@@ -0,0 +1,151 @@
+/**
+ * Plugin Registry - runtime extension point for custom measurements
+ * @module core/plugin-registry
+ *
+ * A plugin can add any of:
+ * - a head tracker component (one per tracked face) next to nose/face/eyes,
+ *   with init / update / reset / dispose lifecycle hooks
+ * - a measurement builder run by StateManager.updateMeasurements
+ * - a metrics panel card (UIManager.renderMetricsPanel)
+ * - a canvas overlay (createGraphics().drawMeasurementOverlays)
+ *
+ * Plugins can be registered and unregistered while the app is running:
+ *
+ *   import { plugins } from "./core/plugin-registry.js";
+ *   plugins.register({
+ *     id: "lipHeight",
+ *     createComponent: () => ({
+ *       update(landmarks, canvasWidth, canvasHeight) { ... },
+ *       reset() { ... },
+ *     }),
+ *     buildMeasurement: ({ component, mmPerPx }) => ({ valueMm: ... }),
+ *     renderCard: (measurement) => `<div class="metric-card">...</div>`,
+ *     drawOverlay: (ctx, measurement, { policy, collisionManager }) => { ... },
+ *   });
+ */
+
+/**
+ * @typedef {Object} PluginComponent
+ * @property {function(Object): void} [init] - Called once with the head tracker
+ *   when the component is attached
+ * @property {function(Array, number, number, Object): void} [update] - Called every
+ *   frame with the filtered landmarks, canvas size and {pose, blendshapes, timestampMs}
+ * @property {function(): void} [reset] - Called when the face is lost
+ * @property {function(): void} [dispose] - Called when the plugin is unregistered
+ *   or the head tracker is disposed
+ */
+
+/**
+ * @typedef {Object} MeasurementPlugin
+ * @property {string} id - Unique plugin ID (key in head.plugins and measurements.plugins)
+ * @property {function(Object): PluginComponent} [createComponent] - Component factory,
+ *   called with the head tracker configuration for each tracked face
+ * @property {function(Object): (Object|null)} [buildMeasurement] - Builds the
+ *   measurement from {head, component, pose, mmPerPx, measurements}; top-level
+ *   numbers are temporally filtered unless filter is false
+ * @property {boolean} [filter=true] - Filter the measurement values over time
+ * @property {function(Object, Object): string} [renderCard] - Card HTML from
+ *   (measurement, state)
+ * @property {function(CanvasRenderingContext2D, Object, Object): void} [drawOverlay] -
+ *   Draws (ctx, measurement, {policy, collisionManager, state})
+ */
+
+/**
+ * Holds the registered plugins and notifies subscribers (head trackers) when
+ * plugins come and go
+ */
+export class PluginRegistry {
+  constructor() {
+    /** @type {Map<string, MeasurementPlugin>} */
+    this.plugins = new Map();
+    this.listeners = new Set();
+    this.reportedErrors = new Set();
+  }
+
+  /**
+   * Register a plugin (attached to every current and future head tracker)
+   * @param {MeasurementPlugin} plugin - Plugin definition
+   * @returns {function(): void} Function that unregisters the plugin
+   */
+  register(plugin) {
+    if (!plugin?.id || typeof plugin.id !== "string") {
+      throw new Error("Plugin must have a string id");
+    }
+    if (this.plugins.has(plugin.id)) {
+      throw new Error(`Plugin "${plugin.id}" is already registered`);
+    }
+    this.plugins.set(plugin.id, plugin);
+    this.listeners.forEach((listener) => listener("register", plugin));
+    return () => this.unregister(plugin.id);
+  }
+
+  /**
+   * Unregister a plugin (its components are disposed)
+   * @param {string} id - Plugin ID
+   * @returns {boolean} True if the plugin was registered
+   */
+  unregister(id) {
+    const plugin = this.plugins.get(id);
+    if (!plugin) return false;
+    this.plugins.delete(id);
+    this.listeners.forEach((listener) => listener("unregister", plugin));
+    for (const key of this.reportedErrors) {
+      if (key.startsWith(`${id}.`)) this.reportedErrors.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Registered plugin by ID
+   * @param {string} id - Plugin ID
+   * @returns {MeasurementPlugin|undefined}
+   */
+  get(id) {
+    return this.plugins.get(id);
+  }
+
+  /**
+   * Registered plugins in registration order
+   * @returns {MeasurementPlugin[]}
+   */
+  list() {
+    return [...this.plugins.values()];
+  }
+
+  /**
+   * Listen for registrations
+   * @param {function(("register"|"unregister"), MeasurementPlugin): void} listener
+   * @returns {function(): void} Function that removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Call a plugin hook, isolating the app from plugin errors (each failing
+   * hook is reported once)
+   * @param {MeasurementPlugin} plugin - Plugin the hook belongs to
+   * @param {string} hook - Hook name
+   * @param {Object|null|undefined} target - Plugin or component holding the hook
+   * @param {...*} args - Hook arguments
+   * @returns {*} Hook result, or undefined if missing or failed
+   */
+  invoke(plugin, hook, target, ...args) {
+    const fn = target?.[hook];
+    if (typeof fn !== "function") return undefined;
+    try {
+      return fn.apply(target, args);
+    } catch (err) {
+      const key = `${plugin.id}.${hook}`;
+      if (!this.reportedErrors.has(key)) {
+        this.reportedErrors.add(key);
+        console.error(`Plugin "${plugin.id}" ${hook} failed:`, err);
+      }
+      return undefined;
+    }
+  }
+}
+
+/** Shared registry used by the head trackers, StateManager, UIManager and graphics */
+export const plugins = new PluginRegistry();
@@ -3,36 +3,227 @@
  * @module core/state-manager
  */
 
-import { MeasurementBuilders } from "../calculations.js";
+import {
+  MeasurementBuilders,
+  MetricBuilders,
+  ConversionUtils,
+  VergenceUtils,
+  QualityUtils,
+  GazeUtils,
+  FrameFitUtils,
+  HeadSizeUtils,
+  FaceShapeUtils,
+  SymmetryUtils,
+  RegistryUtils,
+} from "../calculations.js";
+import { summarizeSamples } from "../utils/statistics.js";
+import { createFilter, FilterBank } from "../utils/temporal-filters.js";
+import { plugins } from "./plugin-registry.js";
 
 const {
   buildIpdMeasurement,
   buildFaceWidthMeasurement,
   buildEyeWidthMeasurement,
+  computeIntercanthalAngle,
+  buildEyeShapeMeasurement,
   computeNoseMetrics,
+  getNoseMidline,
 } = MeasurementBuilders;
 
+const {
+  reconstructMetricLandmarks,
+  buildSpanMeasurement3D,
+  buildEyeShapeMeasurement3D,
+  buildIpdMeasurement3D,
+  computeNoseMetrics3D,
+} = MetricBuilders;
+
+const { fuseMillimetersPerPixel } = ConversionUtils;
+const { cameraFixationAngleDeg } = VergenceUtils;
+const { computeFrameQuality } = QualityUtils;
+const { estimateGazeAngles, correctPupilForGaze } = GazeUtils;
+const { buildSegmentHeightMeasurement } = FrameFitUtils;
+const { measureHeadDepthMm, estimateHeadSize } = HeadSizeUtils;
+const { buildFaceShapeMeasurement, classifyFaceShape } = FaceShapeUtils;
+const { buildSymmetryMeasurement } = SymmetryUtils;
+const { buildRegistryMeasurement } = RegistryUtils;
+
 /**
  * @typedef {Object} MeasurementState
- * @property {Object|null} ipd - IPD measurements (near, far)
+ * @property {Object|null} ipd - IPD measurements (observed at the camera distance,
+ *   near at the working distance, far/distance PD, and monocular monoLeft/monoRight
+ *   from each pupil to the nose midline)
  * @property {Object|null} faceWidth - Face width measurement
- * @property {Object} eyes - Eye width measurements
+ * @property {Object} eyes - Per-eye width, palpebral fissure length, height and
+ *   canthal tilt (left/right)
  * @property {Object|null} nose - Nose metrics
+ * @property {Object|null} segmentHeight - Pupil to lens bottom height per eye (leftMm,
+ *   rightMm) for the selected frame, with its rails and lens outlines
+ * @property {Object|null} headSize - Estimated head breadth, length and circumference
+ *   (with a confidence band: circumferenceLowMm / circumferenceHighMm)
+ * @property {Object|null} faceShape - Forehead, cheekbone and jaw widths, face length,
+ *   their ratios to the cheekbone width and the classified shape (shape, confidence,
+ *   scores), with the silhouette contour and spans
+ * @property {Object|null} symmetry - Mirrored left/right deviation per region (eyes,
+ *   brows, nose, mouth) and overall, with the landmark pairs and midline for drawing
+ * @property {Object<string, Object>} registry - Declarative measurements by id
+ *   (HEAD_CONFIG.measurements): label, type, unit, value and points
+ * @property {Object<string, Object>} plugins - Plugin measurements by plugin ID
+ * @property {{yaw: number, pitch: number, roll: number}|null} pose - Head pose in degrees
+ * @property {string} mode - Measurement mode ("2d" | "3d" | "compare")
+ * @property {Object|null} metric3d - 3D metric values (compare mode only)
+ * @property {Object|null} scale - Scale estimates: irisMmPerPx, modelMmPerPx (canonical
+ *   model fit), mmPerPx (fused value used for measurements), irisDiameterMm, irisCalibrated
+ * @property {{score: number|null, components: Object, usable: boolean}|null} quality - Frame
+ *   quality; measurements are held (not updated) while usable is false
+ * @property {boolean} eyesClosed - Either eye is blinking or squinting; IPD and eye
+ *   widths keep their last open-eye values meanwhile
+ * @property {Object|null} gaze - Per-eye gaze angles ({yawDeg, pitchDeg}), the largest
+ *   off-axis angle (offAxisDeg) and offAxis when it exceeds the configured limit
+ */
+
+/**
+ * @typedef {Object} CaptureResult
+ * @property {number|null} startedAt - Frame time of the session's first frame (ms)
+ * @property {number} durationMs - Collection time
+ * @property {number} frameCount - Frames with a valid measurement
+ * @property {number} lowQualityFrames - Frames skipped for low quality
+ * @property {boolean} complete - True if enough frames were collected
+ * @property {string} mode - Measurement mode during the session
+ * @property {Object<string, Object|null>} metrics - Summary per metric key
+ *   (see utils/statistics SampleSummary, plus label and unit)
+ */
+
+/**
+ * Metrics aggregated by a capture session (registry measurements are added
+ * per StateManager)
+ * @type {{key: string, label: string, unit: "mm"|"cm"|"deg", read: Function}[]}
+ */
+const CAPTURE_METRICS = [
+  { key: "ipd.near", label: "IPD near", unit: "mm", read: (m) => m.ipd?.near },
+  { key: "ipd.far", label: "IPD far", unit: "mm", read: (m) => m.ipd?.far },
+  { key: "ipd.monoLeft", label: "Mono PD left", unit: "mm", read: (m) => m.ipd?.monoLeft },
+  { key: "ipd.monoRight", label: "Mono PD right", unit: "mm", read: (m) => m.ipd?.monoRight },
+  { key: "segmentHeight.leftMm", label: "Seg height left", unit: "mm", read: (m) => m.segmentHeight?.leftMm },
+  { key: "segmentHeight.rightMm", label: "Seg height right", unit: "mm", read: (m) => m.segmentHeight?.rightMm },
+  { key: "faceWidth", label: "Face width", unit: "mm", read: (m) => m.faceWidth?.valueMm },
+  { key: "eyes.left", label: "Left eye", unit: "mm", read: (m) => m.eyes?.left?.valueMm },
+  { key: "eyes.right", label: "Right eye", unit: "mm", read: (m) => m.eyes?.right?.valueMm },
+  { key: "eyes.left.fissureLengthMm", label: "Left fissure", unit: "mm", read: (m) => m.eyes?.left?.fissureLengthMm },
+  { key: "eyes.right.fissureLengthMm", label: "Right fissure", unit: "mm", read: (m) => m.eyes?.right?.fissureLengthMm },
+  { key: "eyes.left.heightMm", label: "Left eye height", unit: "mm", read: (m) => m.eyes?.left?.heightMm },
+  { key: "eyes.right.heightMm", label: "Right eye height", unit: "mm", read: (m) => m.eyes?.right?.heightMm },
+  { key: "eyes.left.canthalTiltDeg", label: "Left canthal tilt", unit: "deg", read: (m) => m.eyes?.left?.canthalTiltDeg },
+  { key: "eyes.right.canthalTiltDeg", label: "Right canthal tilt", unit: "deg", read: (m) => m.eyes?.right?.canthalTiltDeg },
+  { key: "headSize.circumferenceMm", label: "Head circumference", unit: "mm", read: (m) => m.headSize?.circumferenceMm },
+  { key: "headSize.breadthMm", label: "Head breadth", unit: "mm", read: (m) => m.headSize?.breadthMm },
+  { key: "headSize.lengthMm", label: "Head length", unit: "mm", read: (m) => m.headSize?.lengthMm },
+  { key: "faceShape.faceLengthMm", label: "Face length", unit: "mm", read: (m) => m.faceShape?.faceLengthMm },
+  { key: "faceShape.foreheadWidthMm", label: "Forehead width", unit: "mm", read: (m) => m.faceShape?.foreheadWidthMm },
+  { key: "faceShape.jawWidthMm", label: "Jaw width", unit: "mm", read: (m) => m.faceShape?.jawWidthMm },
+  { key: "symmetry.overallMm", label: "Asymmetry", unit: "mm", read: (m) => m.symmetry?.overallMm },
+  { key: "nose.bridgeWidthMm", label: "Bridge width", unit: "mm", read: (m) => m.nose?.bridgeWidthMm },
+  { key: "nose.padSpanMm", label: "Pad width", unit: "mm", read: (m) => m.nose?.padSpanMm },
+  { key: "nose.padHeightMm", label: "Pad height", unit: "mm", read: (m) => m.nose?.padHeightMm },
+  { key: "nose.padAngleDeg", label: "Pad angle", unit: "deg", read: (m) => m.nose?.padAngleDeg },
+  { key: "nose.flareAngleDeg", label: "Flare angle", unit: "deg", read: (m) => m.nose?.flareAngleDeg },
+];
+
+/**
+ * Recursively freeze an object
+ * @param {Object} obj - Object to freeze
+ * @returns {Object} The same object, frozen
  */
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (value && typeof value === "object") deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
+
+/**
+ * Overlay the numeric values of an alternative measurement (pose-compensated
+ * or 3D) onto the display measurement, keeping the display geometry (points,
+ * rows) so overlays stay anchored to the face in the video.
+ * @param {Object|null} display - Measurement built from display landmarks
+ * @param {Object|null} source - Measurement providing the values
+ * @returns {Object|null} Display measurement with the source values
+ */
+function withValuesFrom(display, source) {
+  if (!display || !source) return display;
+  const result = { ...display };
+  for (const [key, value] of Object.entries(source)) {
+    if (typeof value === "number") result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Build both eyes' measurements: corner-to-corner width plus the eye shape
+ * (fissure length, height and canthal tilt against the intercanthal line)
+ * @param {Object} eyes - Eyes component ({left, right} with segment and shape)
+ * @param {number} mmPerPx - Millimeters per pixel
+ * @returns {{left: Object|null, right: Object|null}} Eye measurements
+ */
+function buildEyeMeasurements(eyes, mmPerPx) {
+  const axisAngle = computeIntercanthalAngle(eyes.left.shape, eyes.right.shape);
+  const build = (eye) => {
+    const width = buildEyeWidthMeasurement(eye.segment, mmPerPx);
+    const shape = buildEyeShapeMeasurement(eye.shape, mmPerPx, axisAngle);
+    return width || shape ? { ...width, ...shape } : null;
+  };
+  return { left: build(eyes.left), right: build(eyes.right) };
+}
 
 /**
  * Manages the application's measurement state with stabilization
  */
 export class StateManager {
-  constructor(config) {
+  /**
+   * @param {Object} config - Camera configuration (CAMERA_CONFIG)
+   * @param {Object} [options] - Optional estimators and declarative measurements
+   * @param {Object|null} [options.headSize] - Head size estimation (HEAD_SIZE_CONFIG, null = off)
+   * @param {Object|null} [options.faceShape] - Face shape classification (FACE_SHAPE_CONFIG, null = off)
+   * @param {Object|null} [options.symmetry] - Symmetry analysis (SYMMETRY_CONFIG, null = off)
+   * @param {Object[]} [options.measurements] - Registry definitions (HEAD_CONFIG.measurements)
+   */
+  constructor(
+    config,
+    { headSize = null, faceShape = null, symmetry = null, measurements = [] } = {}
+  ) {
     this.config = config;
+    this.headSizeConfig = headSize;
+    this.faceShapeConfig = faceShape;
+    this.symmetryConfig = symmetry;
+    this.registryDefinitions = measurements || [];
+    this.captureMetrics = [
+      ...CAPTURE_METRICS,
+      ...this.registryDefinitions.map(({ id, label, unit }) => ({
+        key: `registry.${id}`,
+        label: label ?? id,
+        unit,
+        read: (m) => m.registry?.[id]?.value,
+      })),
+    ];
     this.smoothedDistance = null;
-    this.lastDistanceUpdate = 0;
+    this.lastDistanceUpdate = null;
+
+    // Session iris diameter from calibration (overrides the default)
+    this.calibratedIrisDiameterMm = null;
+
+    // Frame model for the segment height (null = none selected)
+    this.frame = null;
+
+    // Temporal filters (CAMERA_CONFIG.filters): iris diameter, distance and
+    // one filter per measurement value
+    const filters = config.filters || {};
+    this.irisFilter = createFilter(filters.irisDiameter);
+    this.distanceFilter = createFilter(filters.distance);
+    this.measurementFilters = new FilterBank(filters.measurements);
 
-    // Iris diameter smoothing for stable measurements (configurable)
-    this.smoothedIrisDiameterPx = null;
-    this.smoothingFactor = config.irisSmoothing ?? 0.15;
-    this.stabilizationThreshold = config.irisStabilizationThreshold ?? 0.5;
+    // Capture session (null when idle) and the last frozen result
+    this.capture = null;
+    this.captureResult = null;
 
     /** @type {MeasurementState} */
     this.measurements = {
@@ -40,6 +231,19 @@ export class StateManager {
       faceWidth: null,
       eyes: { left: null, right: null },
       nose: null,
+      segmentHeight: null,
+      headSize: null,
+      faceShape: null,
+      symmetry: null,
+      registry: {},
+      plugins: {},
+      pose: null,
+      mode: config.measurementMode || "2d",
+      metric3d: null,
+      scale: null,
+      quality: null,
+      eyesClosed: false,
+      gaze: null,
     };
   }
 
@@ -51,41 +255,131 @@ export class StateManager {
     this.measurements.faceWidth = null;
     this.measurements.eyes = { left: null, right: null };
     this.measurements.nose = null;
-    // Don't reset smoothed iris diameter - maintain stability across brief interruptions
+    this.measurements.segmentHeight = null;
+    this.measurements.headSize = null;
+    this.measurements.faceShape = null;
+    this.measurements.symmetry = null;
+    this.measurements.registry = {};
+    this.measurements.plugins = {};
+    this.measurements.pose = null;
+    this.measurements.metric3d = null;
+    this.measurements.scale = null;
+    this.measurements.quality = null;
+    this.measurements.gaze = null;
+    this.measurements.eyesClosed = false;
+    this.measurementFilters.reset();
+    // Don't reset the iris diameter filter - maintain stability across brief interruptions
   }
 
   /**
-   * Smooth iris diameter with exponential smoothing and stabilization threshold
-   * @param {number} rawDiameterPx - Raw iris diameter in pixels
-   * @returns {number} Smoothed iris diameter
+   * Use a calibrated iris diameter for the rest of the session
+   * @param {number|null} irisDiameterMm - Iris diameter in mm (null = default)
    */
-  smoothIrisDiameter(rawDiameterPx) {
-    // Initialize on first call
-    if (this.smoothedIrisDiameterPx === null) {
-      this.smoothedIrisDiameterPx = rawDiameterPx;
-      return rawDiameterPx;
-    }
+  setIrisDiameterMm(irisDiameterMm) {
+    this.calibratedIrisDiameterMm =
+      Number.isFinite(irisDiameterMm) && irisDiameterMm > 0 ? irisDiameterMm : null;
+  }
 
-    // Calculate difference
-    const diff = Math.abs(rawDiameterPx - this.smoothedIrisDiameterPx);
+  /**
+   * Select the frame model used for the segment height
+   * @param {Object|null} frame - Frame model (FRAME_CONFIG.models entry, null = none)
+   */
+  setFrame(frame) {
+    this.frame = frame || null;
+    if (!this.frame) this.measurements.segmentHeight = null;
+  }
 
-    // Ignore tiny changes (stabilization threshold)
-    if (diff < this.stabilizationThreshold) {
-      return this.smoothedIrisDiameterPx; // No change
-    }
+  /**
+   * Get the iris diameter used for scale
+   * @param {number} defaultIrisDiameterMm - Fallback diameter
+   * @returns {number} Calibrated diameter if set, otherwise the fallback
+   */
+  getIrisDiameterMm(defaultIrisDiameterMm) {
+    return this.calibratedIrisDiameterMm ?? defaultIrisDiameterMm;
+  }
 
-    // Apply exponential smoothing for larger changes
-    this.smoothedIrisDiameterPx += (rawDiameterPx - this.smoothedIrisDiameterPx) * this.smoothingFactor;
+  /**
+   * Filter the iris diameter with the configured temporal filter
+   * @param {number} rawDiameterPx - Raw iris diameter in pixels
+   * @param {number} timestampMs - Frame time in milliseconds
+   * @returns {number} Filtered iris diameter
+   */
+  smoothIrisDiameter(rawDiameterPx, timestampMs) {
+    return this.irisFilter.filter(rawDiameterPx, timestampMs);
+  }
 
-    return this.smoothedIrisDiameterPx;
+  /**
+   * Filter each measurement value over time (drawing geometry is left as measured)
+   * @param {number} timestampMs - Frame time in milliseconds
+   * @param {boolean} [holdEyeValues] - IPD, eye, segment height and symmetry values
+   *   are held (eyes closed): leave them and their filters untouched
+   */
+  filterMeasurements(timestampMs, holdEyeValues = false) {
+    const bank = this.measurementFilters;
+    const m = this.measurements;
+    if (!holdEyeValues) {
+      m.ipd = bank.filterValues("ipd", m.ipd, timestampMs);
+      m.eyes = {
+        left: bank.filterValues("eyes.left", m.eyes.left, timestampMs),
+        right: bank.filterValues("eyes.right", m.eyes.right, timestampMs),
+      };
+      m.segmentHeight = bank.filterValues("segmentHeight", m.segmentHeight, timestampMs);
+    }
+    m.faceWidth = bank.filterValues("faceWidth", m.faceWidth, timestampMs);
+    m.nose = bank.filterValues("nose", m.nose, timestampMs);
+    m.headSize = bank.filterValues("headSize", m.headSize, timestampMs);
+    m.faceShape = bank.filterValues("faceShape", m.faceShape, timestampMs);
+    m.registry = Object.fromEntries(
+      Object.entries(m.registry).map(([id, values]) => [
+        id,
+        bank.filterValues(`registry.${id}`, values, timestampMs),
+      ])
+    );
+    m.plugins = Object.fromEntries(
+      Object.entries(m.plugins).map(([id, values]) => [
+        id,
+        plugins.get(id)?.filter === false
+          ? values
+          : bank.filterValues(`plugins.${id}`, values, timestampMs),
+      ])
+    );
+    if (m.symmetry && !holdEyeValues) {
+      m.symmetry = {
+        ...bank.filterValues("symmetry", m.symmetry, timestampMs),
+        regions: Object.fromEntries(
+          Object.entries(m.symmetry.regions).map(([region, values]) => [
+            region,
+            bank.filterValues(`symmetry.${region}`, values, timestampMs),
+          ])
+        ),
+      };
+    }
   }
 
   /**
    * Update measurements from head tracking data with iris diameter stabilization
    * @param {Object} head - Head tracker instance
-   * @param {number} irisDiameterMm - Expected iris diameter in mm
+   * @param {number} defaultIrisDiameterMm - Expected iris diameter in mm (unless calibrated)
+   * @param {number} [timestampMs] - Frame time in milliseconds (for the temporal filters)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.still] - Single still image: measured even if it fails
+   *   the frame quality gate (there is no better frame to wait for)
    */
-  updateMeasurements(head, irisDiameterMm) {
+  updateMeasurements(
+    head,
+    defaultIrisDiameterMm,
+    timestampMs = performance.now(),
+    { still = false } = {}
+  ) {
+    // Capture sessions run on frame time, so replays and file analysis collect
+    // the same frames however fast they are processed
+    if (this.capture) {
+      if (this.capture.startedAt == null) this.capture.startedAt = timestampMs;
+      this.capture.lastTimestampMs = timestampMs;
+      if (timestampMs - this.capture.startedAt >= this.capture.durationMs) this.finishCapture();
+    }
+
+    const irisDiameterMm = this.getIrisDiameterMm(defaultIrisDiameterMm);
     const leftIris = head.eyes.left.iris;
     const rightIris = head.eyes.right.iris;
 
@@ -94,64 +388,581 @@ export class StateManager {
       return;
     }
 
-    // Calculate raw average iris diameter
-    const rawAvgDiameterPx = (rightIris.diameterPx + leftIris.diameterPx) / 2;
+    // Pose compensation: values from the de-rotated (frontal) geometry,
+    // drawing geometry from the display landmarks
+    const pose = head.pose?.rotation ? head.pose : null;
+    const compensate =
+      pose && this.config.poseCompensation !== false &&
+      pose.eyes.left.iris && pose.eyes.right.iris;
+
+    // Values to hold while the eyes are closed
+    const held = {
+      ipd: this.measurements.ipd,
+      eyes: this.measurements.eyes,
+      segmentHeight: this.measurements.segmentHeight,
+      symmetry: this.measurements.symmetry,
+    };
+
+    // Low-quality frames keep the previous values out of smoothing and captures
+    // (a still image is measured whatever its score)
+    const quality = this.computeQuality(head);
+    if (still) quality.usable = true;
+    this.measurements.quality = quality;
+    if (!quality.usable) {
+      if (this.capture) this.capture.lowQualityFrames++;
+      return;
+    }
+
+    // Calculate raw average iris diameter (frontal iris is not foreshortened)
+    const irisSource = compensate ? pose.eyes : head.eyes;
+    const rawAvgDiameterPx =
+      (irisSource.right.iris.diameterPx + irisSource.left.iris.diameterPx) / 2;
     if (!Number.isFinite(rawAvgDiameterPx) || rawAvgDiameterPx <= 0) {
       this.reset();
       return;
     }
 
-    // Apply smoothing to reduce jitter
-    const smoothedDiameterPx = this.smoothIrisDiameter(rawAvgDiameterPx);
+    // Filter to reduce jitter
+    const smoothedDiameterPx = this.smoothIrisDiameter(rawAvgDiameterPx, timestampMs);
+
+    // Calculate mmPerPx using smoothed diameter for stable measurements,
+    // fused with the canonical model fit when available
+    const irisMmPerPx = irisDiameterMm / smoothedDiameterPx;
+    const modelMmPerPx = this.getModelMmPerPx(head);
+    const fusion = this.config.scaleFusion;
+    const mmPerPx =
+      (fusion?.enabled &&
+        fuseMillimetersPerPixel([
+          { mmPerPx: irisMmPerPx, weight: fusion.irisWeight ?? 1 },
+          { mmPerPx: modelMmPerPx, weight: fusion.modelWeight ?? 1 },
+        ])) ||
+      irisMmPerPx;
+    this.measurements.scale = {
+      irisMmPerPx,
+      modelMmPerPx,
+      mmPerPx,
+      irisDiameterMm,
+      irisCalibrated: this.calibratedIrisDiameterMm != null,
+    };
+
+    // Gaze compensation: values from pupils moved back to primary gaze,
+    // drawing geometry from the observed pupils
+    const gaze = this.computeGaze(compensate ? pose.eyes : head.eyes);
+    this.measurements.gaze = gaze;
+
+    const vergence = this.getVergenceParameters();
+    const midline = getNoseMidline(head.nose.grid);
+    const gazeIpd = gaze && this.buildGazeCorrectedIpd(head.eyes, gaze, mmPerPx, vergence, midline);
+    const ipd = withValuesFrom(
+      buildIpdMeasurement(leftIris, rightIris, mmPerPx, vergence, midline),
+      gazeIpd
+    );
+    const faceWidth = buildFaceWidthMeasurement(head.face.widthPoints, mmPerPx);
+    const eyes = buildEyeMeasurements(head.eyes, mmPerPx);
+    const nose = computeNoseMetrics(head.nose.grid, mmPerPx);
+    const segmentHeight = this.buildSegmentHeight(ipd, nose, mmPerPx);
+
+    if (compensate) {
+      const frontalIpd = this.buildGazeCorrectedIpd(
+        pose.eyes,
+        gaze,
+        mmPerPx,
+        vergence,
+        getNoseMidline(pose.nose.grid)
+      );
+      const frontalNose = computeNoseMetrics(pose.nose.grid, mmPerPx);
+      this.measurements.ipd = withValuesFrom(ipd, frontalIpd);
+      this.measurements.faceWidth = withValuesFrom(
+        faceWidth,
+        buildFaceWidthMeasurement(pose.face.widthPoints, mmPerPx)
+      );
+      const frontalEyes = buildEyeMeasurements(pose.eyes, mmPerPx);
+      this.measurements.eyes = {
+        left: withValuesFrom(eyes.left, frontalEyes.left),
+        right: withValuesFrom(eyes.right, frontalEyes.right),
+      };
+      this.measurements.nose = withValuesFrom(nose, frontalNose);
+      this.measurements.segmentHeight = withValuesFrom(
+        segmentHeight,
+        this.buildSegmentHeight(frontalIpd, frontalNose, mmPerPx)
+      );
+    } else {
+      this.measurements.ipd = ipd;
+      this.measurements.faceWidth = faceWidth;
+      this.measurements.eyes = eyes;
+      this.measurements.nose = nose;
+      this.measurements.segmentHeight = withValuesFrom(
+        segmentHeight,
+        this.buildSegmentHeight(gazeIpd, nose, mmPerPx)
+      );
+    }
+
+    this.measurements.pose = pose
+      ? { yaw: pose.rotation.yaw, pitch: pose.rotation.pitch, roll: pose.rotation.roll }
+      : null;
+
+    // 3D metric path (replaces the 2D values, or sits beside them for comparison)
+    const mode = this.config.measurementMode || "2d";
+    const metric3d = mode === "2d" ? null : this.build3DMeasurements(head, mmPerPx, vergence);
+    if (mode === "3d" && metric3d) {
+      this.measurements.ipd = withValuesFrom(this.measurements.ipd, metric3d.ipd);
+      this.measurements.faceWidth = withValuesFrom(this.measurements.faceWidth, metric3d.faceWidth);
+      this.measurements.eyes = {
+        left: withValuesFrom(this.measurements.eyes.left, metric3d.eyes.left),
+        right: withValuesFrom(this.measurements.eyes.right, metric3d.eyes.right),
+      };
+      this.measurements.nose = withValuesFrom(this.measurements.nose, metric3d.nose);
+    }
+    this.measurements.mode = mode;
+    this.measurements.metric3d = mode === "compare" ? metric3d : null;
+
+    this.measurements.headSize = this.buildHeadSize(head, compensate ? pose : null, mmPerPx);
 
-    // Calculate mmPerPx using smoothed diameter for stable measurements
-    const mmPerPx = irisDiameterMm / smoothedDiameterPx;
+    this.measurements.faceShape = this.buildFaceShape(head, compensate ? pose : null, mmPerPx);
+    this.measurements.symmetry = this.buildSymmetry(head, compensate ? pose : null, mmPerPx);
+    this.measurements.registry = this.buildRegistry(head, compensate ? pose : null, mmPerPx);
+    this.measurements.plugins = this.buildPluginMeasurements(
+      head,
+      compensate ? pose : null,
+      mmPerPx
+    );
 
-    this.measurements.ipd = buildIpdMeasurement(leftIris, rightIris, mmPerPx);
-    this.measurements.faceWidth = buildFaceWidthMeasurement(head.face.widthPoints, mmPerPx);
-    this.measurements.eyes = {
-      left: buildEyeWidthMeasurement(head.eyes.left.segment, mmPerPx),
-      right: buildEyeWidthMeasurement(head.eyes.right.segment, mmPerPx),
+    // Blink/squint: keep the last open-eye IPD and eye widths, and keep the
+    // closed-eye values out of their filters
+    const eyesClosed = head.eyes.left.closed || head.eyes.right.closed;
+    this.measurements.eyesClosed = eyesClosed;
+    const holdEyeValues = Boolean(eyesClosed && held.ipd);
+    if (holdEyeValues) {
+      this.measurements.ipd = held.ipd;
+      this.measurements.eyes = held.eyes;
+      this.measurements.segmentHeight = held.segmentHeight;
+      this.measurements.symmetry = held.symmetry;
+    }
+
+    this.filterMeasurements(timestampMs, holdEyeValues);
+
+    // Classify the filtered ratios so the shape does not flicker
+    const faceShape = this.measurements.faceShape;
+    if (faceShape) {
+      this.measurements.faceShape = {
+        ...faceShape,
+        ...classifyFaceShape(faceShape, this.faceShapeConfig),
+      };
+    }
+
+    if (this.capture) {
+      if (eyesClosed) this.capture.lowQualityFrames++;
+      else this.recordCaptureSample();
+    }
+  }
+
+  /**
+   * Start collecting measurements for a capture session (discards the previous
+   * result). The session is timed from the next frame's timestamp.
+   */
+  startCapture() {
+    const { capture = {} } = this.config;
+    this.captureResult = null;
+    this.capture = {
+      startedAt: null,
+      lastTimestampMs: null,
+      durationMs: capture.durationMs ?? 5000,
+      frameCount: 0,
+      lowQualityFrames: 0,
+      samples: Object.fromEntries(this.captureMetrics.map(({ key }) => [key, []])),
     };
+  }
 
-    const noseMetrics = computeNoseMetrics(head.nose.grid, mmPerPx);
-    this.measurements.nose = noseMetrics;
+  /**
+   * Abort the capture session without producing a result
+   */
+  cancelCapture() {
+    this.capture = null;
   }
 
   /**
-   * Update smoothed distance with exponential smoothing
-   * @param {number} distanceCm - Raw distance measurement in cm
-   * @returns {number} Smoothed distance
+   * Add the current measurements to the capture session
    */
-  updateDistance(distanceCm) {
-    if (this.smoothedDistance == null) {
-      this.smoothedDistance = distanceCm;
-    } else {
-      const smoothingFactor = this.config.distanceSmoothing || 0.18;
-      this.smoothedDistance += (distanceCm - this.smoothedDistance) * smoothingFactor;
+  recordCaptureSample() {
+    this.capture.frameCount++;
+    for (const [key, value] of Object.entries(this.readCaptureMetrics())) {
+      this.capture.samples[key].push(value);
+    }
+  }
+
+  /**
+   * Current values of the capture metrics
+   * @returns {Object<string, number>} Finite values by metric key
+   */
+  readCaptureMetrics() {
+    const values = {};
+    for (const { key, read } of this.captureMetrics) {
+      const value = read(this.measurements);
+      if (Number.isFinite(value)) values[key] = value;
     }
+    return values;
+  }
+
+  /**
+   * Summarize samples of the capture metrics (robust median and interval)
+   * @param {Object<string, number[]>} samples - Samples by metric key
+   * @returns {Object<string, Object|null>} Summary with label and unit by metric key
+   */
+  summarizeCaptureMetrics(samples) {
+    const { capture = {} } = this.config;
+    const metrics = {};
+    for (const { key, label, unit } of this.captureMetrics) {
+      const summary = summarizeSamples(samples[key] || [], capture);
+      metrics[key] = summary ? { label, unit, ...summary } : null;
+    }
+    return metrics;
+  }
+
+  /**
+   * Aggregate the collected samples into a frozen result and end the session
+   * @returns {CaptureResult} Capture result
+   */
+  finishCapture() {
+    const { capture = {} } = this.config;
+    const session = this.capture;
+    const metrics = this.summarizeCaptureMetrics(session.samples);
+
+    this.capture = null;
+    this.captureResult = deepFreeze({
+      startedAt: session.startedAt,
+      durationMs: session.durationMs,
+      frameCount: session.frameCount,
+      lowQualityFrames: session.lowQualityFrames,
+      complete: session.frameCount >= (capture.minSamples ?? 1),
+      mode: this.measurements.mode,
+      metrics,
+    });
+    return this.captureResult;
+  }
+
+  /**
+   * Get capture session status
+   * @returns {{active: boolean, progress: number, result: CaptureResult|null}}
+   */
+  getCaptureStatus() {
+    const session = this.capture;
+    return {
+      active: Boolean(session),
+      progress:
+        session?.startedAt != null
+          ? Math.min(1, (session.lastTimestampMs - session.startedAt) / session.durationMs)
+          : 0,
+      result: this.captureResult,
+    };
+  }
+
+  /**
+   * Vergence model inputs: the smoothed camera distance (or the configured
+   * fallback) and the near working distance
+   * @returns {Object|null} Parameters for buildIpdMeasurement or null if disabled
+   */
+  getVergenceParameters() {
+    const vergence = this.config.vergence;
+    if (!vergence?.enabled) return null;
+    const distanceCm = this.getSmoothedDistance() ?? vergence.fallbackDistanceCm;
+    return {
+      cameraDistanceMm: distanceCm * 10,
+      nearDistanceMm: vergence.nearWorkingDistanceCm * 10,
+      rotationRadiusMm: vergence.rotationRadiusMm,
+    };
+  }
+
+  /**
+   * Estimate per-eye gaze angles from the eye components' raw gaze signals
+   * @param {Object} eyes - Eyes component ({left, right} with gaze signals)
+   * @returns {Object|null} Gaze state or null if disabled or unavailable
+   */
+  computeGaze(eyes) {
+    const config = this.config.gaze;
+    if (!config?.enabled) return null;
+
+    const left = estimateGazeAngles(eyes.left.gaze, config);
+    const right = estimateGazeAngles(eyes.right.gaze, config);
+    const angles = [left, right].filter(Boolean);
+    if (!angles.length) return null;
+
+    const offAxisDeg = Math.max(...angles.map((a) => Math.hypot(a.yawDeg, a.pitchDeg)));
+    return { left, right, offAxisDeg, offAxis: offAxisDeg > config.maxOffAxisDeg };
+  }
+
+  /**
+   * Build the IPD from pupils moved back to camera fixation (uncorrected
+   * pupils when no gaze angles are available). Looking at the camera already
+   * turns the eyes inwards, which the gaze angles include; that part is left
+   * for the vergence model so it is not corrected twice.
+   * @param {Object} eyes - Eyes component ({left, right} with iris and gaze signals)
+   * @param {Object|null} gaze - Output of computeGaze
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @param {Object|null} vergence - Vergence parameters
+   * @param {Object|null} midline - Nose midline for the monocular PD
+   * @returns {Object|null} IPD measurement
+   */
+  buildGazeCorrectedIpd(eyes, gaze, mmPerPx, vergence, midline) {
+    const radiusMm = this.config.vergence?.rotationRadiusMm ?? 10.5;
+    const observedPdMm = buildIpdMeasurement(eyes.left.iris, eyes.right.iris, mmPerPx)?.observed;
+    // Gaze is outwards positive, so fixating the camera reads as -fixationDeg
+    const fixationDeg = cameraFixationAngleDeg(observedPdMm, vergence);
+    const correct = (eye, angles) =>
+      correctPupilForGaze(
+        eye.iris,
+        eye.gaze,
+        angles && { ...angles, yawDeg: angles.yawDeg + fixationDeg },
+        mmPerPx,
+        radiusMm
+      );
+    return buildIpdMeasurement(
+      correct(eyes.left, gaze?.left),
+      correct(eyes.right, gaze?.right),
+      mmPerPx,
+      vergence,
+      midline
+    );
+  }
+
+  /**
+   * Build the segment height of the selected frame, placed on the nose pad row
+   * @param {Object|null} ipd - IPD measurement (pupil centers)
+   * @param {Object|null} nose - Nose metrics (rows.pad)
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @returns {Object|null} Segment height measurement (null without a frame)
+   */
+  buildSegmentHeight(ipd, nose, mmPerPx) {
+    if (!this.frame || !ipd) return null;
+    return buildSegmentHeightMeasurement(ipd, nose?.rows?.pad, this.frame, mmPerPx);
+  }
+
+  /**
+   * Estimate the head size from the face width and the forehead-to-ear depth
+   * of the metric 3D landmarks (frontal landmarks when pose-compensated)
+   * @param {Object} head - Head tracker instance
+   * @param {Object|null} pose - Pose component when compensating, otherwise null
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @returns {Object|null} Head size estimate
+   */
+  buildHeadSize(head, pose, mmPerPx) {
+    const config = this.headSizeConfig;
+    if (!config?.enabled || !head.canvasSize) return null;
+
+    const { width, height } = head.canvasSize;
+    const landmarks = pose?.landmarks || head.landmarks;
+    const points3d = reconstructMetricLandmarks(landmarks, width, height, mmPerPx);
+    const faceIdx = head.face.indexMap || {};
+    return estimateHeadSize(
+      {
+        faceWidthMm: this.measurements.faceWidth?.valueMm,
+        depthMm: measureHeadDepthMm(points3d, config.foreheadIdx, [faceIdx.left, faceIdx.right]),
+      },
+      config
+    );
+  }
+
+  /**
+   * Measure the face silhouette spans (values from the frontal landmarks
+   * when pose-compensated, contour from the observed ones)
+   * @param {Object} head - Head tracker instance
+   * @param {Object|null} pose - Pose component when compensating, otherwise null
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @returns {Object|null} Face shape measurement (unclassified)
+   */
+  buildFaceShape(head, pose, mmPerPx) {
+    if (!this.faceShapeConfig?.enabled) return null;
+    const faceShape = buildFaceShapeMeasurement(head.silhouette?.outline, mmPerPx);
+    if (!pose) return faceShape;
+    return withValuesFrom(faceShape, buildFaceShapeMeasurement(pose.silhouette?.outline, mmPerPx));
+  }
+
+  /**
+   * Mirror the left landmarks across the midline plane (forehead landmarks
+   * and the nose grid center column) in metric 3D, frontal when pose-compensated
+   * @param {Object} head - Head tracker instance
+   * @param {Object|null} pose - Pose component when compensating, otherwise null
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @returns {Object|null} Symmetry measurement
+   */
+  buildSymmetry(head, pose, mmPerPx) {
+    const config = this.symmetryConfig;
+    if (!config?.enabled || !head.canvasSize) return null;
+
+    const { width, height } = head.canvasSize;
+    const landmarks = pose?.landmarks || head.landmarks;
+    const points3d = reconstructMetricLandmarks(landmarks, width, height, mmPerPx);
+    const noseCenter = Object.values(head.nose.indices || {}).map(
+      (row) => row[Math.floor(row.length / 2)]
+    );
+    return buildSymmetryMeasurement(
+      points3d,
+      head.landmarks,
+      [...config.foreheadIdx, ...noseCenter],
+      config.regions,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Build the declarative measurements (values from the frontal landmarks
+   * when pose-compensated, points from the observed ones)
+   * @param {Object} head - Head tracker instance
+   * @param {Object|null} pose - Pose component when compensating, otherwise null
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @returns {Object<string, Object>} Measurements by definition id
+   */
+  buildRegistry(head, pose, mmPerPx) {
+    const result = {};
+    for (const definition of this.registryDefinitions) {
+      const measurement = buildRegistryMeasurement(
+        definition,
+        head.registry?.points[definition.id],
+        mmPerPx
+      );
+      if (!measurement) continue;
+      result[definition.id] = pose
+        ? withValuesFrom(
+            measurement,
+            buildRegistryMeasurement(definition, pose.registry?.points[definition.id], mmPerPx)
+          )
+        : measurement;
+    }
+    return result;
+  }
 
-    this.lastDistanceUpdate = performance.now();
+  /**
+   * Run the measurement builder of every registered plugin
+   * @param {Object} head - Head tracker instance (plugin components in head.plugins)
+   * @param {Object|null} pose - Pose component when compensating, otherwise null
+   * @param {number} mmPerPx - Millimeters per pixel
+   * @returns {Object<string, Object>} Measurements by plugin ID (failed, null and
+   *   non-object results left out)
+   */
+  buildPluginMeasurements(head, pose, mmPerPx) {
+    const result = {};
+    for (const plugin of plugins.list()) {
+      const measurement = plugins.invoke(plugin, "buildMeasurement", plugin, {
+        head,
+        component: head.plugins?.get(plugin.id) ?? null,
+        pose,
+        mmPerPx,
+        measurements: this.measurements,
+      });
+      if (measurement && typeof measurement === "object") result[plugin.id] = measurement;
+    }
+    return result;
+  }
+
+  /**
+   * Score the current frame from pose, iris fit, distance, jitter and blink
+   * @param {Object} head - Head tracker instance
+   * @returns {{score: number|null, components: Object, usable: boolean}} Frame quality
+   */
+  computeQuality(head) {
+    const config = this.config.quality;
+    if (!config?.enabled) return { score: null, components: {}, usable: true };
+
+    const rotation = head.pose?.rotation;
+    const residuals = [head.eyes.left.iris?.fitResidual, head.eyes.right.iris?.fitResidual]
+      .filter(Number.isFinite);
+    const { score, components } = computeFrameQuality(
+      {
+        pose: rotation ? { yaw: rotation.yaw, pitch: rotation.pitch, roll: rotation.roll } : null,
+        irisResidual: residuals.length ? Math.max(...residuals) : null,
+        distanceCm: head.getAverageCameraDistance(),
+        jitter: head.quality?.jitter,
+        blink: head.quality?.blink,
+      },
+      config
+    );
+    return { score, components, usable: score == null || score >= config.minScore };
+  }
+
+  /**
+   * Scale from the canonical model fit, if the fit is good enough to trust
+   * @param {Object} head - Head tracker instance
+   * @returns {number|null} Millimeters per pixel or null
+   */
+  getModelMmPerPx(head) {
+    const fit = head.modelFit?.fit;
+    if (!fit || !Number.isFinite(fit.mmPerPx)) return null;
+    const maxRms = this.config.scaleFusion?.maxFitRmsMm ?? Infinity;
+    return fit.rmsErrorMm <= maxRms ? fit.mmPerPx : null;
+  }
+
+  /**
+   * Build measurements as Euclidean distances between metric 3D landmarks
+   * @param {Object} head - Head tracker instance
+   * @param {number} mmPerPx - Iris-derived millimeters per pixel
+   * @param {Object|null} [vergence] - Vergence parameters for the IPD
+   * @returns {Object|null} 3D values shaped like the measurement state
+   */
+  build3DMeasurements(head, mmPerPx, vergence = null) {
+    if (!head.landmarks || !head.canvasSize) return null;
+    const { width, height } = head.canvasSize;
+    const points3d = reconstructMetricLandmarks(head.landmarks, width, height, mmPerPx);
+    if (!points3d) return null;
+
+    const { left: leftEye, right: rightEye } = head.eyes;
+    const faceIdx = head.face.indexMap || {};
+    const buildEye = (eye) => {
+      const width = eye.widthIdx
+        ? buildSpanMeasurement3D(points3d, eye.widthIdx[0], eye.widthIdx[1])
+        : null;
+      const shape = buildEyeShapeMeasurement3D(
+        points3d,
+        eye.irisIndices?.corners,
+        eye.irisIndices?.lids
+      );
+      return width || shape ? { ...width, ...shape } : null;
+    };
+    return {
+      ipd: buildIpdMeasurement3D(
+        points3d,
+        leftEye.irisIndices?.pupil,
+        rightEye.irisIndices?.pupil,
+        vergence,
+        getNoseMidline(head.nose.indices)
+      ),
+      faceWidth: buildSpanMeasurement3D(points3d, faceIdx.left, faceIdx.right),
+      eyes: { left: buildEye(leftEye), right: buildEye(rightEye) },
+      nose: computeNoseMetrics3D(points3d, head.nose.indices),
+    };
+  }
+
+  /**
+   * Update smoothed distance with the configured temporal filter
+   * @param {number} distanceCm - Raw distance measurement in cm
+   * @param {number} [timestampMs] - Frame time in milliseconds
+   * @returns {number} Smoothed distance
+   */
+  updateDistance(distanceCm, timestampMs = performance.now()) {
+    this.smoothedDistance = this.distanceFilter.filter(distanceCm, timestampMs);
+    this.lastDistanceUpdate = timestampMs;
     return this.smoothedDistance;
   }
 
   /**
    * Check if distance should be hidden due to timeout
+   * @param {number} [timestampMs] - Frame time in milliseconds
    * @returns {boolean} True if distance should be decayed
    */
-  shouldDecayDistance() {
-    if (!this.lastDistanceUpdate) return false;
+  shouldDecayDistance(timestampMs = performance.now()) {
+    if (this.lastDistanceUpdate == null) return false;
     const timeout = this.config.distanceVisibilityTimeout || 1200;
-    return performance.now() - this.lastDistanceUpdate > timeout;
+    return timestampMs - this.lastDistanceUpdate > timeout;
   }
 
   /**
    * Decay (reset) distance when timeout expires
+   * @param {number} [timestampMs] - Frame time in milliseconds
    */
-  decayDistance() {
-    if (this.shouldDecayDistance()) {
+  decayDistance(timestampMs = performance.now()) {
+    if (this.shouldDecayDistance(timestampMs)) {
       this.smoothedDistance = null;
-      this.lastDistanceUpdate = 0;
+      this.lastDistanceUpdate = null;
+      this.distanceFilter.reset();
     }
   }
 
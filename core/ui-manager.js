@@ -4,8 +4,21 @@
  */
 
 import { createGraphics } from "../graphics.js";
-import { formatMm, formatDeg, formatCm, safeColor } from "../utils/formatters.js";
-import { COLOR_CONFIG, IPD_OVERLAY_CONFIG, UI_CONFIG } from "../config.js";
+import { HeadSizeUtils } from "../calculations.js";
+import { plugins } from "./plugin-registry.js";
+import {
+  formatMm,
+  formatDeg,
+  formatCm,
+  formatMmPerPx,
+  formatPercent,
+  safeColor,
+  escapeHtml,
+  formatEighths,
+  formatRatio,
+  formatWithUnit,
+} from "../utils/formatters.js";
+import { COLOR_CONFIG, IPD_OVERLAY_CONFIG, RECOMMENDER_CONFIG, UI_CONFIG } from "../config.js";
 
 /**
  * Manages UI elements, DOM references, and metrics panel rendering
@@ -16,11 +29,35 @@ export class UIManager {
     this.video = document.getElementById("webcam");
     this.canvasElement = document.getElementById("output_canvas");
     this.canvasCtx = this.canvasElement.getContext("2d");
+    this.liveViewEl = document.getElementById("liveView");
+    this.photoEl = document.getElementById("photo");
+    this.photoUrl = null;
+    this.replayDisplaySize = null;
 
     // Control elements
     this.noseOverlayToggleEl = document.getElementById("nose_overlay_toggle");
     this.mirrorToggleEl = document.getElementById("mirror_toggle");
     this.mirrorPanelEl = document.getElementById("mirror_panel");
+    this.captureButtonEl = document.getElementById("capture_button");
+    this.photoButtonEl = document.getElementById("photo_button");
+    this.photoInputEl = document.getElementById("photo_input");
+    this.videoButtonEl = document.getElementById("video_button");
+    this.videoInputEl = document.getElementById("video_input");
+    this.downloadAnalysisButtonEl = document.getElementById("download_analysis_button");
+    this.recordButtonEl = document.getElementById("record_button");
+    this.replayButtonEl = document.getElementById("replay_button");
+    this.replayInputEl = document.getElementById("replay_input");
+    this.liveButtonEl = document.getElementById("live_button");
+    this.mediaStatusEl = document.getElementById("media_status");
+    this.mediaHint = this.mediaStatusEl?.textContent || "";
+    this.frameSelectEl = document.getElementById("frame_select");
+    this.calibrateButtonEl = document.getElementById("calibrate_card_button");
+    this.calibrationStatusEl = document.getElementById("calibration_status");
+    this.calibrateCameraButtonEl = document.getElementById("calibrate_camera_button");
+    this.showPatternButtonEl = document.getElementById("show_pattern_button");
+    this.intrinsicsStatusEl = document.getElementById("intrinsics_status");
+    this.patternOverlayEl = document.getElementById("pattern_overlay");
+    this.patternCanvasEl = document.getElementById("pattern_canvas");
 
     // Metrics panel elements
     this.metricsPanelEl = document.getElementById("metrics_panel");
@@ -34,10 +71,21 @@ export class UIManager {
   }
 
   /**
-   * Get current video dimensions
+   * Whether a photo is shown instead of the camera
+   * @returns {boolean}
+   */
+  isPhotoShown() {
+    return Boolean(this.photoEl && !this.photoEl.hidden);
+  }
+
+  /**
+   * Get current video dimensions (the photo's while one is shown)
    * @returns {{width: number, height: number}}
    */
   getVideoDimensions() {
+    if (this.isPhotoShown()) {
+      return { width: this.photoEl.naturalWidth, height: this.photoEl.naturalHeight };
+    }
     return {
       width: this.video?.videoWidth || 1280,
       height: this.video?.videoHeight || 720,
@@ -54,9 +102,15 @@ export class UIManager {
   }
 
   /**
-   * Resize display to fit container while maintaining aspect ratio
+   * Resize display to fit container while maintaining aspect ratio (a replay
+   * keeps its recorded display size)
    */
   resizeDisplayToContainer() {
+    if (this.replayDisplaySize) {
+      this.setDisplaySize(this.replayDisplaySize.width, this.replayDisplaySize.height);
+      return;
+    }
+
     const container =
       document.querySelector(".videoView") ||
       document.getElementById("liveView") ||
@@ -69,11 +123,21 @@ export class UIManager {
     const { width: vidW, height: vidH } = this.getVideoDimensions();
     const scale = Math.min(targetW / vidW, targetH / vidH);
 
-    const w = Math.round(vidW * scale);
-    const h = Math.round(vidH * scale);
+    this.setDisplaySize(Math.round(vidW * scale), Math.round(vidH * scale));
+  }
 
+  /**
+   * Set the displayed size of the video, photo and canvas
+   * @param {number} w - Width in CSS pixels
+   * @param {number} h - Height in CSS pixels
+   */
+  setDisplaySize(w, h) {
     this.video.style.width = `${w}px`;
     this.video.style.height = `${h}px`;
+    if (this.photoEl) {
+      this.photoEl.style.width = `${w}px`;
+      this.photoEl.style.height = `${h}px`;
+    }
     this.canvasElement.style.width = `${w}px`;
     this.canvasElement.style.height = `${h}px`;
 
@@ -95,18 +159,85 @@ export class UIManager {
   }
 
   /**
-   * Render the combined metrics panel with all measurements
-   * @param {Object} state - Measurement state object
-   * @param {number|null} distanceCm - Camera distance in centimeters
+   * Render the combined metrics panel: one set of cards per tracked face,
+   * under a "Face N" heading when more than one face is tracked
+   * @param {Array<{id: number, state: Object, distanceCm: number|null, capture: Object|null,
+   *   recommendations: Object|null, analysis: Object|null}>} faces - Measurement state,
+   *   camera distance, capture status, frame recommendations and video analysis
+   *   result of each face
    */
-  renderMetricsPanel(state, distanceCm) {
+  renderMetricsPanel(faces) {
     if (!this.metricsPanelEl || !this.metricsPanelBodyEl) return;
 
+    if (faces.length > 1) {
+      this.metricsPanelBodyEl.innerHTML = faces
+        .map(
+          ({ id, state, distanceCm, capture, recommendations, analysis }) => `
+      <section class="face-metrics">
+        <h2 class="face-metrics-title">Face ${id}</h2>
+        ${this.renderFaceCards(state, distanceCm, capture, recommendations, analysis)}
+      </section>`
+        )
+        .join("");
+    } else {
+      const face = faces[0];
+      this.metricsPanelBodyEl.innerHTML = this.renderFaceCards(
+        face?.state || {},
+        face?.distanceCm ?? null,
+        face?.capture || null,
+        face?.recommendations || null,
+        face?.analysis || null
+      );
+    }
+
+    if (this.captureButtonEl) {
+      const active = faces.filter((f) => f.capture?.active);
+      const progress = active.length ? Math.min(...active.map((f) => f.capture.progress)) : 0;
+      this.captureButtonEl.textContent = active.length
+        ? `Capturing... ${Math.round(progress * 100)}%`
+        : "Capture";
+    }
+  }
+
+  /**
+   * Render the metric cards of one face
+   * @param {Object} state - Measurement state object
+   * @param {number|null} distanceCm - Camera distance in centimeters
+   * @param {Object|null} [capture] - Capture session status ({active, progress, result})
+   * @param {Object|null} [recommendations] - Frame sizing and ranked catalog matches
+   * @param {Object|null} [analysis] - Aggregated video file analysis of this face
+   * @returns {string} Cards HTML
+   */
+  renderFaceCards(state, distanceCm, capture = null, recommendations = null, analysis = null) {
     // Distance card
+    const quality = state.quality;
+    const qualityTitle = quality
+      ? ` title="${Object.entries(quality.components)
+          .map(([name, value]) => `${name} ${formatPercent(value)}`)
+          .join(", ")}"`
+      : "";
     const distanceCard = `
       <div class="metric-card">
         <h2>Camera</h2>
         <div class="metric-row"><span class="label">Distance</span><span class="value">${formatCm(distanceCm)}</span></div>
+        <div class="metric-row"${qualityTitle}><span class="label">Quality${quality && !quality.usable ? " (held)" : ""}</span><span class="value">${formatPercent(quality?.score)}</span></div>
+        <div class="metric-row"><span class="label">Scale (iris)</span><span class="value">${formatMmPerPx(state.scale?.irisMmPerPx)}</span></div>
+        <div class="metric-row"><span class="label">Scale (model)</span><span class="value">${formatMmPerPx(state.scale?.modelMmPerPx)}</span></div>
+        <div class="metric-row"><span class="label">Scale (fused)</span><span class="value">${formatMmPerPx(state.scale?.mmPerPx)}</span></div>
+        <div class="metric-row"><span class="label">Iris${state.scale?.irisCalibrated ? " (calibrated)" : ""}</span><span class="value">${formatMm(state.scale?.irisDiameterMm)}</span></div>
+      </div>`;
+
+    // Pose card (with a warning while the gaze is off the lens)
+    const pose = state.pose;
+    const gaze = state.gaze;
+    const poseCard = `
+      <div class="metric-card">
+        <h2>Pose</h2>
+        <div class="metric-row"><span class="label">Yaw</span><span class="value">${formatDeg(pose?.yaw)}</span></div>
+        <div class="metric-row"><span class="label">Pitch</span><span class="value">${formatDeg(pose?.pitch)}</span></div>
+        <div class="metric-row"><span class="label">Roll</span><span class="value">${formatDeg(pose?.roll)}</span></div>
+        <div class="metric-row"><span class="label">Gaze off-axis</span><span class="value">${formatDeg(gaze?.offAxisDeg)}</span></div>
+        ${gaze?.offAxis ? `<div class="metric-row warning"><span class="label">Look into the camera lens</span></div>` : ""}
       </div>`;
 
     // Face card
@@ -117,15 +248,34 @@ export class UIManager {
         <div class="metric-row"><span class="label">Width</span><span class="value">${formatMm(face?.valueMm)}</span></div>
       </div>`;
 
+    // Head card (estimated size and hat sizes)
+    const headCard = state.headSize ? this.renderHeadCard(state.headSize) : "";
+
+    // Face shape card (classified shape and its supporting ratios)
+    const faceShapeCard = state.faceShape ? this.renderFaceShapeCard(state.faceShape) : "";
+
+    // Registry card (declarative measurements from HEAD_CONFIG.measurements)
+    const registryCard = this.renderRegistryCard(state.registry);
+
+    // Symmetry card (mirrored left/right deviation per region)
+    const symmetryCard = state.symmetry ? this.renderSymmetryCard(state.symmetry) : "";
+
     // Eyes card
     const eyes = state.eyes || {};
     const leftEye = eyes.left;
     const rightEye = eyes.right;
+    const shapeColors = COLOR_CONFIG.eyeShape || {};
     const eyesCard = `
       <div class="metric-card">
-        <h2>Eyes</h2>
+        <h2>Eyes${state.eyesClosed ? " (held)" : ""}</h2>
         <div class="metric-row"><span class="label">Left width</span><span class="value">${formatMm(leftEye?.valueMm)}</span></div>
         <div class="metric-row"><span class="label">Right width</span><span class="value">${formatMm(rightEye?.valueMm)}</span></div>
+        <div class="metric-row" style="color:${safeColor(shapeColors.fissure)}"><span class="label">Left fissure</span><span class="value">${formatMm(leftEye?.fissureLengthMm)}</span></div>
+        <div class="metric-row" style="color:${safeColor(shapeColors.fissure)}"><span class="label">Right fissure</span><span class="value">${formatMm(rightEye?.fissureLengthMm)}</span></div>
+        <div class="metric-row" style="color:${safeColor(shapeColors.height)}"><span class="label">Left height</span><span class="value">${formatMm(leftEye?.heightMm)}</span></div>
+        <div class="metric-row" style="color:${safeColor(shapeColors.height)}"><span class="label">Right height</span><span class="value">${formatMm(rightEye?.heightMm)}</span></div>
+        <div class="metric-row" style="color:${safeColor(shapeColors.fissure)}"><span class="label">Left canthal tilt</span><span class="value">${formatDeg(leftEye?.canthalTiltDeg)}</span></div>
+        <div class="metric-row" style="color:${safeColor(shapeColors.fissure)}"><span class="label">Right canthal tilt</span><span class="value">${formatDeg(rightEye?.canthalTiltDeg)}</span></div>
       </div>`;
 
     // IPD card
@@ -140,13 +290,42 @@ export class UIManager {
           return `<div class="metric-row" style="color:${color}"><span class="label">${label}</span><span class="value">${val}</span></div>`;
         })
         .join("");
+      const monoColor = safeColor(ipdColors.mono);
+      ipdRows += [
+        ["Mono L", ipd.monoLeft],
+        ["Mono R", ipd.monoRight],
+      ]
+        .map(
+          ([label, value]) =>
+            `<div class="metric-row" style="color:${monoColor}"><span class="label">${label}</span><span class="value">${formatMm(value)}</span></div>`
+        )
+        .join("");
+      ipdRows += `<div class="metric-row"><span class="label">Observed</span><span class="value">${formatMm(ipd.observed)}</span></div>`;
     }
     const ipdCard = `
       <div class="metric-card">
-        <h2>IPD</h2>
+        <h2>IPD${state.eyesClosed ? " (held)" : ""}</h2>
         ${ipdRows || `<div class="metric-row"><span class="label">Values</span><span class="value">--</span></div>`}
       </div>`;
 
+    // Frame card (segment height, when a frame model is selected)
+    const seg = state.segmentHeight;
+    const segColor = safeColor(COLOR_CONFIG.frame?.segmentHeight);
+    const frameCard = seg
+      ? `
+      <div class="metric-card">
+        <h2>Frame${state.eyesClosed ? " (held)" : ""}</h2>
+        <div class="metric-row"><span class="label">Model</span><span class="value">${escapeHtml(seg.frameName ?? "--")}</span></div>
+        <div class="metric-row" style="color:${segColor}"><span class="label">Seg height L</span><span class="value">${formatMm(seg.leftMm)}</span></div>
+        <div class="metric-row" style="color:${segColor}"><span class="label">Seg height R</span><span class="value">${formatMm(seg.rightMm)}</span></div>
+      </div>`
+      : "";
+
+    // Frame recommendations card
+    const recommendationCard = recommendations
+      ? this.renderRecommendationCard(recommendations)
+      : "";
+
     // Nose card
     const NM = state.nose || {};
     const NCLR = COLOR_CONFIG.noseMetrics || {};
@@ -160,7 +339,261 @@ export class UIManager {
         <div class="metric-row" style="color:${safeColor(NCLR.flareAngle)}"><span class="label">Flare angle</span><span class="value">${formatDeg(NM.flareAngleDeg)}</span></div>
       </div>`;
 
-    this.metricsPanelBodyEl.innerHTML = distanceCard + faceCard + eyesCard + ipdCard + noseCard;
+    // 2D vs 3D comparison card (compare mode only)
+    const compareCard = state.metric3d ? this.renderComparisonCard(state) : "";
+
+    // Plugin cards
+    const pluginCards = plugins
+      .list()
+      .map((plugin) => {
+        const measurement = state.plugins?.[plugin.id];
+        if (measurement == null) return "";
+        return plugins.invoke(plugin, "renderCard", plugin, measurement, state) ?? "";
+      })
+      .join("");
+
+    // Capture result card (after a capture session)
+    const captureCard = capture?.result ? this.renderCaptureCard(capture.result) : "";
+    const analysisCard = analysis ? this.renderCaptureCard(analysis, "Video") : "";
+
+    return (
+      analysisCard +
+      captureCard +
+      distanceCard +
+      poseCard +
+      faceCard +
+      headCard +
+      faceShapeCard +
+      symmetryCard +
+      eyesCard +
+      registryCard +
+      ipdCard +
+      frameCard +
+      recommendationCard +
+      noseCard +
+      pluginCards +
+      compareCard
+    );
+  }
+
+  /**
+   * Render the capture session result card (median with confidence interval)
+   * @param {Object} result - Frozen capture result (or a video analysis face result)
+   * @param {string} [title] - Card title
+   * @returns {string} Card HTML
+   */
+  renderCaptureCard(result, title = "Capture") {
+    const rows = Object.values(result.metrics)
+      .filter(Boolean)
+      .map((m) => {
+        const range = `${m.ciLow.toFixed(1)}-${m.ciHigh.toFixed(1)}`;
+        const title = `IQR ${m.iqr.toFixed(2)}, n = ${m.count}, ${m.rejected} rejected`;
+        return `<div class="metric-row" title="${title}"><span class="label">${m.label}</span><span class="value">${formatWithUnit(m.median, m.unit)} (${range})</span></div>`;
+      })
+      .join("");
+    const note = result.complete
+      ? ""
+      : `<div class="metric-row"><span class="label">Too few frames (${result.frameCount})</span><span class="value">--</span></div>`;
+
+    return `
+      <div class="metric-card">
+        <h2>${title}</h2>
+        ${note}${rows}
+      </div>`;
+  }
+
+  /**
+   * Render the head size card: breadth, length and circumference with its
+   * confidence band, and the hat sizes over that band
+   * @param {Object} headSize - Head size estimate
+   * @returns {string} Card HTML
+   */
+  renderHeadCard(headSize) {
+    const { computeHatSizes } = HeadSizeUtils;
+    const size = computeHatSizes(headSize.circumferenceMm);
+    const low = computeHatSizes(headSize.circumferenceLowMm);
+    const high = computeHatSizes(headSize.circumferenceHighMm);
+    const withRange = (format, key) =>
+      size ? `${format(size[key])} (${format(low?.[key])}-${format(high?.[key])})` : "--";
+    const cm = (v) => (Number.isFinite(v) ? (v / 10).toFixed(1) : "--");
+    const lengthLabel = headSize.lengthSource === "index" ? "Length (from breadth)" : "Length";
+
+    return `
+      <div class="metric-card">
+        <h2>Head</h2>
+        <div class="metric-row"><span class="label">Breadth</span><span class="value">${formatMm(headSize.breadthMm)}</span></div>
+        <div class="metric-row"><span class="label">${lengthLabel}</span><span class="value">${formatMm(headSize.lengthMm)}</span></div>
+        <div class="metric-row"><span class="label">Circumference</span><span class="value">${cm(headSize.circumferenceMm)} cm (${cm(headSize.circumferenceLowMm)}-${cm(headSize.circumferenceHighMm)})</span></div>
+        <div class="metric-row"><span class="label">Hat US</span><span class="value">${withRange(formatEighths, "us")}</span></div>
+        <div class="metric-row"><span class="label">Hat UK</span><span class="value">${withRange(formatEighths, "uk")}</span></div>
+        <div class="metric-row"><span class="label">Hat EU</span><span class="value">${withRange(String, "eu")}</span></div>
+      </div>`;
+  }
+
+  /**
+   * Render the face shape card: classified shape (every shape's score in the
+   * tooltip), the spans it is based on and their ratios to the cheekbone width
+   * @param {Object} faceShape - Face shape measurement
+   * @returns {string} Card HTML
+   */
+  renderFaceShapeCard(faceShape) {
+    const name = faceShape.shape
+      ? faceShape.shape[0].toUpperCase() + faceShape.shape.slice(1)
+      : "--";
+    const scoresTitle = faceShape.scores
+      ? ` title="${Object.entries(faceShape.scores)
+          .sort(([, a], [, b]) => b - a)
+          .map(([shape, score]) => `${shape} ${formatPercent(score)}`)
+          .join(", ")}"`
+      : "";
+    const color = safeColor(COLOR_CONFIG.faceShape?.spans);
+
+    return `
+      <div class="metric-card">
+        <h2>Face shape</h2>
+        <div class="metric-row"${scoresTitle}><span class="label">${name}</span><span class="value">${formatPercent(faceShape.confidence)}</span></div>
+        <div class="metric-row" style="color:${color}"><span class="label">Forehead</span><span class="value">${formatMm(faceShape.foreheadWidthMm)}</span></div>
+        <div class="metric-row" style="color:${color}"><span class="label">Cheekbones</span><span class="value">${formatMm(faceShape.cheekboneWidthMm)}</span></div>
+        <div class="metric-row" style="color:${color}"><span class="label">Jaw</span><span class="value">${formatMm(faceShape.jawWidthMm)}</span></div>
+        <div class="metric-row" style="color:${color}"><span class="label">Length</span><span class="value">${formatMm(faceShape.faceLengthMm)}</span></div>
+        <div class="metric-row"><span class="label">Length / cheekbones</span><span class="value">${formatRatio(faceShape.lengthRatio)}</span></div>
+        <div class="metric-row"><span class="label">Forehead / cheekbones</span><span class="value">${formatRatio(faceShape.foreheadRatio)}</span></div>
+        <div class="metric-row"><span class="label">Jaw / cheekbones</span><span class="value">${formatRatio(faceShape.jawRatio)}</span></div>
+      </div>`;
+  }
+
+  /**
+   * Render the declarative measurements, one row per registry entry
+   * @param {Object<string, Object>|undefined} registry - Measurements by id
+   * @returns {string} Card HTML (empty without entries)
+   */
+  renderRegistryCard(registry) {
+    const entries = Object.values(registry || {});
+    if (!entries.length) return "";
+    const color = safeColor(COLOR_CONFIG.registry);
+    const rows = entries
+      .map(
+        (m) =>
+          `<div class="metric-row" style="color:${color}"><span class="label">${escapeHtml(m.label)}</span><span class="value">${formatWithUnit(m.value, m.unit)}</span></div>`
+      )
+      .join("");
+
+    return `
+      <div class="metric-card">
+        <h2>Measurements</h2>
+        ${rows}
+      </div>`;
+  }
+
+  /**
+   * Render the symmetry card: overall and per-region deviation of the mirrored
+   * left side (lateral and vertical offsets of the left side in the tooltip)
+   * @param {Object} symmetry - Symmetry measurement
+   * @returns {string} Card HTML
+   */
+  renderSymmetryCard(symmetry) {
+    const signed = (v) => (Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${v.toFixed(1)} mm` : "--");
+    const regionRows = Object.entries(symmetry.regions || {})
+      .map(([region, values]) => {
+        const name = region[0].toUpperCase() + region.slice(1);
+        const title = `Left side ${signed(values.lateralMm)} farther from the midline, ${signed(values.verticalMm)} higher`;
+        return `<div class="metric-row" title="${title}"><span class="label">${escapeHtml(name)}</span><span class="value">${formatMm(values.deviationMm)}</span></div>`;
+      })
+      .join("");
+
+    return `
+      <div class="metric-card">
+        <h2>Symmetry</h2>
+        <div class="metric-row"><span class="label">Overall</span><span class="value">${formatMm(symmetry.overallMm)}</span></div>
+        ${regionRows}
+      </div>`;
+  }
+
+  /**
+   * Render the frame recommendation card: ideal size with tolerance bands,
+   * then the best catalog matches (per-dimension fit in the tooltip)
+   * @param {{sizing: Object, matches: Object[]}} recommendations - Output of recommendFrames
+   * @returns {string} Card HTML
+   */
+  renderRecommendationCard({ sizing, matches }) {
+    const range = ([low, high]) => `${low.toFixed(1)}-${high.toFixed(1)} mm`;
+    const bandTitle = (band) =>
+      band ? ` title="good ${range(band.good)}, ok ${range(band.ok)}"` : "";
+    const sizeRows = [
+      ["Lens width", sizing.lensWidth],
+      ["Bridge", sizing.bridge],
+      ["Total width", sizing.totalWidth],
+    ]
+      .map(
+        ([label, band]) =>
+          `<div class="metric-row"${bandTitle(band)}><span class="label">${label}</span><span class="value">${formatMm(band?.targetMm)}</span></div>`
+      )
+      .join("");
+    const temple = sizing.templeLength;
+    const templeRow = `<div class="metric-row"${bandTitle(temple)}><span class="label">Temple</span><span class="value">${temple ? `${temple.label} (${temple.targetMm} mm)` : "--"}</span></div>`;
+
+    const matchRows = matches
+      .slice(0, RECOMMENDER_CONFIG.maxResults ?? 3)
+      .map(({ frame, score, fit }) => {
+        const title = Object.values(fit)
+          .map((f) => escapeHtml(f.explanation))
+          .join("&#10;");
+        return `<div class="metric-row" title="${title}"><span class="label">${escapeHtml(frame.name ?? frame.id)}</span><span class="value">${formatPercent(score)}</span></div>`;
+      })
+      .join("");
+
+    return `
+      <div class="metric-card">
+        <h2>Frames</h2>
+        ${sizeRows}${templeRow}${matchRows}
+      </div>`;
+  }
+
+  /**
+   * Render the 2D vs 3D comparison card
+   * @param {Object} state - Measurement state object (with metric3d)
+   * @returns {string} Card HTML
+   */
+  renderComparisonCard(state) {
+    const m3 = state.metric3d;
+    const rows = [
+      ["IPD near", state.ipd?.near, m3.ipd?.near],
+      ["Face width", state.faceWidth?.valueMm, m3.faceWidth?.valueMm],
+      ["Left eye", state.eyes?.left?.valueMm, m3.eyes?.left?.valueMm],
+      ["Right eye", state.eyes?.right?.valueMm, m3.eyes?.right?.valueMm],
+      ["Left fissure", state.eyes?.left?.fissureLengthMm, m3.eyes?.left?.fissureLengthMm],
+      ["Right fissure", state.eyes?.right?.fissureLengthMm, m3.eyes?.right?.fissureLengthMm],
+      ["Left height", state.eyes?.left?.heightMm, m3.eyes?.left?.heightMm],
+      ["Right height", state.eyes?.right?.heightMm, m3.eyes?.right?.heightMm],
+      ["Bridge width", state.nose?.bridgeWidthMm, m3.nose?.bridgeWidthMm],
+      ["Pad width", state.nose?.padSpanMm, m3.nose?.padSpanMm],
+      ["Pad height", state.nose?.padHeightMm, m3.nose?.padHeightMm],
+    ]
+      .map(
+        ([label, v2d, v3d]) =>
+          `<div class="metric-row"><span class="label">${label}</span><span class="value">${formatMm(v2d)} / ${formatMm(v3d)}</span></div>`
+      )
+      .join("");
+
+    return `
+      <div class="metric-card">
+        <h2>2D / 3D</h2>
+        ${rows}
+      </div>`;
+  }
+
+  /**
+   * Fill the frame model select
+   * @param {Array<{id: string, name: string}>} models - Frame models
+   * @param {string|null} selectedId - Initially selected model ID (null = none)
+   */
+  renderFrameOptions(models, selectedId) {
+    if (!this.frameSelectEl) return;
+    const options = [{ id: "", name: "No frame" }, ...models].map(
+      ({ id, name }) =>
+        `<option value="${escapeHtml(id)}"${id === (selectedId ?? "") ? " selected" : ""}>${escapeHtml(name)}</option>`
+    );
+    this.frameSelectEl.innerHTML = options.join("");
   }
 
   /**
@@ -168,6 +601,11 @@ export class UIManager {
    * @param {Object} callbacks - Object containing callback functions
    * @param {Function} callbacks.onFocusChange - Called when focus radio changes
    * @param {Function} callbacks.onMirrorToggle - Called when mirror toggle changes
+   * @param {Function} [callbacks.onCapture] - Called when the capture button is pressed
+   * @param {Function} [callbacks.onFrameChange] - Called with the selected frame model ID (null = none)
+   * @param {Function} [callbacks.onCalibrateCard] - Called when the card calibration button is pressed
+   * @param {Function} [callbacks.onCalibrateCamera] - Called when the camera calibration button is pressed
+   * @param {Function} [callbacks.onShowPattern] - Called when the show pattern button is pressed
    */
   setupEventListeners(callbacks) {
     this.callbacks = callbacks;
@@ -188,8 +626,206 @@ export class UIManager {
       });
     }
 
+    // Capture session button
+    if (this.captureButtonEl && callbacks.onCapture) {
+      this.captureButtonEl.addEventListener("click", () => callbacks.onCapture());
+    }
+
+    // Frame model select
+    if (this.frameSelectEl && callbacks.onFrameChange) {
+      this.frameSelectEl.addEventListener("change", (event) => {
+        callbacks.onFrameChange(event.target.value || null);
+      });
+    }
+
+    // Card calibration button
+    if (this.calibrateButtonEl && callbacks.onCalibrateCard) {
+      this.calibrateButtonEl.addEventListener("click", () => callbacks.onCalibrateCard());
+    }
+
+    // Camera intrinsics calibration buttons
+    if (this.calibrateCameraButtonEl && callbacks.onCalibrateCamera) {
+      this.calibrateCameraButtonEl.addEventListener("click", () => callbacks.onCalibrateCamera());
+    }
+    if (this.showPatternButtonEl && callbacks.onShowPattern) {
+      this.showPatternButtonEl.addEventListener("click", () => callbacks.onShowPattern());
+    }
+    if (this.patternOverlayEl) {
+      this.patternOverlayEl.addEventListener("click", () => this.hideCalibrationPattern());
+    }
+
+    // Photo and video file upload (buttons and drop on the camera view)
+    if (this.photoButtonEl && this.photoInputEl && callbacks.onPhotoSelected) {
+      this.photoButtonEl.addEventListener("click", () => this.photoInputEl.click());
+      this.photoInputEl.addEventListener("change", (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = "";
+        if (file) callbacks.onPhotoSelected(file);
+      });
+    }
+    if (this.videoButtonEl && this.videoInputEl && callbacks.onVideoSelected) {
+      this.videoButtonEl.addEventListener("click", () => this.videoInputEl.click());
+      this.videoInputEl.addEventListener("change", (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = "";
+        if (file) callbacks.onVideoSelected(file);
+      });
+    }
+    if (this.replayButtonEl && this.replayInputEl && callbacks.onRecordingSelected) {
+      this.replayButtonEl.addEventListener("click", () => this.replayInputEl.click());
+      this.replayInputEl.addEventListener("change", (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = "";
+        if (file) callbacks.onRecordingSelected(file);
+      });
+    }
+    if (this.recordButtonEl && callbacks.onRecordToggle) {
+      this.recordButtonEl.addEventListener("click", () => callbacks.onRecordToggle());
+    }
+    if (this.downloadAnalysisButtonEl && callbacks.onDownloadAnalysis) {
+      this.downloadAnalysisButtonEl.addEventListener("click", () => callbacks.onDownloadAnalysis());
+    }
+    if (this.liveViewEl) {
+      this.liveViewEl.addEventListener("dragover", (event) => {
+        event.preventDefault();
+        this.liveViewEl.classList.add("drop-target");
+      });
+      this.liveViewEl.addEventListener("dragleave", () => {
+        this.liveViewEl.classList.remove("drop-target");
+      });
+      this.liveViewEl.addEventListener("drop", (event) => {
+        event.preventDefault();
+        this.liveViewEl.classList.remove("drop-target");
+        const files = [...(event.dataTransfer?.files || [])];
+        const photo = files.find((f) => f.type.startsWith("image/"));
+        const video = files.find((f) => f.type.startsWith("video/"));
+        const recording = files.find((f) => /\.(nd)?json$/i.test(f.name));
+        if (photo) callbacks.onPhotoSelected?.(photo);
+        else if (video) callbacks.onVideoSelected?.(video);
+        else if (recording) callbacks.onRecordingSelected?.(recording);
+      });
+    }
+    if (this.liveButtonEl && callbacks.onLiveCamera) {
+      this.liveButtonEl.addEventListener("click", () => callbacks.onLiveCamera());
+    }
+
     // Window resize
-    window.addEventListener("resize", () => this.resizeDisplayToContainer());
+    window.addEventListener("resize", () => {
+      this.resizeDisplayToContainer();
+      callbacks.onResize?.();
+    });
+  }
+
+  /**
+   * Show a photo in place of the camera video
+   * @param {Blob} file - Image file
+   * @returns {Promise<HTMLImageElement>} Photo element, once decoded
+   */
+  async showPhoto(file) {
+    this.replayDisplaySize = null;
+    const previousUrl = this.photoUrl;
+    this.photoUrl = URL.createObjectURL(file);
+    this.photoEl.src = this.photoUrl;
+    if (previousUrl) URL.revokeObjectURL(previousUrl);
+    await this.photoEl.decode();
+
+    this.photoEl.hidden = false;
+    this.video.hidden = true;
+    this.syncCanvasResolution();
+    this.resizeDisplayToContainer();
+    return this.photoEl;
+  }
+
+  /**
+   * Show only the canvas, at the display size of a replayed recording
+   * @param {{width: number, height: number}} displaySize - Recorded display size
+   */
+  showReplay(displaySize) {
+    const current = this.replayDisplaySize;
+    if (current && current.width === displaySize.width && current.height === displaySize.height) {
+      return;
+    }
+    this.replayDisplaySize = { width: displaySize.width, height: displaySize.height };
+    if (this.photoEl) this.photoEl.hidden = true;
+    this.video.hidden = true;
+    this.resizeDisplayToContainer();
+  }
+
+  /**
+   * Show the camera video again after a photo or replay
+   */
+  showCamera() {
+    this.replayDisplaySize = null;
+    if (this.photoEl) {
+      this.photoEl.hidden = true;
+      this.photoEl.removeAttribute("src");
+    }
+    if (this.photoUrl) {
+      URL.revokeObjectURL(this.photoUrl);
+      this.photoUrl = null;
+    }
+    this.video.hidden = false;
+    this.syncCanvasResolution();
+    this.resizeDisplayToContainer();
+  }
+
+  /**
+   * Render the photo / video file controls. Capture sessions and calibration
+   * need the live camera, so their buttons are disabled while a photo or video
+   * file is shown.
+   * @param {{active: boolean, message?: string, download?: boolean}} status - Media
+   *   status (without a message the drop hint is shown; download shows the
+   *   video analysis download button)
+   */
+  renderMediaStatus(status) {
+    if (this.liveButtonEl) this.liveButtonEl.hidden = !status.active;
+    [
+      this.captureButtonEl,
+      this.calibrateButtonEl,
+      this.calibrateCameraButtonEl,
+      this.showPatternButtonEl,
+    ].forEach((el) => {
+      if (el) el.disabled = status.active;
+    });
+    if (this.downloadAnalysisButtonEl) this.downloadAnalysisButtonEl.hidden = !status.download;
+    if (this.mediaStatusEl) {
+      this.mediaStatusEl.textContent = status.message ?? this.mediaHint;
+    }
+  }
+
+  /**
+   * Render the landmark recording button
+   * @param {{active: boolean, frameCount: number}} status - Recording status
+   */
+  renderRecordingStatus(status) {
+    if (!this.recordButtonEl) return;
+    this.recordButtonEl.textContent = status.active
+      ? `Stop recording (${status.frameCount})`
+      : "Record landmarks";
+  }
+
+  /**
+   * Save data as a JSON file download
+   * @param {Object} data - Data to save
+   * @param {string} fileName - Download file name
+   */
+  downloadJson(data, fileName) {
+    this.downloadFile(JSON.stringify(data, null, 2), fileName, "application/json");
+  }
+
+  /**
+   * Save text as a file download
+   * @param {string} text - File contents
+   * @param {string} fileName - Download file name
+   * @param {string} type - MIME type
+   */
+  downloadFile(text, fileName, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 
   /**
@@ -206,6 +842,79 @@ export class UIManager {
     this.mirrorPanelEl?.classList.add("visible");
   }
 
+  /**
+   * Reflect calibration status in the calibration controls
+   * @param {Object} status - Calibration status
+   */
+  renderCalibrationStatus(status) {
+    if (this.calibrateButtonEl) {
+      this.calibrateButtonEl.textContent =
+        status?.state === "collecting" ? "Cancel calibration" : "Calibrate with card";
+    }
+    if (this.calibrationStatusEl) {
+      const progress =
+        status?.state === "collecting" ? ` (${Math.round(status.progress * 100)}%)` : "";
+      this.calibrationStatusEl.textContent = `${status?.message || ""}${progress}`;
+    }
+  }
+
+  /**
+   * Reflect camera intrinsics calibration status
+   * @param {Object} status - Intrinsics calibration status
+   * @param {Object|null} intrinsics - Intrinsics in use (null = default focal guess)
+   */
+  renderIntrinsicsStatus(status, intrinsics) {
+    if (this.calibrateCameraButtonEl) {
+      this.calibrateCameraButtonEl.textContent =
+        status?.state === "collecting" ? "Cancel camera calibration" : "Calibrate camera";
+    }
+    if (this.intrinsicsStatusEl) {
+      let text = status?.message || "";
+      if (status?.state === "collecting") {
+        text += ` (${Math.round(status.progress * 100)}%)`;
+      } else if (!text) {
+        text = intrinsics ? `f = ${Math.round(intrinsics.fx)} px` : "Focal length estimated";
+      }
+      this.intrinsicsStatusEl.textContent = text;
+    }
+  }
+
+  /**
+   * Show a full-screen checkerboard for mirror-based camera calibration
+   * @param {{innerCols: number, innerRows: number}} board - Inner corner counts
+   */
+  showCalibrationPattern(board) {
+    if (!this.patternOverlayEl || !this.patternCanvasEl) return;
+    this.patternOverlayEl.hidden = false;
+
+    const cols = board.innerCols + 1;
+    const rows = board.innerRows + 1;
+    // Whole squares with a one-square white border, as large as the window allows
+    const square = Math.floor(
+      Math.min(window.innerWidth / (cols + 2), (window.innerHeight * 0.85) / (rows + 2))
+    );
+    const canvas = this.patternCanvasEl;
+    canvas.width = square * (cols + 2);
+    canvas.height = square * (rows + 2);
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = "#000";
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        if ((r + c) % 2 === 0) ctx.fillRect((c + 1) * square, (r + 1) * square, square, square);
+      }
+    }
+  }
+
+  /**
+   * Hide the calibration checkerboard
+   */
+  hideCalibrationPattern() {
+    if (this.patternOverlayEl) this.patternOverlayEl.hidden = true;
+  }
+
   /**
    * Clear the canvas
    */
@@ -0,0 +1,199 @@
+/**
+ * Video Analysis Manager - per-frame measurement timeline of a recorded video file
+ * @module core/video-analysis-manager
+ */
+
+/**
+ * @typedef {Object} TimelineFace
+ * @property {number} id - Face ID
+ * @property {boolean} usable - Frame counted in the summary (face measured with
+ *   good quality, eyes open)
+ * @property {number|null} quality - Frame quality score
+ * @property {Object<string, number>} values - Capture metric values by key
+ */
+
+/**
+ * @typedef {Object} TimelineFrame
+ * @property {number} timeMs - Media time of the frame in the video
+ * @property {TimelineFace[]} faces - Faces detected in the frame
+ */
+
+/**
+ * @typedef {Object} VideoAnalysisResult
+ * @property {string} fileName - Analyzed file
+ * @property {number} durationMs - Video duration
+ * @property {number} frameRate - Frames analyzed per second of video
+ * @property {number} frameCount - Frames analyzed
+ * @property {TimelineFrame[]} timeline - Per-frame measurements
+ * @property {Object<number, Object>} faces - Aggregated result per face ID: frameCount
+ *   (usable frames), lowQualityFrames, complete and metrics (same summary as a
+ *   capture session)
+ */
+
+/**
+ * @typedef {Object} VideoAnalysisStatus
+ * @property {"idle"|"analyzing"|"done"|"failed"} state - Analysis state
+ * @property {number} progress - Analyzed media time / duration (0-1)
+ * @property {string} message - Human-readable status
+ * @property {VideoAnalysisResult|null} result - Result (when done)
+ */
+
+/**
+ * Collects the measurements of every analyzed frame of a video file and
+ * aggregates them per face once the whole file has been visited
+ */
+export class VideoAnalysisManager {
+  /**
+   * @param {Object} config - Video file configuration (VIDEO_FILE_CONFIG)
+   */
+  constructor(config) {
+    this.config = config;
+    this.session = null;
+
+    /** @type {VideoAnalysisStatus} */
+    this.status = { state: "idle", progress: 0, message: "", result: null };
+  }
+
+  /**
+   * Start a new analysis (drops any previous result)
+   * @param {string} fileName - Video file name
+   * @param {number} durationMs - Video duration
+   */
+  start(fileName, durationMs) {
+    this.session = {
+      fileName,
+      durationMs,
+      timeline: [],
+      // Per face: its StateManager (for the metric labels) and samples
+      faces: new Map(),
+    };
+    this.status = { state: "analyzing", progress: 0, message: `Analyzing ${fileName}`, result: null };
+  }
+
+  /**
+   * Abort the analysis without producing a result
+   */
+  cancel() {
+    this.session = null;
+    this.status = { state: "idle", progress: 0, message: "", result: null };
+  }
+
+  /**
+   * @returns {boolean} True while frames are being analyzed
+   */
+  isActive() {
+    return this.status.state === "analyzing";
+  }
+
+  /**
+   * @returns {VideoAnalysisStatus} Current status
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Frame times to visit, one per frame period
+   * @returns {number[]} Media times in milliseconds
+   */
+  getFrameTimes() {
+    const stepMs = 1000 / this.config.frameRate;
+    const count = Math.max(1, Math.floor(this.session.durationMs / stepMs) + 1);
+    return Array.from({ length: count }, (_, i) => Math.min(i * stepMs, this.session.durationMs));
+  }
+
+  /**
+   * Add a frame's measurements to the timeline
+   * @param {number} timeMs - Media time of the frame
+   * @param {Array<{id: number, state: Object, detectionIndex: number|null}>} tracks - Face tracks
+   */
+  recordFrame(timeMs, tracks) {
+    const session = this.session;
+    const frame = { timeMs, faces: [] };
+
+    for (const track of tracks) {
+      if (track.detectionIndex == null) continue;
+
+      let face = session.faces.get(track.id);
+      if (!face) {
+        face = { state: track.state, frameCount: 0, lowQualityFrames: 0, samples: {} };
+        session.faces.set(track.id, face);
+      }
+
+      // Only measured, good-quality, open-eye frames count: held values are not
+      // samples, and a reset face (no iris) has no quality or values
+      const measurements = track.state.getMeasurements();
+      const values = track.state.readCaptureMetrics();
+      const usable =
+        measurements.quality?.usable === true &&
+        !measurements.eyesClosed &&
+        Object.keys(values).length > 0;
+      if (usable) {
+        face.frameCount++;
+        for (const [key, value] of Object.entries(values)) {
+          if (!face.samples[key]) face.samples[key] = [];
+          face.samples[key].push(value);
+        }
+      } else {
+        face.lowQualityFrames++;
+      }
+
+      frame.faces.push({
+        id: track.id,
+        usable,
+        quality: measurements.quality?.score ?? null,
+        values: usable ? values : {},
+      });
+    }
+
+    session.timeline.push(frame);
+    this.status = {
+      ...this.status,
+      progress: session.durationMs > 0 ? Math.min(1, timeMs / session.durationMs) : 1,
+    };
+  }
+
+  /**
+   * Aggregate the timeline per face and end the analysis
+   * @returns {VideoAnalysisResult} Analysis result
+   */
+  finish() {
+    const session = this.session;
+    const minFrames = this.config.minFrames ?? 1;
+    const faces = {};
+    for (const [id, face] of session.faces) {
+      faces[id] = {
+        frameCount: face.frameCount,
+        lowQualityFrames: face.lowQualityFrames,
+        complete: face.frameCount >= minFrames,
+        metrics: face.state.summarizeCaptureMetrics(face.samples),
+      };
+    }
+
+    const result = {
+      fileName: session.fileName,
+      durationMs: session.durationMs,
+      frameRate: this.config.frameRate,
+      frameCount: session.timeline.length,
+      timeline: session.timeline,
+      faces,
+    };
+    this.session = null;
+    this.status = {
+      state: "done",
+      progress: 1,
+      message: `${result.frameCount} frames analyzed`,
+      result,
+    };
+    return result;
+  }
+
+  /**
+   * End the analysis after an error
+   * @param {string} message - Status message
+   */
+  fail(message) {
+    this.session = null;
+    this.status = { state: "failed", progress: 0, message, result: null };
+  }
+}
@@ -11,6 +11,7 @@
  * - drawMeasurementOverlays(state, options) - Draw all measurement overlays
  * - drawNoseGrid(landmarks, indices, color) - Draw nose landmark grid
  * - drawNoseOverlay(metrics) - Draw nose measurement overlay
+ * - drawCalibrationOverlay(corners, status, label) - Draw detected calibration card or board
  *
  * Architecture:
  * This module has been refactored for maximum readability and maintainability:
@@ -19,6 +20,11 @@
  * - Angle rendering: utils/angle-rendering.js
  * - Nose overlays: graphics/nose-overlays.js
  * - Face/eye overlays: graphics/face-eye-overlays.js
+ * - Face shape overlays: graphics/face-shape-overlays.js
+ * - Symmetry heatmap: graphics/symmetry-overlays.js
+ * - Declarative measurements: graphics/registry-overlays.js
+ * - Frame fitting overlays: graphics/frame-overlays.js
+ * - Calibration overlays: graphics/calibration-overlays.js
  */
 
 import { RENDER_POLICY } from "./config.js";
@@ -28,7 +34,15 @@ import {
   drawIpdMeasurement,
   drawFaceWidthMeasurement,
   drawEyeWidth,
+  drawEyeShape,
+  drawFaceTag,
 } from "./graphics/face-eye-overlays.js";
+import { drawSegmentHeight } from "./graphics/frame-overlays.js";
+import { drawFaceShape } from "./graphics/face-shape-overlays.js";
+import { drawSymmetryHeatmap } from "./graphics/symmetry-overlays.js";
+import { drawRegistryMeasurement } from "./graphics/registry-overlays.js";
+import { plugins } from "./core/plugin-registry.js";
+import { drawCalibrationCard } from "./graphics/calibration-overlays.js";
 
 // ============================================================================
 // GRAPHICS FACTORY
@@ -109,15 +123,33 @@ export function createGraphics(canvasElement, canvasCtx) {
    * @param {Object} state - Measurement state
    * @param {Object} state.faceWidth - Face width measurement
    * @param {Object} state.ipd - IPD measurements (near/far)
-   * @param {Object} state.eyes - Eye width measurements (left/right)
+   * @param {Object} state.eyes - Eye width and shape measurements (left/right)
    * @param {Object} state.nose - Nose metrics
+   * @param {Object} [state.segmentHeight] - Segment height of the selected frame
+   * @param {Object} [state.faceShape] - Face silhouette spans and classified shape
+   * @param {Object} [state.symmetry] - Mirrored landmark pair deviations
+   * @param {Object} [state.registry] - Declarative measurements by id
+   * @param {Object} [state.plugins] - Plugin measurements by plugin ID
    * @param {Object} options - Rendering options
    * @param {boolean} [options.noseOverlayEnabled=false] - Show nose overlay
+   * @param {string|null} [options.faceLabel=null] - Tag drawn above the face (multiple faces)
    */
-  function drawMeasurementOverlays(state, { noseOverlayEnabled = false } = {}) {
+  function drawMeasurementOverlays(
+    state,
+    { noseOverlayEnabled = false, faceLabel = null } = {}
+  ) {
     const focus = policy.focus;
     const level = policy.detailLevel;
 
+    if (faceLabel) drawFaceTag(ctx, state, faceLabel);
+
+    // ======================================================================
+    // SYMMETRY HEATMAP (full only, under the other overlays)
+    // ======================================================================
+    if (state?.symmetry && level === "full" && (focus === "global" || focus === "face")) {
+      withAlpha(() => drawSymmetryHeatmap(ctx, state.symmetry), focus !== "face");
+    }
+
     // ======================================================================
     // FACE WIDTH (always in minimal/standard/full)
     // ======================================================================
@@ -128,6 +160,16 @@ export function createGraphics(canvasElement, canvasCtx) {
       );
     }
 
+    // ======================================================================
+    // FACE SHAPE (standard/full only)
+    // ======================================================================
+    if (state?.faceShape && level !== "minimal" && (focus === "global" || focus === "face")) {
+      withAlpha(
+        () => drawFaceShape(ctx, state.faceShape, policy, collisionManager),
+        focus !== "face"
+      );
+    }
+
     // ======================================================================
     // IPD (always in minimal/standard/full)
     // ======================================================================
@@ -139,7 +181,17 @@ export function createGraphics(canvasElement, canvasCtx) {
     }
 
     // ======================================================================
-    // EYE WIDTHS (standard/full only)
+    // SEGMENT HEIGHT (selected frame only)
+    // ======================================================================
+    if (state?.segmentHeight && (focus === "global" || focus === "eyes" || focus === "face")) {
+      withAlpha(
+        () => drawSegmentHeight(ctx, state.segmentHeight, policy, collisionManager),
+        focus !== "eyes" && focus !== "face"
+      );
+    }
+
+    // ======================================================================
+    // EYE WIDTHS AND SHAPE (standard/full only)
     // ======================================================================
     if (level !== "minimal" && (focus === "global" || focus === "eyes")) {
       // Left eye
@@ -171,6 +223,45 @@ export function createGraphics(canvasElement, canvasCtx) {
           );
         }, focus !== "eyes");
       }
+
+      // Eye shape (fissure, canthal tilt, height)
+      [
+        [state?.eyes?.left, "L"],
+        [state?.eyes?.right, "R"],
+      ].forEach(([eyeData, label]) => {
+        if (!eyeData) return;
+        withAlpha(
+          () => drawEyeShape(ctx, eyeData, label, policy, collisionManager),
+          focus !== "eyes"
+        );
+      });
+    }
+
+    // ======================================================================
+    // DECLARATIVE MEASUREMENTS (standard/full only)
+    // ======================================================================
+    if (level !== "minimal" && (focus === "global" || focus === "face")) {
+      Object.values(state?.registry || {}).forEach((measurement) => {
+        withAlpha(
+          () => drawRegistryMeasurement(ctx, measurement, policy, collisionManager),
+          focus !== "face"
+        );
+      });
+    }
+
+    // ======================================================================
+    // PLUGIN OVERLAYS (the plugin decides what to draw per focus/detail)
+    // ======================================================================
+    for (const plugin of plugins.list()) {
+      const measurement = state?.plugins?.[plugin.id];
+      if (measurement == null) continue;
+      ctx.save();
+      plugins.invoke(plugin, "drawOverlay", plugin, ctx, measurement, {
+        policy,
+        collisionManager,
+        state,
+      });
+      ctx.restore();
     }
 
     // ======================================================================
@@ -206,6 +297,16 @@ export function createGraphics(canvasElement, canvasCtx) {
     drawNoseGrid(ctx, canvas, landmarks, noseIndices, color);
   }
 
+  /**
+   * Draw detected calibration card or board outline (public API)
+   * @param {Array<{x: number, y: number}>|null} corners - Card corners in canvas coordinates
+   * @param {Object} status - Calibration status
+   * @param {string} [label] - Overlay label (defaults to "Card")
+   */
+  function drawCalibrationOverlay(corners, status, label) {
+    drawCalibrationCard(ctx, corners, status, label);
+  }
+
   // ========================================================================
   // PUBLIC API
   // ========================================================================
@@ -216,5 +317,6 @@ export function createGraphics(canvasElement, canvasCtx) {
     drawNoseGrid: drawNoseGridPublic,
     drawMeasurementOverlays,
     drawNoseOverlay: drawNoseOverlayPublic,
+    drawCalibrationOverlay,
   };
 }
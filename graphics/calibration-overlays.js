@@ -0,0 +1,52 @@
+/**
+ * Calibration Overlays
+ * @module graphics/calibration-overlays
+ *
+ * Rendering for the reference card and checkerboard calibrations:
+ * - Detected card / board outline
+ * - Collection progress label
+ */
+
+import { isFinitePoint } from "../utils/graphics-geometry.js";
+import { drawLabel } from "../utils/drawing-primitives.js";
+import { COLOR_CONFIG } from "../config.js";
+
+/** @typedef {{x: number, y: number}} Point */
+
+// ============================================================================
+// CARD OUTLINE RENDERING
+// ============================================================================
+
+/**
+ * Draw the detected calibration card (or board) and progress
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Point[]|null} corners - Card corners in canvas coordinates
+ * @param {Object} status - Calibration status
+ * @param {number} status.progress - Collection progress (0-1)
+ * @param {string} [label="Card"] - Label shown before the progress
+ */
+export function drawCalibrationCard(ctx, corners, status, label = "Card") {
+  if (!Array.isArray(corners) || corners.length !== 4 || !corners.every(isFinitePoint)) {
+    return;
+  }
+
+  const color = COLOR_CONFIG.calibrationCard || "#fff";
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([8, 6]);
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  for (let i = 1; i < corners.length; i++) ctx.lineTo(corners[i].x, corners[i].y);
+  ctx.closePath();
+  ctx.stroke();
+  ctx.restore();
+
+  const top = Math.min(...corners.map((p) => p.y));
+  const centerX = corners.reduce((sum, p) => sum + p.x, 0) / corners.length;
+  const percent = Math.round((status?.progress || 0) * 100);
+
+  drawLabel(ctx, `${label} ${percent}%`, { x: centerX, y: top - 16 }, { color });
+}
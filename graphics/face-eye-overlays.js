@@ -3,18 +3,20 @@
  * @module graphics/face-eye-overlays
  *
  * Rendering for face-level measurements:
- * - IPD (Interpupillary Distance) - near and far measurements
- * - Face width
+ * - IPD (Interpupillary Distance) - near and far measurements, monocular PD
+ * - Face width (and the face ID tag when several faces are measured)
  * - Eye widths (left and right)
+ * - Eye shape: palpebral fissure with canthal tilt, eye height
  */
 
 import { isFinitePoint } from "../utils/graphics-geometry.js";
-import { drawRailSegment } from "../utils/drawing-primitives.js";
+import { drawRailSegment, drawMeasurementBox } from "../utils/drawing-primitives.js";
 import {
   COLOR_CONFIG,
   IPD_OVERLAY_CONFIG,
   FACE_OVERLAY_CONFIG,
   EYE_WIDTH_OVERLAY_CONFIG,
+  EYE_SHAPE_OVERLAY_CONFIG,
 } from "../config.js";
 
 /** @typedef {{x: number, y: number}} Point */
@@ -26,14 +28,18 @@ import {
 /**
  * Draw IPD measurement overlays
  *
- * Renders multiple IPD rails (near and far) as specified in config
+ * Renders multiple IPD rails (near and far) as specified in config, plus
+ * the monocular PD half-rails when the nose midline is known
  *
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Object} ipd - IPD measurement object
  * @param {Point} ipd.left - Left pupil position
  * @param {Point} ipd.right - Right pupil position
- * @param {number} ipd.near - Near IPD value in mm
- * @param {number} ipd.far - Far IPD value in mm
+ * @param {number} ipd.near - Near (working distance) IPD value in mm
+ * @param {number} ipd.far - Far (distance) IPD value in mm
+ * @param {Point} [ipd.center] - Where the nose midline crosses the pupil axis
+ * @param {number} [ipd.monoLeft] - Left monocular (far) PD in mm
+ * @param {number} [ipd.monoRight] - Right monocular (far) PD in mm
  * @param {CollisionManager|null} collisionMgr - Collision manager
  */
 export function drawIpdMeasurement(ctx, ipd, collisionMgr) {
@@ -69,6 +75,47 @@ export function drawIpdMeasurement(ctx, ipd, collisionMgr) {
       collisionMgr
     );
   });
+
+  drawMonocularPd(ctx, ipd, colors.mono || "#fff", textLift, collisionMgr);
+}
+
+/**
+ * Draw the two monocular PD half-rails (pupil to nose midline)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} ipd - IPD measurement object
+ * @param {string} color - Rail color
+ * @param {number} textLift - Label distance from the rail
+ * @param {CollisionManager|null} collisionMgr - Collision manager
+ */
+function drawMonocularPd(ctx, ipd, color, textLift, collisionMgr) {
+  const mono = IPD_OVERLAY_CONFIG.monocular;
+  if (!mono?.enabled || !isFinitePoint(ipd.center)) return;
+
+  const halves = [
+    { start: ipd.left, end: ipd.center, value: ipd.monoLeft, label: mono.labels?.left ?? "L" },
+    { start: ipd.center, end: ipd.right, value: ipd.monoRight, label: mono.labels?.right ?? "R" },
+  ];
+
+  halves.forEach(({ start, end, value, label }) => {
+    if (!Number.isFinite(value)) return;
+    drawRailSegment(
+      ctx,
+      start,
+      end,
+      {
+        offset: mono.offset ?? 25,
+        color,
+        label: {
+          text: `${label} ${value.toFixed(1)} mm`,
+          offset: { distance: textLift },
+          color,
+          alignToRail: true,
+        },
+      },
+      collisionMgr
+    );
+  });
 }
 
 // ============================================================================
@@ -111,6 +158,31 @@ export function drawFaceWidthMeasurement(ctx, faceData, collisionMgr) {
   );
 }
 
+/**
+ * Draw a face ID tag above the face (when several faces are measured)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} state - Measurement state of the face
+ * @param {string} text - Tag text (e.g., "Face 2")
+ */
+export function drawFaceTag(ctx, state, text) {
+  const face = state?.faceWidth;
+  const anchor = face || state?.ipd;
+  if (!anchor?.left || !anchor?.right) return;
+
+  const width = Math.hypot(anchor.right.x - anchor.left.x, anchor.right.y - anchor.left.y);
+  const lift = FACE_OVERLAY_CONFIG.tagLift ?? 0.8;
+  drawMeasurementBox(
+    ctx,
+    text,
+    {
+      x: (anchor.left.x + anchor.right.x) / 2,
+      y: (anchor.left.y + anchor.right.y) / 2 - width * lift,
+    },
+    { color: COLOR_CONFIG.faceWidth || "#fff" }
+  );
+}
+
 // ============================================================================
 // EYE WIDTH RENDERING
 // ============================================================================
@@ -184,3 +256,83 @@ export function drawEyeWidth(
 
   return hasLeader ? leadersUsed + 1 : leadersUsed;
 }
+
+// ============================================================================
+// EYE SHAPE RENDERING
+// ============================================================================
+
+/**
+ * Draw eye shape overlays for a single eye: the canthus-to-canthus line
+ * (palpebral fissure length and canthal tilt) and the eyelid gap (eye height)
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} eyeData - Eye measurement data
+ * @param {{inner: Point, outer: Point}} eyeData.canthi - Inner and outer canthus
+ * @param {{upper: Point, lower: Point}} eyeData.lids - Mid upper and lower eyelid points
+ * @param {number} eyeData.fissureLengthMm - Palpebral fissure length in mm
+ * @param {number} eyeData.heightMm - Eye height in mm
+ * @param {number} eyeData.canthalTiltDeg - Canthal tilt in degrees
+ * @param {string} label - Label text (e.g., "L" or "R")
+ * @param {Object} policy - Render policy
+ * @param {CollisionManager|null} collisionMgr - Collision manager
+ */
+export function drawEyeShape(ctx, eyeData, label, policy, collisionMgr) {
+  if (!EYE_SHAPE_OVERLAY_CONFIG.enabled || !eyeData) return;
+
+  const colors = COLOR_CONFIG.eyeShape || {};
+  const labels = EYE_SHAPE_OVERLAY_CONFIG.labels || {};
+  const lineWidth = EYE_SHAPE_OVERLAY_CONFIG.lineWidth ?? 1.5;
+  const { canthi, lids } = eyeData;
+
+  if (canthi && Number.isFinite(eyeData.fissureLengthMm)) {
+    const color = colors.fissure || "#fff";
+    const tilt = Number.isFinite(eyeData.canthalTiltDeg)
+      ? ` ${eyeData.canthalTiltDeg > 0 ? "+" : ""}${eyeData.canthalTiltDeg.toFixed(1)}°`
+      : "";
+    const name = policy.compact.shortenLabels ? label : `${label} ${labels.fissure ?? "PF"}`;
+    drawRailSegment(
+      ctx,
+      canthi.inner,
+      canthi.outer,
+      {
+        color,
+        lineWidth,
+        connectBase: false,
+        label: {
+          text: `${name} ${eyeData.fissureLengthMm.toFixed(1)} mm${tilt}`,
+          color,
+          offset: {
+            orientation: { x: 0, y: 1 },
+            distance: EYE_SHAPE_OVERLAY_CONFIG.fissureTextLift ?? 16,
+          },
+          alignToRail: true,
+        },
+      },
+      collisionMgr
+    );
+  }
+
+  if (lids && Number.isFinite(eyeData.heightMm)) {
+    const color = colors.height || "#fff";
+    drawRailSegment(
+      ctx,
+      lids.upper,
+      lids.lower,
+      {
+        color,
+        lineWidth,
+        connectBase: false,
+        label: {
+          text: `${labels.height ?? "H"} ${eyeData.heightMm.toFixed(1)} mm`,
+          color,
+          offset: {
+            orientation: { x: 0, y: -1 },
+            distance: EYE_SHAPE_OVERLAY_CONFIG.heightTextLift ?? 14,
+            reference: "start",
+          },
+        },
+      },
+      collisionMgr
+    );
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Face Shape Overlays
+ * @module graphics/face-shape-overlays
+ *
+ * Rendering for the face shape classification:
+ * - Silhouette contour
+ * - Forehead, cheekbone and jaw width spans and the face length span
+ * - Classified shape below the chin
+ */
+
+import { isFinitePoint } from "../utils/graphics-geometry.js";
+import { drawRailSegment, drawSmoothCurve, drawLabel } from "../utils/drawing-primitives.js";
+import { COLOR_CONFIG, FACE_SHAPE_OVERLAY_CONFIG } from "../config.js";
+
+/** @typedef {{x: number, y: number}} Point */
+
+const SPANS = [
+  { key: "forehead", valueKey: "foreheadWidthMm", orientation: "perpendicular" },
+  { key: "cheekbone", valueKey: "cheekboneWidthMm", orientation: "perpendicular" },
+  { key: "jaw", valueKey: "jawWidthMm", orientation: "perpendicular" },
+  { key: "length", valueKey: "faceLengthMm", orientation: "horizontal" },
+];
+
+// ============================================================================
+// FACE SHAPE RENDERING
+// ============================================================================
+
+/**
+ * Draw the face silhouette, its width/length spans and the classified shape
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} faceShape - Face shape measurement
+ * @param {Point[]} faceShape.contour - Silhouette contour points
+ * @param {Object<string, {start: Point, end: Point}>} faceShape.spans - Forehead,
+ *   cheekbone, jaw and length spans
+ * @param {string} [faceShape.shape] - Classified shape
+ * @param {number} [faceShape.confidence] - Score of the classified shape (0-1)
+ * @param {Object} policy - Render policy
+ * @param {CollisionManager|null} collisionMgr - Collision manager
+ */
+export function drawFaceShape(ctx, faceShape, policy, collisionMgr) {
+  if (!faceShape || FACE_SHAPE_OVERLAY_CONFIG.enabled === false) return;
+
+  const colors = COLOR_CONFIG.faceShape || {};
+  const labels = FACE_SHAPE_OVERLAY_CONFIG.labels || {};
+  const spanColor = colors.spans || "#fff";
+
+  const contour = (faceShape.contour || []).filter(isFinitePoint);
+  if (contour.length > 2) {
+    ctx.save();
+    ctx.strokeStyle = colors.contour || "#fff";
+    ctx.lineWidth = FACE_SHAPE_OVERLAY_CONFIG.contourLineWidth ?? 1.5;
+    drawSmoothCurve(ctx, [...contour, contour[0]]);
+    ctx.restore();
+  }
+
+  SPANS.forEach(({ key, valueKey, orientation }) => {
+    const span = faceShape.spans?.[key];
+    const value = faceShape[valueKey];
+    if (!span || !Number.isFinite(value)) return;
+    const tag = labels[key] || key;
+    drawRailSegment(
+      ctx,
+      span.start,
+      span.end,
+      {
+        color: spanColor,
+        lineWidth: FACE_SHAPE_OVERLAY_CONFIG.spanLineWidth ?? 1,
+        connectBase: false,
+        label: {
+          text: policy.compact.shortenLabels ? tag : `${tag} ${value.toFixed(0)} mm`,
+          color: spanColor,
+          offset: { orientation, distance: FACE_SHAPE_OVERLAY_CONFIG.textLift ?? 12 },
+        },
+      },
+      collisionMgr
+    );
+  });
+
+  const chin = faceShape.spans?.length?.end;
+  if (faceShape.shape && isFinitePoint(chin)) {
+    const name = faceShape.shape[0].toUpperCase() + faceShape.shape.slice(1);
+    const text = Number.isFinite(faceShape.confidence)
+      ? `${name} ${Math.round(faceShape.confidence * 100)}%`
+      : name;
+    drawLabel(
+      ctx,
+      text,
+      { x: chin.x, y: chin.y + 2 * (FACE_SHAPE_OVERLAY_CONFIG.textLift ?? 12) },
+      { color: spanColor }
+    );
+  }
+}
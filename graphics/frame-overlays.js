@@ -0,0 +1,83 @@
+/**
+ * Frame Fitting Overlays
+ * @module graphics/frame-overlays
+ *
+ * Rendering for the selected frame model:
+ * - Virtual lens outlines placed on the nose pad row
+ * - Segment height rails (pupil to lens bottom)
+ */
+
+import { isFinitePoint } from "../utils/graphics-geometry.js";
+import { drawRailSegment } from "../utils/drawing-primitives.js";
+import { COLOR_CONFIG, FRAME_OVERLAY_CONFIG } from "../config.js";
+
+/** @typedef {{x: number, y: number}} Point */
+
+// ============================================================================
+// SEGMENT HEIGHT RENDERING
+// ============================================================================
+
+/**
+ * Draw the virtual lenses and the segment height rail of each eye
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} segmentHeight - Segment height measurement
+ * @param {number} segmentHeight.leftMm - Left eye segment height in mm
+ * @param {number} segmentHeight.rightMm - Right eye segment height in mm
+ * @param {{left: Object, right: Object}} segmentHeight.rails - Pupil and lens bottom points per eye
+ * @param {{left: Point[], right: Point[]}} segmentHeight.lenses - Lens outline corners per eye
+ * @param {Object} policy - Render policy
+ * @param {CollisionManager|null} collisionMgr - Collision manager
+ */
+export function drawSegmentHeight(ctx, segmentHeight, policy, collisionMgr) {
+  if (!segmentHeight) return;
+
+  const colors = COLOR_CONFIG.frame || {};
+
+  if (FRAME_OVERLAY_CONFIG.drawLenses !== false) {
+    ctx.save();
+    ctx.strokeStyle = colors.lens || "#fff";
+    ctx.lineWidth = FRAME_OVERLAY_CONFIG.lensLineWidth ?? 1.5;
+    for (const lens of [segmentHeight.lenses?.left, segmentHeight.lenses?.right]) {
+      if (!Array.isArray(lens) || !lens.every(isFinitePoint)) continue;
+      ctx.beginPath();
+      ctx.moveTo(lens[0].x, lens[0].y);
+      for (let i = 1; i < lens.length; i++) ctx.lineTo(lens[i].x, lens[i].y);
+      ctx.closePath();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  const color = colors.segmentHeight || "#fff";
+  const label = FRAME_OVERLAY_CONFIG.label || "Seg";
+  const sides = [
+    { rail: segmentHeight.rails?.left, value: segmentHeight.leftMm, tag: "L" },
+    { rail: segmentHeight.rails?.right, value: segmentHeight.rightMm, tag: "R" },
+  ];
+
+  sides.forEach(({ rail, value, tag }) => {
+    if (!rail || !Number.isFinite(value)) return;
+    const text = policy.compact.shortenLabels
+      ? `${tag} ${value.toFixed(1)} mm`
+      : `${label} ${tag} ${value.toFixed(1)} mm`;
+    drawRailSegment(
+      ctx,
+      rail.pupil,
+      rail.lensBottom,
+      {
+        color,
+        connectBase: false,
+        label: {
+          text,
+          color,
+          offset: {
+            orientation: "horizontal",
+            distance: FRAME_OVERLAY_CONFIG.textLift ?? 14,
+          },
+        },
+      },
+      collisionMgr
+    );
+  });
+}
@@ -0,0 +1,125 @@
+/**
+ * Registry Measurement Overlays
+ * @module graphics/registry-overlays
+ *
+ * Generic rendering for the declarative measurements (HEAD_CONFIG.measurements),
+ * one style per type:
+ * - distance / row-span: rail between the end points
+ * - polyline: path through the landmarks
+ * - angle: both arms with an arc at the vertex
+ */
+
+import { isFinitePoint } from "../utils/graphics-geometry.js";
+import { drawRailSegment, drawLabel } from "../utils/drawing-primitives.js";
+import { formatWithUnit } from "../utils/formatters.js";
+import { COLOR_CONFIG, LABEL_FONT, REGISTRY_OVERLAY_CONFIG } from "../config.js";
+
+/** @typedef {{x: number, y: number}} Point */
+
+/**
+ * Stroke a path through points
+ */
+function strokePath(ctx, points, color, lineWidth) {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Arms, arc and label of an angle measurement
+ */
+function drawAngle(ctx, [a, vertex, b], text, color, collisionMgr) {
+  const lineWidth = REGISTRY_OVERLAY_CONFIG.lineWidth ?? 1.5;
+  strokePath(ctx, [a, vertex, b], color, lineWidth);
+
+  const angleA = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+  const angleB = Math.atan2(b.y - vertex.y, b.x - vertex.x);
+  let sweep = angleB - angleA;
+  while (sweep > Math.PI) sweep -= 2 * Math.PI;
+  while (sweep < -Math.PI) sweep += 2 * Math.PI;
+  const radius = REGISTRY_OVERLAY_CONFIG.arcRadiusPx ?? 18;
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  ctx.arc(vertex.x, vertex.y, radius, angleA, angleA + sweep, sweep < 0);
+  ctx.stroke();
+  ctx.restore();
+
+  // Label outside the angle, opposite its bisector
+  const bisector = angleA + sweep / 2;
+  const distance = radius + (REGISTRY_OVERLAY_CONFIG.textLift ?? 12);
+  const position = {
+    x: vertex.x - Math.cos(bisector) * distance,
+    y: vertex.y - Math.sin(bisector) * distance,
+  };
+  const placed = collisionMgr
+    ? collisionMgr.findNonCollidingPosition(ctx, text, [position], LABEL_FONT)
+    : position;
+  if (placed) drawLabel(ctx, text, placed, { color });
+}
+
+// ============================================================================
+// REGISTRY MEASUREMENT RENDERING
+// ============================================================================
+
+/**
+ * Draw one declarative measurement with the style of its type
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} measurement - Registry measurement
+ * @param {string} measurement.type - "distance" | "angle" | "row-span" | "polyline"
+ * @param {string} measurement.label - Display label
+ * @param {string} measurement.unit - Value unit
+ * @param {number} measurement.value - Value in the unit
+ * @param {Point[]} measurement.points - Landmark points
+ * @param {Point} [measurement.start] - Row span start (row-span only)
+ * @param {Point} [measurement.end] - Row span end (row-span only)
+ * @param {Object} policy - Render policy
+ * @param {CollisionManager|null} collisionMgr - Collision manager
+ */
+export function drawRegistryMeasurement(ctx, measurement, policy, collisionMgr) {
+  if (!measurement || REGISTRY_OVERLAY_CONFIG.enabled === false) return;
+  const points = measurement.points || [];
+  if (!points.length || !points.every(isFinitePoint)) return;
+
+  const color = COLOR_CONFIG.registry || "#fff";
+  const value = formatWithUnit(measurement.value, measurement.unit);
+  const text = policy.compact.shortenLabels ? value : `${measurement.label} ${value}`;
+
+  if (measurement.type === "angle") {
+    drawAngle(ctx, points, text, color, collisionMgr);
+    return;
+  }
+
+  const lineWidth = REGISTRY_OVERLAY_CONFIG.lineWidth ?? 1.5;
+  if (measurement.type === "polyline") strokePath(ctx, points, color, lineWidth);
+
+  const [start, end] =
+    measurement.type === "row-span"
+      ? [measurement.start, measurement.end]
+      : [points[0], points[points.length - 1]];
+  drawRailSegment(
+    ctx,
+    start,
+    end,
+    {
+      color,
+      lineWidth,
+      connectBase: false,
+      drawRail: measurement.type !== "polyline",
+      label: {
+        text,
+        color,
+        offset: { distance: REGISTRY_OVERLAY_CONFIG.textLift ?? 12 },
+      },
+    },
+    collisionMgr
+  );
+}
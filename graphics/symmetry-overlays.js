@@ -0,0 +1,91 @@
+/**
+ * Symmetry Overlays
+ * @module graphics/symmetry-overlays
+ *
+ * Rendering for the facial symmetry analysis:
+ * - Midline through the forehead and the nose grid center column
+ * - Heatmap spots on both landmarks of each mirrored pair, colored by deviation
+ */
+
+import { isFinitePoint } from "../utils/graphics-geometry.js";
+import { COLOR_CONFIG, SYMMETRY_OVERLAY_CONFIG } from "../config.js";
+
+/** @typedef {{x: number, y: number}} Point */
+
+const DEFAULT_RAMP = ["#3DDC97", "#FFD166", "#FF4D4D"];
+
+/**
+ * Parse "#RRGGBB" into RGB components
+ */
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Color of a 0-1 position on a ramp of hex colors (linear interpolation)
+ * @param {string[]} ramp - Hex colors from low to high
+ * @param {number} t - Position (clamped to 0-1)
+ * @returns {number[]} RGB components
+ */
+function rampColor(ramp, t) {
+  const clamped = Math.max(0, Math.min(1, t));
+  const scaled = clamped * (ramp.length - 1);
+  const i = Math.min(Math.floor(scaled), ramp.length - 2);
+  const f = scaled - i;
+  const a = hexToRgb(ramp[i]);
+  const b = hexToRgb(ramp[i + 1]);
+  return a.map((c, k) => Math.round(c + (b[k] - c) * f));
+}
+
+// ============================================================================
+// SYMMETRY HEATMAP RENDERING
+// ============================================================================
+
+/**
+ * Draw the symmetry heatmap and the midline
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} symmetry - Symmetry measurement
+ * @param {Array<{left: Point, right: Point, deviationMm: number}>} symmetry.pairs - Mirrored pairs
+ * @param {Point[]} [symmetry.midline] - Midline points (top to bottom)
+ */
+export function drawSymmetryHeatmap(ctx, symmetry) {
+  if (!symmetry || SYMMETRY_OVERLAY_CONFIG.enabled === false) return;
+
+  const colors = COLOR_CONFIG.symmetry || {};
+  const ramp = colors.ramp?.length >= 2 ? colors.ramp : DEFAULT_RAMP;
+  const radius = SYMMETRY_OVERLAY_CONFIG.radiusPx ?? 12;
+  const maxDeviation = SYMMETRY_OVERLAY_CONFIG.maxDeviationMm ?? 4;
+  const opacity = SYMMETRY_OVERLAY_CONFIG.opacity ?? 0.6;
+
+  ctx.save();
+  for (const pair of symmetry.pairs || []) {
+    if (!Number.isFinite(pair.deviationMm)) continue;
+    const [r, g, b] = rampColor(ramp, pair.deviationMm / maxDeviation);
+    for (const point of [pair.left, pair.right]) {
+      if (!isFinitePoint(point)) continue;
+      const gradient = ctx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius);
+      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${opacity})`);
+      gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+
+  const midline = (symmetry.midline || []).filter(isFinitePoint);
+  if (SYMMETRY_OVERLAY_CONFIG.drawMidline !== false && midline.length > 1) {
+    ctx.save();
+    ctx.strokeStyle = colors.midline || "#fff";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(midline[0].x, midline[0].y);
+    for (let i = 1; i < midline.length; i++) ctx.lineTo(midline[i].x, midline[i].y);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
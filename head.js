@@ -1,6 +1,25 @@
-import { ProjectionUtils, MeasurementBuilders } from "./calculations.js";
+import {
+  ProjectionUtils,
+  MeasurementBuilders,
+  PoseUtils,
+  ModelFitUtils,
+  QualityUtils,
+  GazeUtils,
+  EyeOpennessUtils,
+  FaceShapeUtils,
+  RegistryUtils,
+} from "./calculations.js";
+import { LandmarkFilter } from "./utils/temporal-filters.js";
+import { plugins } from "./core/plugin-registry.js";
 const { buildNoseGridPoints, buildLandmarkPair } = ProjectionUtils;
-const { computeIrisMeasurement, extractEyeSegment } = MeasurementBuilders;
+const { computeIrisMeasurement, extractEyeSegment, extractEyeShape } = MeasurementBuilders;
+const { extractRotation, derotateLandmarks } = PoseUtils;
+const { fitCanonicalModel } = ModelFitUtils;
+const { computeLandmarkJitter, readBlendshapeScore } = QualityUtils;
+const { measureGazeSignals } = GazeUtils;
+const { computeEyeAperture, isEyeClosed } = EyeOpennessUtils;
+const { extractFaceOutline } = FaceShapeUtils;
+const { extractRegistryPoints } = RegistryUtils;
 
 class NoseComponent {
   constructor(indices) {
@@ -40,28 +59,101 @@ class FaceComponent {
   }
 }
 
+/**
+ * Face silhouette contour with forehead, cheekbone, jaw and length spans
+ */
+class FaceOutlineComponent {
+  constructor(outlineIdx) {
+    this.outlineIdx = outlineIdx;
+    this.outline = null;
+  }
+
+  reset() {
+    this.outline = null;
+  }
+
+  update(landmarks, canvasWidth, canvasHeight) {
+    if (!landmarks || !this.outlineIdx) {
+      this.reset();
+      return;
+    }
+    this.outline = extractFaceOutline(landmarks, this.outlineIdx, canvasWidth, canvasHeight);
+  }
+}
+
+/**
+ * Projected points of the declarative measurements (HEAD_CONFIG.measurements)
+ */
+class RegistryComponent {
+  constructor(definitions) {
+    this.definitions = definitions || [];
+    this.points = {};
+  }
+
+  reset() {
+    this.points = {};
+  }
+
+  update(landmarks, canvasWidth, canvasHeight) {
+    this.points = extractRegistryPoints(landmarks, this.definitions, canvasWidth, canvasHeight);
+  }
+}
+
 class EyeSide {
-  constructor({ iris, widthIdx }) {
+  constructor({ iris, widthIdx, closure }) {
     this.irisIndices = iris;
     this.widthIdx = widthIdx;
+    this.closure = closure; // Blink/squint thresholds (null = never closed)
     this.iris = null;
     this.segment = null;
-    this.smoothedDiameter = null;
-    this.smoothingFactor = 0.3; // Lower = smoother but slower response (0.2-0.4 recommended)
+    this.shape = null; // Canthi and mid eyelid points (fissure, height, canthal tilt)
+    this.gaze = null; // Raw gaze signals (pupil offset and eyeLook* blendshapes)
+    this.openness = null; // {blink, squint, aperture}
+    this.closed = false;
+    this.lastOpenIris = null; // Held while the eye is closed
+    this.irisDiameterMm = null; // Calibrated iris diameter (null = default)
   }
 
   reset() {
     this.iris = null;
     this.segment = null;
-    this.smoothedDiameter = null;
+    this.shape = null;
+    this.gaze = null;
+    this.openness = null;
+    this.closed = false;
+    this.lastOpenIris = null;
+  }
+
+  /**
+   * Blink/squint blendshapes and eyelid aperture for this eye
+   */
+  updateOpenness(landmarks, canvasWidth, canvasHeight, blendshapes) {
+    const side = this.irisIndices?.blendshapeSide;
+    this.openness = {
+      blink: side ? readBlendshapeScore(blendshapes, `eyeBlink${side}`) : null,
+      squint: side ? readBlendshapeScore(blendshapes, `eyeSquint${side}`) : null,
+      aperture: computeEyeAperture(
+        landmarks,
+        this.irisIndices?.lids,
+        this.irisIndices?.corners,
+        canvasWidth,
+        canvasHeight
+      ),
+    };
+    this.closed = Boolean(this.closure?.enabled) && isEyeClosed(this.openness, this.closure);
   }
 
-  update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn) {
+  update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn, blendshapes = null) {
     if (!landmarks) {
       this.reset();
       return;
     }
-    if (this.irisIndices) {
+    this.updateOpenness(landmarks, canvasWidth, canvasHeight, blendshapes);
+
+    if (this.closed) {
+      // The iris landmarks collapse during a blink: hold the last open iris
+      this.iris = this.lastOpenIris ? { ...this.lastOpenIris, held: true } : null;
+    } else if (this.irisIndices) {
       // First compute raw measurement without distance calculation
       const rawMeasurement = computeIrisMeasurement(
         landmarks,
@@ -73,27 +165,14 @@ class EyeSide {
       );
 
       if (rawMeasurement && rawMeasurement.diameterPx > 0) {
-        // Apply exponential moving average smoothing to diameter
-        if (this.smoothedDiameter === null) {
-          this.smoothedDiameter = rawMeasurement.diameterPx;
-        } else {
-          this.smoothedDiameter =
-            this.smoothingFactor * rawMeasurement.diameterPx +
-            (1 - this.smoothingFactor) * this.smoothedDiameter;
-        }
-
-        // Calculate distance from smoothed diameter
+        // Per-frame distance; temporal filtering happens once, in the StateManager
         const distanceCm =
           typeof estimateDistanceFn === "function"
-            ? estimateDistanceFn(this.smoothedDiameter)
+            ? estimateDistanceFn(rawMeasurement.diameterPx, this.irisDiameterMm ?? undefined)
             : null;
 
-        // Return measurement with smoothed diameter and calculated distance
-        this.iris = {
-          ...rawMeasurement,
-          diameterPx: this.smoothedDiameter,
-          distanceCm
-        };
+        this.iris = { ...rawMeasurement, distanceCm };
+        this.lastOpenIris = this.iris;
       } else {
         this.iris = rawMeasurement;
       }
@@ -105,13 +184,39 @@ class EyeSide {
     } else {
       this.segment = null;
     }
+    this.shape = extractEyeShape(
+      landmarks,
+      this.irisIndices?.corners,
+      this.irisIndices?.lids,
+      canvasWidth,
+      canvasHeight
+    );
+    this.gaze = this.irisIndices?.corners
+      ? measureGazeSignals(
+          landmarks,
+          this.irisIndices.pupil,
+          this.irisIndices.corners,
+          canvasWidth,
+          canvasHeight,
+          blendshapes,
+          this.irisIndices.blendshapeSide
+        )
+      : null;
   }
 }
 
 class EyesComponent {
   constructor(config) {
-    this.left = new EyeSide({ iris: config.leftIris, widthIdx: config.leftWidthIdx });
-    this.right = new EyeSide({ iris: config.rightIris, widthIdx: config.rightWidthIdx });
+    this.left = new EyeSide({
+      iris: config.leftIris,
+      widthIdx: config.leftWidthIdx,
+      closure: config.closure,
+    });
+    this.right = new EyeSide({
+      iris: config.rightIris,
+      widthIdx: config.rightWidthIdx,
+      closure: config.closure,
+    });
   }
 
   reset() {
@@ -119,42 +224,268 @@ class EyesComponent {
     this.right.reset();
   }
 
-  update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn) {
-    this.left.update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn);
-    this.right.update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn);
+  update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn, blendshapes = null) {
+    this.left.update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn, blendshapes);
+    this.right.update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn, blendshapes);
+  }
+
+  setIrisDiameterMm(irisDiameterMm) {
+    this.left.irisDiameterMm = irisDiameterMm;
+    this.right.irisDiameterMm = irisDiameterMm;
+  }
+}
+
+/**
+ * Head pose from the facial transformation matrix, plus nose/face/eye
+ * geometry rebuilt from landmarks de-rotated to a frontal view.
+ */
+class PoseComponent {
+  constructor({ noseRows, faceWidthIdx, faceOutline, measurements, eyesConfig }) {
+    this.rotation = null;
+    this.landmarks = null;
+    this.nose = new NoseComponent(noseRows);
+    this.face = new FaceComponent(faceWidthIdx);
+    this.silhouette = new FaceOutlineComponent(faceOutline);
+    this.registry = new RegistryComponent(measurements);
+    this.eyes = new EyesComponent(eyesConfig);
+  }
+
+  reset() {
+    this.rotation = null;
+    this.landmarks = null;
+    this.nose.reset();
+    this.face.reset();
+    this.silhouette.reset();
+    this.registry.reset();
+    this.eyes.reset();
+  }
+
+  update(landmarks, transformMatrix, canvasWidth, canvasHeight, blendshapes = null) {
+    const rotation = extractRotation(transformMatrix?.data);
+    const frontal = rotation
+      ? derotateLandmarks(landmarks, rotation.rotationMatrix, canvasWidth, canvasHeight)
+      : null;
+    if (!frontal) {
+      this.reset();
+      return;
+    }
+    this.rotation = rotation;
+    this.landmarks = frontal;
+    this.nose.update(frontal, canvasWidth, canvasHeight);
+    this.face.update(frontal, canvasWidth, canvasHeight);
+    this.silhouette.update(frontal, canvasWidth, canvasHeight);
+    this.registry.update(frontal, canvasWidth, canvasHeight);
+    this.eyes.update(frontal, canvasWidth, canvasHeight, null, blendshapes);
+  }
+}
+
+/**
+ * Similarity fit of the canonical face model (iris-independent scale source)
+ */
+class ModelFitComponent {
+  constructor(indices) {
+    this.indices = indices;
+    this.fit = null;
+  }
+
+  reset() {
+    this.fit = null;
+  }
+
+  update(landmarks, canvasWidth, canvasHeight) {
+    if (!landmarks) {
+      this.reset();
+      return;
+    }
+    this.fit = fitCanonicalModel(landmarks, canvasWidth, canvasHeight, this.indices);
+  }
+}
+
+/**
+ * Per-frame observations used to score measurement quality: landmark jitter
+ * against the previous frame and eye blink from the FaceLandmarker blendshapes
+ */
+class QualityComponent {
+  constructor() {
+    this.previousLandmarks = null;
+    this.jitter = null;
+    this.blink = null;
+  }
+
+  reset() {
+    this.previousLandmarks = null;
+    this.jitter = null;
+    this.blink = null;
+  }
+
+  update(landmarks, canvasWidth, canvasHeight, blendshapes) {
+    if (!landmarks) {
+      this.reset();
+      return;
+    }
+    this.jitter = computeLandmarkJitter(
+      this.previousLandmarks,
+      landmarks,
+      canvasWidth,
+      canvasHeight
+    );
+    this.previousLandmarks = landmarks;
+
+    const blinkLeft = readBlendshapeScore(blendshapes, "eyeBlinkLeft");
+    const blinkRight = readBlendshapeScore(blendshapes, "eyeBlinkRight");
+    this.blink =
+      blinkLeft == null && blinkRight == null
+        ? null
+        : Math.max(blinkLeft ?? 0, blinkRight ?? 0);
   }
 }
 
 class HeadComponent {
-  constructor({ noseGridIndices, faceWidthIdx, eyeWidthIdx, iris }) {
+  constructor(config) {
+    const {
+      noseGridIndices,
+      faceWidthIdx,
+      faceOutline = null,
+      measurements = [],
+      eyeWidthIdx,
+      iris,
+      canonicalFitIdx,
+      landmarkFilter = null,
+      eyeClosure = null,
+    } = config;
+    this.config = config;
     this.landmarks = null;
+    this.landmarkFilter = new LandmarkFilter(landmarkFilter);
+    this.canvasSize = null;
     const noseRows = noseGridIndices?.rows || noseGridIndices;
     this.nose = new NoseComponent(noseRows);
     this.face = new FaceComponent(faceWidthIdx);
-    this.eyes = new EyesComponent({
+    this.silhouette = new FaceOutlineComponent(faceOutline);
+    this.registry = new RegistryComponent(measurements);
+    const eyesConfig = {
       leftIris: iris.left,
       rightIris: iris.right,
       leftWidthIdx: eyeWidthIdx.left,
       rightWidthIdx: eyeWidthIdx.right,
+      closure: eyeClosure,
+    };
+    this.eyes = new EyesComponent(eyesConfig);
+    this.pose = new PoseComponent({
+      noseRows,
+      faceWidthIdx,
+      faceOutline,
+      measurements,
+      eyesConfig,
+    });
+    this.modelFit = new ModelFitComponent(canonicalFitIdx);
+    this.quality = new QualityComponent();
+
+    // Plugin components by plugin ID, kept in sync with the plugin registry
+    /** @type {Map<string, Object>} */
+    this.plugins = new Map();
+    plugins.list().forEach((plugin) => this.attachPlugin(plugin));
+    this.unsubscribePlugins = plugins.subscribe((event, plugin) => {
+      if (event === "register") this.attachPlugin(plugin);
+      else this.detachPlugin(plugin);
     });
   }
 
+  /**
+   * Create and initialize a plugin's component for this face
+   * @param {Object} plugin - Registered plugin
+   */
+  attachPlugin(plugin) {
+    const component = plugins.invoke(plugin, "createComponent", plugin, this.config);
+    if (!component) return;
+    plugins.invoke(plugin, "init", component, this);
+    this.plugins.set(plugin.id, component);
+  }
+
+  /**
+   * Dispose and remove a plugin's component
+   * @param {Object} plugin - Unregistered plugin
+   */
+  detachPlugin(plugin) {
+    const component = this.plugins.get(plugin.id);
+    if (!component) return;
+    this.plugins.delete(plugin.id);
+    plugins.invoke(plugin, "dispose", component);
+  }
+
+  /**
+   * Release the plugin components (the tracker is no longer used)
+   */
+  dispose() {
+    this.unsubscribePlugins();
+    plugins.list().forEach((plugin) => this.detachPlugin(plugin));
+  }
+
+  /**
+   * Call one lifecycle hook on every plugin component
+   * @param {string} hook - "update" or "reset"
+   * @param {...*} args - Hook arguments
+   */
+  forEachPlugin(hook, ...args) {
+    for (const plugin of plugins.list()) {
+      const component = this.plugins.get(plugin.id);
+      if (component) plugins.invoke(plugin, hook, component, ...args);
+    }
+  }
+
   reset() {
     this.landmarks = null;
+    this.canvasSize = null;
+    this.landmarkFilter.reset();
     this.nose.reset();
     this.face.reset();
+    this.silhouette.reset();
+    this.registry.reset();
     this.eyes.reset();
+    this.pose.reset();
+    this.modelFit.reset();
+    this.quality.reset();
+    this.forEachPlugin("reset");
   }
 
-  update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn) {
+  update(
+    landmarks,
+    canvasWidth,
+    canvasHeight,
+    estimateDistanceFn,
+    transformMatrix = null,
+    blendshapes = null,
+    timestampMs = performance.now()
+  ) {
     if (!landmarks) {
       this.reset();
       return;
     }
-    this.landmarks = landmarks;
-    this.nose.update(landmarks, canvasWidth, canvasHeight);
-    this.face.update(landmarks, canvasWidth, canvasHeight);
-    this.eyes.update(landmarks, canvasWidth, canvasHeight, estimateDistanceFn);
+    // Quality scores the raw landmarks (jitter is what the filter hides)
+    this.quality.update(landmarks, canvasWidth, canvasHeight, blendshapes);
+
+    const filtered = this.landmarkFilter.filter(landmarks, timestampMs);
+    this.landmarks = filtered;
+    this.canvasSize = { width: canvasWidth, height: canvasHeight };
+    this.nose.update(filtered, canvasWidth, canvasHeight);
+    this.face.update(filtered, canvasWidth, canvasHeight);
+    this.silhouette.update(filtered, canvasWidth, canvasHeight);
+    this.registry.update(filtered, canvasWidth, canvasHeight);
+    this.eyes.update(filtered, canvasWidth, canvasHeight, estimateDistanceFn, blendshapes);
+    this.pose.update(filtered, transformMatrix, canvasWidth, canvasHeight, blendshapes);
+    this.modelFit.update(filtered, canvasWidth, canvasHeight);
+    this.forEachPlugin("update", filtered, canvasWidth, canvasHeight, {
+      pose: this.pose,
+      blendshapes,
+      timestampMs,
+    });
+  }
+
+  /**
+   * Use a calibrated iris diameter for distance estimation (null = default)
+   * @param {number|null} irisDiameterMm - Iris diameter in mm
+   */
+  setIrisDiameterMm(irisDiameterMm) {
+    this.eyes.setIrisDiameterMm(irisDiameterMm);
   }
 
   getAverageCameraDistance() {
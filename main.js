@@ -3,27 +3,72 @@
  * @module main
  */
 
-import { ConversionUtils } from "./calculations.js";
-import { CAMERA_CONFIG, HEAD_CONFIG, UI_CONFIG, THREEJS_CONFIG, validateConfig } from "./config.js";
-import { createHeadTracker } from "./head.js";
+import {
+  CAMERA_CONFIG,
+  HEAD_CONFIG,
+  HEAD_SIZE_CONFIG,
+  FACE_SHAPE_CONFIG,
+  SYMMETRY_CONFIG,
+  CALIBRATION_CONFIG,
+  INTRINSICS_CONFIG,
+  FRAME_CONFIG,
+  RECOMMENDER_CONFIG,
+  VIDEO_FILE_CONFIG,
+  UI_CONFIG,
+  THREEJS_CONFIG,
+  validateConfig,
+} from "./config.js";
 import { UIManager } from "./core/ui-manager.js";
-import { StateManager } from "./core/state-manager.js";
+import { FaceTrackManager } from "./core/face-track-manager.js";
 import { CameraManager } from "./core/camera-manager.js";
 import { ModelManager } from "./core/model-manager.js";
+import { CalibrationManager } from "./core/calibration-manager.js";
+import { IntrinsicsCalibrationManager } from "./core/intrinsics-manager.js";
+import { VideoAnalysisManager } from "./core/video-analysis-manager.js";
+import { LandmarkRecorder } from "./core/landmark-recorder.js";
+import {
+  applyRecordingEvent,
+  guessFocalLengthPx,
+  processFaceResults,
+} from "./core/measurement-pipeline.js";
+import { scaleIntrinsics } from "./utils/camera-intrinsics.js";
+import { loadFrameCatalog, recommendFrames } from "./utils/frame-recommender.js";
+import {
+  createRecordingHeader,
+  serializeRecording,
+  parseRecording,
+} from "./utils/landmark-recording.js";
 import { createGraphics3D } from "./graphics-3d.js";
 
 // Validate configuration on startup
 validateConfig();
 
-const { estimateCameraDistanceCm: calcEstimateDistance } = ConversionUtils;
-const { irisDiameterMm: DEFAULT_IRIS_DIAMETER_MM, focalLengthScale } = CAMERA_CONFIG;
-const FOCAL_LENGTH_PX = focalLengthScale.call(CAMERA_CONFIG);
+const { irisDiameterMm: DEFAULT_IRIS_DIAMETER_MM } = CAMERA_CONFIG;
 
 // Initialize core modules
 const ui = new UIManager();
-const state = new StateManager(CAMERA_CONFIG);
+const liveFaces = createFaceTracks();
+let faces = liveFaces;
 const camera = new CameraManager(ui.video, CAMERA_CONFIG);
-const head = createHeadTracker(HEAD_CONFIG);
+const calibration = new CalibrationManager(CALIBRATION_CONFIG, HEAD_CONFIG, {
+  // The card is calibrated against the primary (longest-tracked) face; the
+  // result applies from the next frame (see applyPendingCalibration)
+  onComplete: (irisDiameterMm) => {
+    const primary = faces.getPrimaryTrack();
+    if (primary) {
+      pendingCalibration = { track: primary, irisDiameterMm };
+    }
+  },
+});
+const intrinsicsCalibration = new IntrinsicsCalibrationManager(INTRINSICS_CONFIG, {
+  onComplete: (intrinsics) => {
+    cameraIntrinsics = intrinsics;
+    intrinsicsCalibration.saveIntrinsics(camera.getDeviceId(), intrinsics);
+  },
+});
+
+const videoAnalysis = new VideoAnalysisManager(VIDEO_FILE_CONFIG);
+const recorder = new LandmarkRecorder();
 
 // Initialize 3D graphics (if enabled)
 const canvas3D = document.getElementById("output_canvas_3d");
@@ -32,79 +77,178 @@ const graphics3D = THREEJS_CONFIG.enabled ? createGraphics3D(canvas3D) : null;
 // Application state
 let lastLandmarks = null;
 let currentRenderMode = UI_CONFIG.renderMode;
+let cameraIntrinsics = null;
+let frameCatalog = null;
+let animationFrameId = null;
+let cameraReady = false;
+let mediaMode = null; // null (live camera), "photo", "video" (file) or "replay"
+let selectedFrameId = FRAME_CONFIG.selected;
+let mediaRequestId = 0;
+let photoResults = null;
+let pendingCalibration = null;
 
 /**
- * Estimate camera distance from iris diameter in pixels
- * @param {number} diameterPx - Iris diameter in pixels
- * @returns {number|null} Distance in centimeters
+ * Face tracks with their own head trackers and measurement state
+ * @returns {FaceTrackManager}
  */
-function estimateCameraDistanceCm(diameterPx) {
-  return calcEstimateDistance(diameterPx, FOCAL_LENGTH_PX, DEFAULT_IRIS_DIAMETER_MM);
+function createFaceTracks() {
+  return new FaceTrackManager(CAMERA_CONFIG, HEAD_CONFIG, {
+    headSize: HEAD_SIZE_CONFIG,
+    faceShape: FACE_SHAPE_CONFIG,
+    symmetry: SYMMETRY_CONFIG,
+  });
 }
 
 /**
- * Process face landmarks and update head tracking
- * @param {Object} faceResults - Face detection results from MediaPipe
- * @returns {{frameDistanceCm: number|null}}
+ * Focal length in pixels for an image of the given size (same aspect as the video).
+ * Uses the calibrated intrinsics when available, otherwise the config guess.
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {{x: number, y: number}} Focal length in pixels
  */
-function processFaceLandmarks(faceResults) {
-  if (!faceResults?.faceLandmarks) {
-    head.reset();
-    lastLandmarks = null;
-    return { frameDistanceCm: null };
-  }
+function getFocalLengthPx(width, height) {
+  const intrinsics = scaleIntrinsics(cameraIntrinsics, width, height);
+  if (intrinsics) return { x: intrinsics.fx, y: intrinsics.fy };
 
-  let frameDistanceCm = null;
-  const { width: canvasWidth, height: canvasHeight } = ui.getCanvasDisplaySize();
-
-  faceResults.faceLandmarks.forEach((landmarks) => {
-    const displayLandmarks = camera.applyMirrorIfEnabled(landmarks);
-    if (!displayLandmarks) return;
-    lastLandmarks = displayLandmarks;
+  return guessFocalLengthPx(CAMERA_CONFIG, width, height);
+}
 
-    head.update(displayLandmarks, canvasWidth, canvasHeight, estimateCameraDistanceCm);
+/**
+ * Look up a frame model by ID
+ * @param {string|null} frameId - FRAME_CONFIG model ID
+ * @returns {Object|null} Frame model or null
+ */
+function findFrameModel(frameId) {
+  return FRAME_CONFIG.models.find((model) => model.id === frameId) || null;
+}
 
-    const leftIris = head.eyes.left.iris;
-    const rightIris = head.eyes.right.iris;
-    if (leftIris?.distanceCm && rightIris?.distanceCm) {
-      frameDistanceCm = (leftIris.distanceCm + rightIris.distanceCm) / 2;
-    }
-  });
+/**
+ * Draw the detected calibration card (normalized video coordinates) on the 2D canvas
+ */
+function drawCalibrationOverlay() {
+  const status = calibration.getStatus();
+  if (!status.cardCorners) return;
+  const { width, height } = ui.getCanvasDisplaySize();
+  const corners = camera
+    .applyMirrorIfEnabled(status.cardCorners)
+    .map((p) => ({ x: p.x * width, y: p.y * height }));
+  ui.graphics.drawCalibrationOverlay(corners, status);
+}
 
-  return { frameDistanceCm };
+/**
+ * Draw the detected checkerboard outline (normalized video coordinates) on the 2D canvas
+ */
+function drawIntrinsicsOverlay() {
+  const status = intrinsicsCalibration.getStatus();
+  if (!status.boardCorners) return;
+  const { width, height } = ui.getCanvasDisplaySize();
+  const corners = camera
+    .applyMirrorIfEnabled(status.boardCorners)
+    .map((p) => ({ x: p.x * width, y: p.y * height }));
+  ui.graphics.drawCalibrationOverlay(corners, status, "Board");
 }
 
 /**
- * Main render loop - processes video frames and draws overlays
+ * How landmarks are measured on the canvas: its display size, the focal
+ * length at that size and mirroring (photos are shown as they are, and
+ * measured without the frame quality gate)
+ * @returns {{displaySize: {width: number, height: number}, focalLengthPx: {x: number, y: number},
+ *   mirror: boolean, still: boolean}} Display view
  */
-async function renderFrame() {
-  // Process video frame with MediaPipe models
-  const { faceResults } = models.processFrame(ui.video);
+function getDisplayView() {
+  const displaySize = ui.getCanvasDisplaySize();
+  return {
+    displaySize,
+    focalLengthPx: getFocalLengthPx(displaySize.width, displaySize.height),
+    mirror: mediaMode !== "photo" && camera.isMirrorEnabled(),
+    still: mediaMode === "photo",
+  };
+}
 
-  // Process face landmarks
-  const { frameDistanceCm } = processFaceLandmarks(faceResults);
+/**
+ * Apply a finished card calibration to the live face tracks. It is applied
+ * (and recorded, under the face's recording ID) between frames, where a replay
+ * applies it too.
+ */
+function applyPendingCalibration() {
+  if (!pendingCalibration) return;
+  const { track, irisDiameterMm } = pendingCalibration;
+  liveFaces.setIrisDiameterMm(track.id, irisDiameterMm);
+  // A face not detected yet in the recording gets its calibration when it is (addFaces)
+  const faceId = recorder.isActive() ? recorder.getFaceId(track) : null;
+  if (faceId != null) recorder.recordEvent({ kind: "irisCalibration", faceId, irisDiameterMm });
+  pendingCalibration = null;
+}
 
-  // Update distance with smoothing
-  if (Number.isFinite(frameDistanceCm)) {
-    state.updateDistance(frameDistanceCm);
-  } else {
-    state.decayDistance();
+/**
+ * Process face landmarks: match detections to face tracks and update each
+ * face's head tracker, distance and measurements
+ * @param {Object} faceResults - Face detection results from MediaPipe
+ * @param {number} timestampMs - Frame time in milliseconds
+ * @param {Object} [view] - Display view (getDisplayView; replays pass the recorded one)
+ */
+function processFaceLandmarks(faceResults, timestampMs, view = getDisplayView()) {
+  if (mediaMode !== "replay") {
+    applyPendingCalibration();
+    if (recorder.isActive()) recorder.record(faceResults, timestampMs, view);
   }
 
-  // Update measurements from head tracking
-  state.updateMeasurements(head, DEFAULT_IRIS_DIAMETER_MM);
+  const tracks = processFaceResults(faces, faceResults, timestampMs, view, {
+    irisDiameterMm: DEFAULT_IRIS_DIAMETER_MM,
+    onDetection: (track, landmarks) => {
+      // Card calibration works on raw video pixels, so it gets unmirrored landmarks
+      if (track === faces.getPrimaryTrack() && calibration.isActive()) {
+        const { width: videoWidth, height: videoHeight } = ui.getVideoDimensions();
+        calibration.processFrame(ui.video, landmarks, getFocalLengthPx(videoWidth, videoHeight));
+      }
+    },
+  });
+  if (mediaMode !== "replay" && recorder.isActive()) recorder.addFaces(tracks);
+
+  lastLandmarks = faces.getPrimaryTrack()?.head.landmarks || null;
+}
 
-  // Render metrics panel
-  ui.renderMetricsPanel(state.getMeasurements(), state.getSmoothedDistance());
+/**
+ * Render the metrics panel and the overlays of the current face tracks
+ */
+function renderResults() {
+  const tracks = faces.getTracks();
+  const analysis = videoAnalysis.getStatus().result;
+
+  // Render metrics panel (one set of cards per face)
+  ui.renderMetricsPanel(
+    tracks.map(({ id, state }) => {
+      const measurements = state.getMeasurements();
+      return {
+        id,
+        state: measurements,
+        distanceCm: state.getSmoothedDistance(),
+        capture: state.getCaptureStatus(),
+        recommendations: frameCatalog
+          ? recommendFrames(measurements, frameCatalog, RECOMMENDER_CONFIG)
+          : null,
+        analysis: analysis?.faces[id] || null,
+      };
+    })
+  );
+  ui.renderCalibrationStatus(calibration.getStatus());
+  ui.renderRecordingStatus(recorder.getStatus());
+  ui.renderIntrinsicsStatus(intrinsicsCalibration.getStatus(), cameraIntrinsics);
 
   // Render based on mode
   if (currentRenderMode === "canvas2d") {
     // Clear and draw 2D canvas
     ui.clearCanvas();
     ui.graphics.beginFrame();
-    ui.graphics.drawMeasurementOverlays(state.getMeasurements(), {
-      noseOverlayEnabled: UI_CONFIG.noseOverlayEnabled
+    const labelFaces = tracks.length > 1;
+    tracks.forEach(({ id, state }) => {
+      ui.graphics.drawMeasurementOverlays(state.getMeasurements(), {
+        noseOverlayEnabled: UI_CONFIG.noseOverlayEnabled,
+        faceLabel: labelFaces ? `Face ${id}` : null,
+      });
     });
+    if (calibration.isActive()) drawCalibrationOverlay();
+    if (intrinsicsCalibration.isActive()) drawIntrinsicsOverlay();
   }
 
   if (currentRenderMode === "hybrid") {
@@ -116,9 +260,260 @@ async function renderFrame() {
       graphics3D.render();
     }
   }
+}
+
+/**
+ * Main render loop - processes video frames and draws overlays
+ */
+async function renderFrame() {
+  if (mediaMode) {
+    animationFrameId = null;
+    return;
+  }
+  const timestampMs = performance.now();
+
+  // Process video frame with MediaPipe models
+  const { faceResults } = models.processFrame(ui.video);
+
+  // Checkerboard calibration does not need a face in view
+  if (intrinsicsCalibration.isActive()) {
+    intrinsicsCalibration.processFrame(ui.video);
+    if (!intrinsicsCalibration.isActive()) ui.hideCalibrationPattern();
+  }
+
+  // Process face landmarks and render
+  processFaceLandmarks(faceResults, timestampMs);
+  renderResults();
 
   // Request next frame
-  window.requestAnimationFrame(renderFrame);
+  animationFrameId = window.requestAnimationFrame(renderFrame);
+}
+
+/**
+ * Keep the 3D canvas the size of the 2D canvas
+ */
+function syncGraphics3DSize() {
+  if (!graphics3D) return;
+  const { width, height } = ui.getCanvasDisplaySize();
+  graphics3D.handleResize(width, height);
+}
+
+/**
+ * Stop the live loop and everything that needs the live camera before
+ * showing a photo or a video file
+ * @param {"photo"|"video"} mode - Media shown instead of the camera
+ * @returns {number} Request ID; the caller stops once it is no longer current
+ */
+function leaveLiveMode(mode) {
+  applyPendingCalibration();
+  mediaMode = mode;
+  if (animationFrameId != null) {
+    window.cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+  ui.video.pause();
+  if (calibration.isActive()) calibration.cancel();
+  if (intrinsicsCalibration.isActive()) {
+    intrinsicsCalibration.cancel();
+    ui.hideCalibrationPattern();
+  }
+  if (faces.isCapturing()) faces.cancelCapture();
+  videoAnalysis.cancel();
+  photoResults = null;
+  faces = liveFaces;
+  return ++mediaRequestId;
+}
+
+/**
+ * Measure the uploaded photo: the results of a single IMAGE-mode detection
+ * go through fresh face tracks (no history from the live camera), once
+ */
+function measurePhoto() {
+  faces.clear();
+  processFaceLandmarks(photoResults, performance.now());
+  renderResults();
+}
+
+/**
+ * Switch to photo mode: stop the live loop, detect faces in the photo and
+ * draw its measurements over it
+ * @param {File} file - Image file from the upload button or a drop
+ */
+async function analyzePhoto(file) {
+  const requestId = leaveLiveMode("photo");
+  ui.renderMediaStatus({ active: true, message: "Detecting face..." });
+
+  let results;
+  try {
+    const image = await ui.showPhoto(file);
+    results = await models.detectImage(image);
+  } catch (error) {
+    if (requestId !== mediaRequestId) return;
+    console.warn("Could not analyze photo:", error);
+    await returnToCamera();
+    ui.renderMediaStatus({ active: false, message: "Could not read that photo" });
+    return;
+  }
+  if (requestId !== mediaRequestId) return;
+
+  photoResults = results;
+  syncGraphics3DSize();
+  measurePhoto();
+
+  const faceCount = photoResults.faceLandmarks?.length || 0;
+  ui.renderMediaStatus({
+    active: true,
+    message: faceCount ? file.name : "No face found in this photo",
+  });
+}
+
+/**
+ * Switch to video file mode: show the file in place of the camera, run the
+ * full pipeline on every frame at the video's own timestamps and aggregate
+ * the per-frame measurements
+ * @param {File} file - Video file from the upload button or a drop
+ */
+async function analyzeVideoFile(file) {
+  const requestId = leaveLiveMode("video");
+  ui.showCamera();
+  ui.renderMediaStatus({ active: true, message: `Loading ${file.name}...` });
+
+  try {
+    const { durationMs } = await camera.loadVideoFile(file);
+    if (requestId !== mediaRequestId) return;
+    ui.syncCanvasResolution();
+    ui.resizeDisplayToContainer();
+    syncGraphics3DSize();
+
+    // Fresh face tracks, so the filters only see this video's timestamps
+    faces.clear();
+    models.startVideoFile();
+    videoAnalysis.start(file.name, durationMs);
+
+    for (const frameTimeMs of videoAnalysis.getFrameTimes()) {
+      const mediaTimeMs = await camera.seekVideoFile(frameTimeMs);
+      if (requestId !== mediaRequestId) return;
+      const faceResults = await models.detectVideoFileFrame(ui.video, mediaTimeMs);
+      if (requestId !== mediaRequestId) return;
+
+      processFaceLandmarks(faceResults, mediaTimeMs);
+      videoAnalysis.recordFrame(mediaTimeMs, faces.getTracks());
+      renderResults();
+      const { progress } = videoAnalysis.getStatus();
+      ui.renderMediaStatus({
+        active: true,
+        message: `Analyzing ${file.name}... ${Math.round(progress * 100)}%`,
+      });
+    }
+    videoAnalysis.finish();
+  } catch (error) {
+    if (requestId !== mediaRequestId) return;
+    console.warn("Could not analyze video:", error);
+    videoAnalysis.fail("Could not read that video");
+  }
+
+  renderResults();
+  const status = videoAnalysis.getStatus();
+  ui.renderMediaStatus({
+    active: true,
+    message: status.message,
+    download: status.state === "done",
+  });
+}
+
+/**
+ * Replay a landmark recording: its frames go through processFaceLandmarks at
+ * the recorded pace, with the recorded timestamps and display view, on fresh
+ * face tracks set up like the recorded session, with its calibration and frame
+ * model changes (no camera or model involved)
+ * @param {File} file - Recording from the replay button or a drop
+ */
+async function replayRecording(file) {
+  const requestId = leaveLiveMode("replay");
+  ui.renderMediaStatus({ active: true, message: `Loading ${file.name}...` });
+
+  let recording;
+  try {
+    recording = parseRecording(await file.text());
+  } catch (error) {
+    if (requestId !== mediaRequestId) return;
+    console.warn("Could not read recording:", error);
+    await returnToCamera();
+    ui.renderMediaStatus({ active: false, message: "Could not read that recording" });
+    return;
+  }
+  if (requestId !== mediaRequestId) return;
+
+  const { header, frames, events } = recording;
+  faces = createFaceTracks();
+  faces.setSessionIrisDiameterMm(header.irisDiameterMm);
+  faces.setFrame(findFrameModel(header.frameId));
+
+  const startedAt = performance.now();
+  const firstTimestampMs = frames[0]?.timestampMs ?? 0;
+  let next = 0;
+  let nextEvent = 0;
+  const step = () => {
+    if (requestId !== mediaRequestId) return;
+
+    // Every recorded frame is processed, however many are due this tick
+    const elapsedMs = performance.now() - startedAt;
+    let processed = false;
+    while (next < frames.length && frames[next].timestampMs - firstTimestampMs <= elapsedMs) {
+      // Calibration and frame model changes, at the frame they were made before
+      while (nextEvent < events.length && events[nextEvent].frameIndex <= next) {
+        applyRecordingEvent(faces, events[nextEvent++], FRAME_CONFIG.models);
+      }
+      const frame = frames[next++];
+      ui.showReplay(frame.displaySize);
+      processFaceLandmarks(frame.faceResults, frame.timestampMs, frame);
+      processed = true;
+    }
+    if (processed) {
+      syncGraphics3DSize();
+      renderResults();
+    }
+
+    if (next < frames.length) {
+      ui.renderMediaStatus({
+        active: true,
+        message: `Replaying ${file.name}... ${next}/${frames.length}`,
+      });
+      animationFrameId = window.requestAnimationFrame(step);
+    } else {
+      animationFrameId = null;
+      ui.renderMediaStatus({ active: true, message: `Replayed ${frames.length} frames` });
+    }
+  };
+  step();
+}
+
+/**
+ * Leave photo / video file / replay mode and restart the live loop
+ */
+async function returnToCamera() {
+  const requestId = ++mediaRequestId;
+  mediaMode = null;
+  photoResults = null;
+  videoAnalysis.cancel();
+  if (animationFrameId != null) {
+    window.cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+  faces = liveFaces;
+  if (camera.isPlayingFile()) {
+    await camera.useCamera().catch((error) => console.warn("Could not resume camera:", error));
+    if (requestId !== mediaRequestId) return;
+  }
+
+  ui.showCamera();
+  ui.renderMediaStatus({ active: false });
+  faces.clear();
+  if (!cameraReady) return;
+
+  syncGraphics3DSize();
+  ui.video.play().catch((error) => console.warn("Could not resume camera:", error));
+  renderFrame();
 }
 
 // Store models globally for renderFrame access
@@ -192,11 +587,81 @@ function setup3DControls() {
   ui.setupEventListeners({
     onFocusChange: (focus) => {
       ui.graphics.setRenderPolicy({ focus });
+      if (mediaMode) renderResults();
     },
     onMirrorToggle: (enabled) => {
       camera.setMirrorEnabled(enabled);
       ui.applyMirrorSetting(enabled);
     },
+    onCapture: () => {
+      if (faces.isCapturing()) {
+        faces.cancelCapture();
+      } else {
+        faces.startCapture();
+      }
+    },
+    onFrameChange: (frameId) => {
+      selectedFrameId = frameId;
+      liveFaces.setFrame(findFrameModel(frameId));
+      if (recorder.isActive() && mediaMode !== "replay") {
+        recorder.recordEvent({ kind: "frame", frameId });
+      }
+    },
+    onCalibrateCard: () => {
+      if (calibration.isActive()) {
+        calibration.cancel();
+      } else {
+        calibration.start();
+      }
+    },
+    onCalibrateCamera: () => {
+      if (intrinsicsCalibration.isActive()) {
+        intrinsicsCalibration.cancel();
+        ui.hideCalibrationPattern();
+      } else {
+        intrinsicsCalibration.start();
+      }
+    },
+    onShowPattern: () => {
+      ui.showCalibrationPattern(INTRINSICS_CONFIG.board);
+      if (!intrinsicsCalibration.isActive()) intrinsicsCalibration.start();
+    },
+    onPhotoSelected: (file) => analyzePhoto(file),
+    onVideoSelected: (file) => analyzeVideoFile(file),
+    onRecordingSelected: (file) => replayRecording(file),
+    onRecordToggle: () => {
+      if (!recorder.isActive()) {
+        recorder.start(
+          createRecordingHeader({
+            videoSize: ui.getVideoDimensions(),
+            irisDiameterMm: faces.getSessionIrisDiameterMm(),
+            frameId: selectedFrameId,
+          })
+        );
+      } else {
+        const recording = recorder.stop();
+        const stamp = recording.header.createdAt.replace(/[:.]/g, "-");
+        ui.downloadFile(
+          serializeRecording(recording),
+          `headsize-landmarks-${stamp}.ndjson`,
+          "application/x-ndjson"
+        );
+      }
+      ui.renderRecordingStatus(recorder.getStatus());
+    },
+    onDownloadAnalysis: () => {
+      const result = videoAnalysis.getStatus().result;
+      if (!result) return;
+      const baseName = result.fileName.replace(/\.[^.]+$/, "");
+      ui.downloadJson(result, `${baseName}-analysis.json`);
+    },
+    onLiveCamera: () => returnToCamera(),
+    onResize: () => {
+      // Photo landmarks are in display pixels, so a resize re-measures the photo;
+      // a replay keeps its recorded display size and is only redrawn
+      if (photoResults) measurePhoto();
+      else if (mediaMode === "replay") renderResults();
+    },
   });
 
   // Setup 3D controls
@@ -207,12 +672,26 @@ function setup3DControls() {
     document.querySelector('input[name="focus"]:checked')?.value || "face";
   ui.graphics.setRenderPolicy({ focus: initialFocus });
 
+  // Frame model for the segment height
+  ui.renderFrameOptions(FRAME_CONFIG.models, FRAME_CONFIG.selected);
+  faces.setFrame(findFrameModel(FRAME_CONFIG.selected));
+
+  // Frame catalog for the size recommendations
+  if (RECOMMENDER_CONFIG.enabled) {
+    loadFrameCatalog(RECOMMENDER_CONFIG.catalogUrl)
+      .then((frames) => {
+        frameCatalog = frames;
+      })
+      .catch((error) => console.warn("Could not load frame catalog:", error));
+  }
+
   // Set initial mirror state from config
   const initialMirrorEnabled = UI_CONFIG.mirrorEnabled;
   camera.setMirrorEnabled(initialMirrorEnabled);
   ui.applyMirrorSetting(initialMirrorEnabled);
 
   await camera.initialize();
+  cameraIntrinsics = intrinsicsCalibration.loadIntrinsics(camera.getDeviceId());
   ui.video.addEventListener(
     "loadedmetadata",
     () => {
@@ -225,7 +704,10 @@ function setup3DControls() {
         graphics3D.handleResize(width, height);
       }
 
-      renderFrame();
+      // A photo uploaded while the camera was starting stays on screen
+      cameraReady = true;
+      if (photoResults) measurePhoto();
+      else if (!mediaMode) renderFrame();
     },
     { once: true }
   );
@@ -0,0 +1,613 @@
+/**
+ * Camera intrinsics estimation from checkerboard views
+ * @module utils/camera-intrinsics
+ *
+ * Finds the inner corners of a checkerboard in a luminance image (saddle
+ * points of the intensity surface, grown into a grid) and solves for focal
+ * length and principal point with Zhang's planar method (zero skew).
+ * The board's square size cancels out, so any printed or on-screen board
+ * works, including one seen through a mirror.
+ */
+
+import { symmetricEigen } from "./procrustes.js";
+
+/** @typedef {{x: number, y: number}} Point */
+/** @typedef {{fx: number, fy: number, cx: number, cy: number,
+ *   imageWidth: number, imageHeight: number}} CameraIntrinsics */
+/** @typedef {{imagePoints: Point[], boardPoints: Point[]}} BoardView */
+
+const RING_RADIUS = 4;
+const RING_SAMPLES = 16;
+const MIN_RING_CONTRAST = 24;
+const RESPONSE_THRESHOLD = 0.05;
+const MAX_SEEDS = 6;
+
+// ============================================================================
+// IMAGE PREPARATION
+// ============================================================================
+
+/**
+ * Box-downsample a luminance image and apply a 5-tap binomial blur
+ * @param {Float32Array} gray - Luminance image (row-major)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} factor - Integer downsample factor
+ * @returns {{data: Float32Array, width: number, height: number}} Smoothed image
+ */
+function downsampleAndBlur(gray, width, height, factor) {
+  const w = Math.floor(width / factor);
+  const h = Math.floor(height / factor);
+  const small = new Float32Array(w * h);
+  const norm = 1 / (factor * factor);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        const row = (y * factor + dy) * width + x * factor;
+        for (let dx = 0; dx < factor; dx++) sum += gray[row + dx];
+      }
+      small[y * w + x] = sum * norm;
+    }
+  }
+
+  const kernel = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        const xx = Math.min(w - 1, Math.max(0, x + k));
+        sum += kernel[k + 2] * small[y * w + xx];
+      }
+      tmp[y * w + x] = sum;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -2; k <= 2; k++) {
+        const yy = Math.min(h - 1, Math.max(0, y + k));
+        sum += kernel[k + 2] * tmp[yy * w + x];
+      }
+      out[y * w + x] = sum;
+    }
+  }
+
+  return { data: out, width: w, height: h };
+}
+
+// ============================================================================
+// CORNER CANDIDATES
+// ============================================================================
+
+/**
+ * Saddle response: negative Hessian determinant (positive at X-junctions)
+ * @param {{data: Float32Array, width: number, height: number}} image - Smoothed image
+ * @returns {Float32Array} Response per pixel
+ */
+function saddleResponse({ data, width, height }) {
+  const response = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const ixx = data[i + 1] - 2 * data[i] + data[i - 1];
+      const iyy = data[i + width] - 2 * data[i] + data[i - width];
+      const ixy =
+        (data[i + width + 1] - data[i + width - 1] - data[i - width + 1] + data[i - width - 1]) / 4;
+      const det = ixx * iyy - ixy * ixy;
+      response[i] = det < 0 ? -det : 0;
+    }
+  }
+  return response;
+}
+
+/**
+ * Check that a circle around the point crosses exactly four alternating
+ * dark/light sectors with point symmetry (rejects edges, L-corners and blobs)
+ * @param {{data: Float32Array, width: number}} image - Smoothed image
+ * @param {number} cx - Candidate x
+ * @param {number} cy - Candidate y
+ * @returns {boolean} True if the neighborhood looks like a checkerboard corner
+ */
+function isCheckerCorner({ data, width }, cx, cy) {
+  const samples = new Array(RING_SAMPLES);
+  let min = Infinity;
+  let max = -Infinity;
+  for (let k = 0; k < RING_SAMPLES; k++) {
+    const angle = (2 * Math.PI * k) / RING_SAMPLES;
+    const x = Math.round(cx + RING_RADIUS * Math.cos(angle));
+    const y = Math.round(cy + RING_RADIUS * Math.sin(angle));
+    const v = data[y * width + x];
+    samples[k] = v;
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  }
+  if (max - min < MIN_RING_CONTRAST) return false;
+
+  // Samples that fall on an edge are ambiguous and skipped
+  const mid = (min + max) / 2;
+  const band = (max - min) * 0.2;
+  const labels = samples.map((v) => (v > mid + band ? 1 : v < mid - band ? -1 : 0));
+  const sequence = labels.filter(Boolean);
+  if (sequence.length < RING_SAMPLES / 2) return false;
+
+  let transitions = 0;
+  for (let k = 0; k < sequence.length; k++) {
+    if (sequence[k] !== sequence[(k + 1) % sequence.length]) transitions++;
+  }
+
+  let asymmetric = 0;
+  const half = RING_SAMPLES / 2;
+  for (let k = 0; k < half; k++) {
+    const a = labels[k];
+    const b = labels[k + half];
+    if (a && b && a !== b) asymmetric++;
+  }
+  return transitions === 4 && asymmetric === 0;
+}
+
+/**
+ * Find checkerboard corner candidates (non-maximum suppressed saddle points)
+ * @param {{data: Float32Array, width: number, height: number}} image - Smoothed image
+ * @returns {{x: number, y: number, strength: number}[]} Candidates, strongest first
+ */
+function findCornerCandidates(image) {
+  const { width, height } = image;
+  const response = saddleResponse(image);
+
+  let maxResponse = 0;
+  for (let i = 0; i < response.length; i++) maxResponse = Math.max(maxResponse, response[i]);
+  if (maxResponse <= 0) return [];
+  const threshold = maxResponse * RESPONSE_THRESHOLD;
+
+  const margin = RING_RADIUS + 1;
+  const radius = 2;
+  const candidates = [];
+  for (let y = margin; y < height - margin; y++) {
+    for (let x = margin; x < width - margin; x++) {
+      const r = response[y * width + x];
+      if (r < threshold) continue;
+
+      let isMax = true;
+      for (let dy = -radius; dy <= radius && isMax; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if ((dx || dy) && response[(y + dy) * width + x + dx] > r) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+      if (!isMax || !isCheckerCorner(image, x, y)) continue;
+
+      // Sub-pixel peak from a quadratic fit along each axis
+      const i = y * width + x;
+      const denomX = response[i - 1] - 2 * r + response[i + 1];
+      const denomY = response[i - width] - 2 * r + response[i + width];
+      const offsetX = denomX < 0 ? (response[i - 1] - response[i + 1]) / (2 * denomX) : 0;
+      const offsetY = denomY < 0 ? (response[i - width] - response[i + width]) / (2 * denomY) : 0;
+      candidates.push({
+        x: x + Math.max(-0.5, Math.min(0.5, offsetX)),
+        y: y + Math.max(-0.5, Math.min(0.5, offsetY)),
+        strength: r,
+      });
+    }
+  }
+
+  return candidates.sort((a, b) => b.strength - a.strength);
+}
+
+// ============================================================================
+// GRID ASSEMBLY
+// ============================================================================
+
+/**
+ * Nearest candidate to a predicted position
+ * @param {Point[]} candidates - Candidate points
+ * @param {Point} target - Predicted position
+ * @param {number} maxDistance - Search radius
+ * @returns {number} Candidate index or -1
+ */
+function nearestCandidate(candidates, target, maxDistance) {
+  let best = -1;
+  let bestDistance = maxDistance;
+  for (let i = 0; i < candidates.length; i++) {
+    const d = Math.hypot(candidates[i].x - target.x, candidates[i].y - target.y);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Grow a lattice from a seed corner, following local grid vectors so that
+ * moderate perspective is tolerated
+ * @param {Point[]} candidates - Corner candidates
+ * @param {number} seed - Seed candidate index
+ * @returns {Map<number, {i: number, j: number}>|null} Candidate index -> lattice coords
+ */
+function growLattice(candidates, seed) {
+  const origin = candidates[seed];
+  const others = candidates
+    .map((p, idx) => ({ idx, d: Math.hypot(p.x - origin.x, p.y - origin.y) }))
+    .filter(({ idx }) => idx !== seed)
+    .sort((a, b) => a.d - b.d);
+  if (others.length < 2) return null;
+
+  // Seed basis: nearest neighbor and the nearest roughly perpendicular one
+  const first = candidates[others[0].idx];
+  const u = { x: first.x - origin.x, y: first.y - origin.y };
+  const second = others.slice(1, 6).find(({ idx }) => {
+    const p = candidates[idx];
+    const v = { x: p.x - origin.x, y: p.y - origin.y };
+    const cos = (u.x * v.x + u.y * v.y) / (Math.hypot(u.x, u.y) * Math.hypot(v.x, v.y));
+    return Math.abs(cos) < 0.5;
+  });
+  if (!second) return null;
+  const v = {
+    x: candidates[second.idx].x - origin.x,
+    y: candidates[second.idx].y - origin.y,
+  };
+
+  const coords = new Map([[seed, { i: 0, j: 0 }]]);
+  const taken = new Map([["0,0", seed]]);
+  const queue = [{ idx: seed, u, v }];
+
+  while (queue.length) {
+    const node = queue.shift();
+    const p = candidates[node.idx];
+    const { i, j } = coords.get(node.idx);
+    const steps = [
+      { di: 1, dj: 0, vec: node.u },
+      { di: -1, dj: 0, vec: { x: -node.u.x, y: -node.u.y } },
+      { di: 0, dj: 1, vec: node.v },
+      { di: 0, dj: -1, vec: { x: -node.v.x, y: -node.v.y } },
+    ];
+
+    for (const { di, dj, vec } of steps) {
+      const key = `${i + di},${j + dj}`;
+      if (taken.has(key)) continue;
+
+      const step = Math.hypot(vec.x, vec.y);
+      const found = nearestCandidate(candidates, { x: p.x + vec.x, y: p.y + vec.y }, step * 0.35);
+      if (found < 0 || coords.has(found)) continue;
+
+      const q = candidates[found];
+      const actual = { x: (q.x - p.x) * (di + dj), y: (q.y - p.y) * (di + dj) };
+      coords.set(found, { i: i + di, j: j + dj });
+      taken.set(key, found);
+      queue.push({
+        idx: found,
+        u: di ? actual : node.u,
+        v: dj ? actual : node.v,
+      });
+    }
+  }
+
+  return coords;
+}
+
+/**
+ * Find the inner corners of a checkerboard
+ *
+ * @param {Float32Array} gray - Luminance image (row-major)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Detection options
+ * @param {number} options.innerCols - Inner corners along the long side
+ * @param {number} options.innerRows - Inner corners along the short side
+ * @param {number} [options.downsample=2] - Integer downsample factor for detection
+ * @returns {BoardView|null} Corners (image pixels) and their board coordinates
+ *   (square units), or null if the full board was not found
+ */
+export function detectCheckerboard(gray, width, height, options) {
+  const { innerCols, innerRows } = options;
+  const factor = Math.max(1, Math.round(options.downsample ?? 2));
+  const expected = innerCols * innerRows;
+
+  const image = downsampleAndBlur(gray, width, height, factor);
+  const candidates = findCornerCandidates(image);
+  if (candidates.length < expected) return null;
+
+  for (let seed = 0; seed < Math.min(MAX_SEEDS, candidates.length); seed++) {
+    const coords = growLattice(candidates, seed);
+    if (!coords || coords.size !== expected) continue;
+
+    const entries = [...coords.entries()];
+    const minI = Math.min(...entries.map(([, c]) => c.i));
+    const minJ = Math.min(...entries.map(([, c]) => c.j));
+    const spanI = Math.max(...entries.map(([, c]) => c.i)) - minI + 1;
+    const spanJ = Math.max(...entries.map(([, c]) => c.j)) - minJ + 1;
+
+    // Lattice axes are arbitrary; map the longer one to the board columns
+    const transpose = spanI === innerRows && spanJ === innerCols;
+    if (!transpose && !(spanI === innerCols && spanJ === innerRows)) continue;
+
+    // Box-filter pixel centers map back with a half-pixel shift
+    const shift = (factor - 1) / 2;
+    const imagePoints = [];
+    const boardPoints = [];
+    for (const [idx, { i, j }] of entries) {
+      const col = transpose ? j - minJ : i - minI;
+      const row = transpose ? i - minI : j - minJ;
+      imagePoints.push({
+        x: candidates[idx].x * factor + shift,
+        y: candidates[idx].y * factor + shift,
+      });
+      boardPoints.push({ x: col, y: row });
+    }
+    return { imagePoints, boardPoints };
+  }
+
+  return null;
+}
+
+/**
+ * Outer corners of a detected board (for display), in board order
+ * @param {BoardView} view - Detected board
+ * @returns {Point[]} Four image points
+ */
+export function boardOutline(view) {
+  const maxX = Math.max(...view.boardPoints.map((p) => p.x));
+  const maxY = Math.max(...view.boardPoints.map((p) => p.y));
+  const at = (x, y) =>
+    view.imagePoints[view.boardPoints.findIndex((p) => p.x === x && p.y === y)];
+  return [at(0, 0), at(maxX, 0), at(maxX, maxY), at(0, maxY)];
+}
+
+// ============================================================================
+// HOMOGRAPHY & INTRINSICS
+// ============================================================================
+
+/**
+ * Similarity transform that centers points and scales them to mean distance sqrt(2)
+ * @param {Point[]} points - Points
+ * @returns {number[][]} 3x3 normalization matrix
+ */
+function normalizationMatrix(points) {
+  const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+  const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+  const meanDist = points.reduce((s, p) => s + Math.hypot(p.x - cx, p.y - cy), 0) / points.length;
+  const s = meanDist > 0 ? Math.SQRT2 / meanDist : 1;
+  return [
+    [s, 0, -s * cx],
+    [0, s, -s * cy],
+    [0, 0, 1],
+  ];
+}
+
+function multiply3(a, b) {
+  return a.map((row) =>
+    [0, 1, 2].map((c) => row[0] * b[0][c] + row[1] * b[1][c] + row[2] * b[2][c])
+  );
+}
+
+function invert3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (!det) return null;
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+  ];
+}
+
+function applyHomography(H, p) {
+  const w = H[2][0] * p.x + H[2][1] * p.y + H[2][2];
+  return {
+    x: (H[0][0] * p.x + H[0][1] * p.y + H[0][2]) / w,
+    y: (H[1][0] * p.x + H[1][1] * p.y + H[1][2]) / w,
+  };
+}
+
+/**
+ * Eigenvector of the smallest eigenvalue of AᵀA (least-squares null vector)
+ * @param {number[][]} rows - Rows of A
+ * @returns {number[]} Unit null vector
+ */
+function nullVector(rows) {
+  const n = rows[0].length;
+  const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (const row of rows) {
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) ata[r][c] += row[r] * row[c];
+    }
+  }
+
+  // The Jacobi solver uses an absolute tolerance, so bring the entries to unit scale
+  let trace = 0;
+  for (let i = 0; i < n; i++) trace += ata[i][i];
+  const { values, vectors } = symmetricEigen(
+    trace > 0 ? ata.map((row) => row.map((v) => v / trace)) : ata
+  );
+  let smallest = 0;
+  for (let i = 1; i < n; i++) {
+    if (values[i] < values[smallest]) smallest = i;
+  }
+  return vectors.map((row) => row[smallest]);
+}
+
+/**
+ * Homography mapping source points onto destination points (normalized DLT)
+ * @param {Point[]} source - Source points (board plane)
+ * @param {Point[]} target - Target points (image)
+ * @returns {number[][]|null} 3x3 homography or null if degenerate
+ */
+export function computeHomography(source, target) {
+  if (source.length < 4 || source.length !== target.length) return null;
+
+  const Ts = normalizationMatrix(source);
+  const Tt = normalizationMatrix(target);
+  const rows = [];
+  for (let k = 0; k < source.length; k++) {
+    const s = applyHomography(Ts, source[k]);
+    const t = applyHomography(Tt, target[k]);
+    rows.push([-s.x, -s.y, -1, 0, 0, 0, t.x * s.x, t.x * s.y, t.x]);
+    rows.push([0, 0, 0, -s.x, -s.y, -1, t.y * s.x, t.y * s.y, t.y]);
+  }
+
+  const h = nullVector(rows);
+  const Hn = [h.slice(0, 3), h.slice(3, 6), h.slice(6, 9)];
+  const TtInv = invert3(Tt);
+  if (!TtInv) return null;
+  const H = multiply3(multiply3(TtInv, Hn), Ts);
+  const scale = H[2][2] || 1;
+  return H.map((row) => row.map((v) => v / scale));
+}
+
+/**
+ * Closest rotation to a 3x3 matrix (polar decomposition Q (QᵀQ)^-1/2)
+ * @param {number[][]} q - Approximate rotation
+ * @returns {number[][]} Rotation matrix
+ */
+function nearestRotation(q) {
+  const qtq = [0, 1, 2].map((r) =>
+    [0, 1, 2].map((c) => q[0][r] * q[0][c] + q[1][r] * q[1][c] + q[2][r] * q[2][c])
+  );
+  const { values, vectors } = symmetricEigen(qtq);
+  const invSqrt = [0, 1, 2].map((r) =>
+    [0, 1, 2].map((c) =>
+      values.reduce((sum, value, k) => sum + (vectors[r][k] * vectors[c][k]) / Math.sqrt(value), 0)
+    )
+  );
+  return multiply3(q, invSqrt);
+}
+
+/**
+ * RMS reprojection error of a view under the given intrinsics
+ * @param {number[][]} K - Camera matrix
+ * @param {number[][]} H - View homography (board -> image)
+ * @param {BoardView} view - Board view
+ * @returns {number} RMS error in image units
+ */
+function reprojectionError(K, H, view) {
+  const Kinv = invert3(K);
+  const col = (c) => [H[0][c], H[1][c], H[2][c]];
+  const apply = (m, v) => m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+  const r1 = apply(Kinv, col(0));
+  const r2 = apply(Kinv, col(1));
+  const t = apply(Kinv, col(2));
+  const lambda = 2 / (Math.hypot(...r1) + Math.hypot(...r2));
+  const a = r1.map((v) => v * lambda);
+  const b = r2.map((v) => v * lambda);
+  const c = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const R = nearestRotation([0, 1, 2].map((r) => [a[r], b[r], c[r]]));
+  const translation = t.map((v) => v * lambda);
+
+  let sum = 0;
+  view.boardPoints.forEach((p, k) => {
+    const cam = [0, 1, 2].map((r) => R[r][0] * p.x + R[r][1] * p.y + translation[r]);
+    const img = apply(K, cam);
+    const q = view.imagePoints[k];
+    sum += (img[0] / img[2] - q.x) ** 2 + (img[1] / img[2] - q.y) ** 2;
+  });
+  return Math.sqrt(sum / view.boardPoints.length);
+}
+
+/**
+ * Solve for focal length and principal point from several board views
+ * (Zhang, 2000, with zero skew)
+ *
+ * @param {BoardView[]} views - At least three views at different orientations
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @returns {(CameraIntrinsics & {rmsErrorPx: number})|null} Intrinsics in pixels, or
+ *   null if the views do not constrain them (e.g. all fronto-parallel)
+ */
+export function solveIntrinsics(views, imageWidth, imageHeight) {
+  if (!Array.isArray(views) || views.length < 3 || !(imageWidth > 0)) return null;
+
+  // Work in units of image width for conditioning
+  const homographies = views.map((view) =>
+    computeHomography(
+      view.boardPoints,
+      view.imagePoints.map((p) => ({ x: p.x / imageWidth, y: p.y / imageWidth }))
+    )
+  );
+  if (homographies.some((H) => !H)) return null;
+
+  // b = [B11, B22, B13, B23, B33] of B = K^-T K^-1 with B12 = 0
+  const constraint = (H, i, j) => {
+    const hi = [H[0][i], H[1][i], H[2][i]];
+    const hj = [H[0][j], H[1][j], H[2][j]];
+    return [
+      hi[0] * hj[0],
+      hi[1] * hj[1],
+      hi[2] * hj[0] + hi[0] * hj[2],
+      hi[2] * hj[1] + hi[1] * hj[2],
+      hi[2] * hj[2],
+    ];
+  };
+  const rows = [];
+  for (const H of homographies) {
+    const v11 = constraint(H, 0, 0);
+    const v22 = constraint(H, 1, 1);
+    rows.push(constraint(H, 0, 1));
+    rows.push(v11.map((v, k) => v - v22[k]));
+  }
+
+  let [B11, B22, B13, B23, B33] = nullVector(rows);
+  if (B11 < 0) [B11, B22, B13, B23, B33] = [-B11, -B22, -B13, -B23, -B33];
+  if (!(B11 > 0) || !(B22 > 0)) return null;
+
+  const v0 = -B23 / B22;
+  const u0 = -B13 / B11;
+  const lambda = B33 - (B13 * B13) / B11 - (B23 * B23) / B22;
+  if (!(lambda > 0)) return null;
+
+  const fxNorm = Math.sqrt(lambda / B11);
+  const fyNorm = Math.sqrt(lambda / B22);
+  const K = [
+    [fxNorm, 0, u0],
+    [0, fyNorm, v0],
+    [0, 0, 1],
+  ];
+
+  let errorSum = 0;
+  homographies.forEach((H, k) => {
+    const view = {
+      boardPoints: views[k].boardPoints,
+      imagePoints: views[k].imagePoints.map((p) => ({ x: p.x / imageWidth, y: p.y / imageWidth })),
+    };
+    errorSum += reprojectionError(K, H, view) ** 2;
+  });
+
+  return {
+    fx: fxNorm * imageWidth,
+    fy: fyNorm * imageWidth,
+    cx: u0 * imageWidth,
+    cy: v0 * imageWidth,
+    imageWidth,
+    imageHeight,
+    rmsErrorPx: Math.sqrt(errorSum / homographies.length) * imageWidth,
+  };
+}
+
+/**
+ * Rescale intrinsics to another resolution with the same aspect ratio
+ * @param {CameraIntrinsics} intrinsics - Calibrated intrinsics
+ * @param {number} width - Target image width
+ * @param {number} height - Target image height
+ * @returns {CameraIntrinsics|null} Rescaled intrinsics, or null if the aspect differs
+ */
+export function scaleIntrinsics(intrinsics, width, height) {
+  if (!intrinsics || !(width > 0) || !(height > 0)) return null;
+  const sx = width / intrinsics.imageWidth;
+  const sy = height / intrinsics.imageHeight;
+  if (Math.abs(sx - sy) / sx > 0.01) return null;
+  return {
+    ...intrinsics,
+    fx: intrinsics.fx * sx,
+    fy: intrinsics.fy * sy,
+    cx: intrinsics.cx * sx,
+    cy: intrinsics.cy * sy,
+    imageWidth: width,
+    imageHeight: height,
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Reference card edge detection
+ * @module utils/card-detection
+ *
+ * Locates an ISO/IEC 7810 ID-1 card (credit card) held flat against the
+ * forehead by looking for two strong vertical edges and two strong
+ * horizontal edges inside a region of interest, constrained by the card's
+ * known aspect ratio.
+ */
+
+/** @typedef {{x: number, y: number, width: number, height: number}} Rect */
+/** @typedef {{left: number, right: number, top: number, bottom: number,
+ *   widthPx: number, heightPx: number, confidence: number}} CardEdges */
+
+const PEAK_CANDIDATES = 8;
+
+/**
+ * Convert RGBA image data to a luminance array
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @returns {Float32Array} Luminance (0-255) per pixel, row-major
+ */
+export function toGrayscale(imageData) {
+  const { data, width, height } = imageData;
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return gray;
+}
+
+/**
+ * Pick the strongest local maxima of a profile (non-maximum suppression)
+ * @param {Float32Array} profile - Edge strength profile
+ * @param {number} minSeparation - Minimum distance between peaks
+ * @returns {number[]} Peak positions, strongest first
+ */
+function findPeaks(profile, minSeparation) {
+  const order = Array.from(profile.keys()).sort((a, b) => profile[b] - profile[a]);
+  const peaks = [];
+  for (const idx of order) {
+    if (peaks.length >= PEAK_CANDIDATES) break;
+    if (profile[idx] <= 0) break;
+    if (peaks.every((p) => Math.abs(p - idx) >= minSeparation)) peaks.push(idx);
+  }
+  return peaks;
+}
+
+/**
+ * Mean of a profile (used to normalize edge strength into a confidence)
+ * @param {Float32Array} profile - Edge strength profile
+ * @returns {number} Mean value
+ */
+function profileMean(profile) {
+  let sum = 0;
+  for (let i = 0; i < profile.length; i++) sum += profile[i];
+  return profile.length ? sum / profile.length : 0;
+}
+
+/**
+ * Detect the card's edges inside a region of interest
+ *
+ * @param {Float32Array} gray - Luminance image (row-major)
+ * @param {number} width - Image width in pixels
+ * @param {Rect} roi - Region to search (image pixels)
+ * @param {Object} options - Detection options
+ * @param {number} options.aspectRatio - Expected width / height of the card
+ * @param {number} [options.aspectTolerance=0.12] - Allowed relative aspect error
+ * @param {number} options.minWidthPx - Smallest plausible card width in pixels
+ * @param {number} options.maxWidthPx - Largest plausible card width in pixels
+ * @returns {CardEdges|null} Card edges in image pixels or null if not found
+ */
+export function detectCardEdges(gray, width, roi, options) {
+  const x0 = Math.max(1, Math.floor(roi.x));
+  const y0 = Math.max(1, Math.floor(roi.y));
+  const height = gray.length / width;
+  const x1 = Math.min(width - 2, Math.floor(roi.x + roi.width));
+  const y1 = Math.min(height - 2, Math.floor(roi.y + roi.height));
+  if (x1 - x0 < 8 || y1 - y0 < 8) return null;
+
+  const { aspectRatio, minWidthPx, maxWidthPx } = options;
+  const aspectTolerance = options.aspectTolerance ?? 0.12;
+
+  // Vertical edges: column profile of horizontal gradient magnitude
+  const colProfile = new Float32Array(x1 - x0 + 1);
+  for (let y = y0; y <= y1; y++) {
+    const row = y * width;
+    for (let x = x0; x <= x1; x++) {
+      colProfile[x - x0] += Math.abs(gray[row + x + 1] - gray[row + x - 1]);
+    }
+  }
+
+  const colPeaks = findPeaks(colProfile, Math.max(3, Math.round(minWidthPx * 0.1)));
+  const colMean = profileMean(colProfile) || 1;
+
+  let best = null;
+  for (let i = 0; i < colPeaks.length; i++) {
+    for (let j = i + 1; j < colPeaks.length; j++) {
+      const left = Math.min(colPeaks[i], colPeaks[j]) + x0;
+      const right = Math.max(colPeaks[i], colPeaks[j]) + x0;
+      const widthPx = right - left;
+      if (widthPx < minWidthPx || widthPx > maxWidthPx) continue;
+
+      // Horizontal edges between the two columns
+      const rowProfile = new Float32Array(y1 - y0 + 1);
+      for (let y = y0; y <= y1; y++) {
+        const above = (y - 1) * width;
+        const below = (y + 1) * width;
+        let sum = 0;
+        for (let x = left + 1; x < right; x++) {
+          sum += Math.abs(gray[below + x] - gray[above + x]);
+        }
+        rowProfile[y - y0] = sum;
+      }
+
+      const rowPeaks = findPeaks(rowProfile, Math.max(3, Math.round(widthPx * 0.1)));
+      const rowMean = profileMean(rowProfile) || 1;
+      const expectedHeight = widthPx / aspectRatio;
+
+      for (let a = 0; a < rowPeaks.length; a++) {
+        for (let b = a + 1; b < rowPeaks.length; b++) {
+          const top = Math.min(rowPeaks[a], rowPeaks[b]) + y0;
+          const bottom = Math.max(rowPeaks[a], rowPeaks[b]) + y0;
+          const heightPx = bottom - top;
+          const aspectError = Math.abs(heightPx - expectedHeight) / expectedHeight;
+          if (aspectError > aspectTolerance) continue;
+
+          const strength =
+            (colProfile[left - x0] + colProfile[right - x0]) / (2 * colMean) +
+            (rowProfile[top - y0] + rowProfile[bottom - y0]) / (2 * rowMean);
+          const score = strength * (1 - aspectError / aspectTolerance);
+          if (!best || score > best.score) {
+            best = { left, right, top, bottom, widthPx, heightPx, score };
+          }
+        }
+      }
+    }
+  }
+
+  if (!best) return null;
+
+  const { score, ...edges } = best;
+  // Edge strength of ~2x the ROI mean on all four sides maps to confidence 0.5
+  return { ...edges, confidence: Math.max(0, Math.min(1, score / 8)) };
+}
@@ -39,3 +39,72 @@ export function safeColor(hex, fallback = "#fff") {
 export function formatCm(v) {
   return v == null || !Number.isFinite(v) ? "--" : `${v.toFixed(1)} cm`;
 }
+
+/**
+ * Format an image scale value for display
+ * @param {number|null|undefined} v - Scale in millimeters per pixel
+ * @returns {string} Formatted string (e.g., "0.312 mm/px" or "--")
+ */
+export function formatMmPerPx(v) {
+  return v == null || !Number.isFinite(v) ? "--" : `${v.toFixed(3)} mm/px`;
+}
+
+/**
+ * Format a 0-1 fraction as a percentage for display
+ * @param {number|null|undefined} v - Fraction (0-1)
+ * @returns {string} Formatted string (e.g., "82%" or "--")
+ */
+export function formatPercent(v) {
+  return v == null || !Number.isFinite(v) ? "--" : `${Math.round(v * 100)}%`;
+}
+
+/**
+ * Escape text for use in HTML content and attributes (frame names, etc.)
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(text) {
+  return String(text ?? "").replace(
+    /[&<>"']/g,
+    (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]
+  );
+}
+
+/**
+ * Format a size in eighths as a whole number and reduced fraction
+ * @param {number|null|undefined} v - Size (multiple of 1/8)
+ * @returns {string} Formatted string (e.g., "7 1/8", "6 3/4" or "--")
+ */
+export function formatEighths(v) {
+  if (v == null || !Number.isFinite(v)) return "--";
+  const eighths = Math.round(v * 8);
+  const whole = Math.floor(eighths / 8);
+  let numerator = eighths - whole * 8;
+  let denominator = 8;
+  while (numerator && numerator % 2 === 0) {
+    numerator /= 2;
+    denominator /= 2;
+  }
+  return numerator ? `${whole} ${numerator}/${denominator}` : `${whole}`;
+}
+
+/**
+ * Format a dimensionless ratio for display
+ * @param {number|null|undefined} v - Ratio
+ * @returns {string} Formatted string (e.g., "1.15" or "--")
+ */
+export function formatRatio(v) {
+  return v == null || !Number.isFinite(v) ? "--" : v.toFixed(2);
+}
+
+/**
+ * Format a value in its unit ("mm", "cm" or "deg")
+ * @param {number|null|undefined} v - Value
+ * @param {string} unit - Unit of the value
+ * @returns {string} Formatted string (e.g., "12.5 mm", "45.2°" or "--")
+ */
+export function formatWithUnit(v, unit) {
+  if (unit === "deg") return formatDeg(v);
+  if (unit === "cm") return formatCm(v);
+  return formatMm(v);
+}
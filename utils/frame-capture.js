@@ -0,0 +1,35 @@
+/**
+ * Video frame capture for pixel-level analysis
+ * @module utils/frame-capture
+ */
+
+import { toGrayscale } from "./card-detection.js";
+
+/**
+ * Create a grabber that copies video frames to an offscreen canvas
+ * @returns {{grab: Function}} Grabber; grab(video) returns
+ *   {gray: Float32Array, width: number, height: number} or null before the video has data
+ */
+export function createFrameGrabber() {
+  let canvas = null;
+  let ctx = null;
+
+  function grab(video) {
+    const width = video?.videoWidth;
+    const height = video?.videoHeight;
+    if (!width || !height) return null;
+
+    if (!canvas) {
+      canvas = document.createElement("canvas");
+      ctx = canvas.getContext("2d", { willReadFrequently: true });
+    }
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+
+    ctx.drawImage(video, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    return { gray: toGrayscale(imageData), width, height };
+  }
+
+  return { grab };
+}
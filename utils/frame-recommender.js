@@ -0,0 +1,199 @@
+/**
+ * Frame size recommendation: turns the measurement state into eyewear sizing
+ * targets and ranks the frames of a catalog against them
+ * @module utils/frame-recommender
+ */
+
+/**
+ * @typedef {Object} SizingBand
+ * @property {number} targetMm - Ideal value
+ * @property {[number, number]} good - Range rated good
+ * @property {[number, number]} ok - Range rated acceptable
+ * @property {string} [label] - Size class (temple length only)
+ */
+
+/**
+ * @typedef {Object} FrameSizing
+ * @property {SizingBand|null} lensWidth - Lens width (A)
+ * @property {SizingBand|null} bridge - Bridge size (DBL)
+ * @property {SizingBand|null} templeLength - Temple length class
+ * @property {SizingBand|null} totalWidth - Frame total width
+ */
+
+/**
+ * @typedef {Object} DimensionFit
+ * @property {number} valueMm - Frame value
+ * @property {number} targetMm - Target value
+ * @property {number} deltaMm - Frame value minus target
+ * @property {"good"|"ok"|"poor"} rating - Tolerance band the frame falls in
+ * @property {number} score - 0-1, 1 at the target
+ * @property {string} explanation - One-line explanation
+ */
+
+/**
+ * @typedef {Object} FrameMatch
+ * @property {Object} frame - Catalog entry
+ * @property {number} score - Weighted fit score (0-1)
+ * @property {Object<string, DimensionFit>} fit - Fit per sized dimension
+ */
+
+const DIMENSIONS = {
+  lensWidth: { name: "Lens width", frameKey: "lensWidthMm", larger: "wider", smaller: "narrower" },
+  bridge: { name: "Bridge", frameKey: "bridgeWidthMm", larger: "wider", smaller: "narrower" },
+  templeLength: { name: "Temple", frameKey: "templeLengthMm", larger: "longer", smaller: "shorter" },
+  totalWidth: { name: "Total width", frameKey: "totalWidthMm", larger: "wider", smaller: "narrower" },
+};
+
+/**
+ * Target with its good / acceptable ranges
+ * @param {number} targetMm - Ideal value
+ * @param {{good: number, ok: number}} tolerance - Allowed deviations
+ * @returns {SizingBand|null} Band or null for a non-finite target
+ */
+function band(targetMm, tolerance) {
+  if (!Number.isFinite(targetMm)) return null;
+  return {
+    targetMm,
+    good: [targetMm - tolerance.good, targetMm + tolerance.good],
+    ok: [targetMm - tolerance.ok, targetMm + tolerance.ok],
+  };
+}
+
+/**
+ * Derive the ideal frame size from the measurements: total width from the
+ * face width, bridge from the nose width at the pad row, lens width balancing
+ * the space left by the bridge and endpieces against the PD (frame PD a few
+ * mm over the far PD), temple length class from the face width
+ *
+ * @param {Object} state - Measurement state (faceWidth, nose, ipd)
+ * @param {Object} config - Recommender configuration (RECOMMENDER_CONFIG)
+ * @returns {FrameSizing} Sizing targets (null entries when not measured)
+ */
+export function computeFrameSizing(state, config) {
+  const { tolerances } = config;
+  const faceWidthMm = state?.faceWidth?.valueMm;
+  const padSpanMm = state?.nose?.padSpanMm;
+  const farPdMm = state?.ipd?.far;
+
+  const totalWidthMm = faceWidthMm * config.totalWidthRatio;
+  const bridgeMm = padSpanMm * config.bridgeRatio;
+
+  // Lens width from the face (space beside the bridge) and from the PD
+  const lensFromWidth = (totalWidthMm - bridgeMm - 2 * config.endpieceMm) / 2;
+  const lensFromPd = farPdMm + config.decentrationMm - bridgeMm;
+  const lensCandidates = [lensFromWidth, lensFromPd].filter(Number.isFinite);
+  const lensWidthMm = lensCandidates.length
+    ? lensCandidates.reduce((sum, v) => sum + v, 0) / lensCandidates.length
+    : NaN;
+
+  const templeClass = Number.isFinite(faceWidthMm)
+    ? config.templeClasses.find((c) => faceWidthMm <= c.maxFaceWidthMm) ||
+      config.templeClasses[config.templeClasses.length - 1]
+    : null;
+  const templeLength = templeClass && band(templeClass.lengthMm, tolerances.templeLength);
+
+  return {
+    lensWidth: band(lensWidthMm, tolerances.lensWidth),
+    bridge: band(bridgeMm, tolerances.bridge),
+    templeLength: templeLength ? { ...templeLength, label: templeClass.label } : null,
+    totalWidth: band(totalWidthMm, tolerances.totalWidth),
+  };
+}
+
+/**
+ * Frame total width from the catalog, or estimated from the lenses, bridge
+ * and endpieces
+ */
+function frameTotalWidthMm(frame, endpieceMm) {
+  if (Number.isFinite(frame.totalWidthMm)) return frame.totalWidthMm;
+  return 2 * frame.lensWidthMm + frame.bridgeWidthMm + 2 * endpieceMm;
+}
+
+/**
+ * Rate one frame dimension against its sizing band
+ * @param {string} key - Dimension key (see DIMENSIONS)
+ * @param {number} valueMm - Frame value
+ * @param {SizingBand} sizing - Target band
+ * @param {{good: number, ok: number}} tolerance - Allowed deviations
+ * @returns {DimensionFit} Fit of this dimension
+ */
+function rateDimension(key, valueMm, sizing, tolerance) {
+  const { name, larger, smaller } = DIMENSIONS[key];
+  const deltaMm = valueMm - sizing.targetMm;
+  const distance = Math.abs(deltaMm);
+  const rating = distance <= tolerance.good ? "good" : distance <= tolerance.ok ? "ok" : "poor";
+  const target = sizing.label
+    ? `${sizing.label} (${sizing.targetMm.toFixed(0)} mm)`
+    : `${sizing.targetMm.toFixed(1)} mm`;
+  const offset =
+    distance < 0.05
+      ? "on target"
+      : `${distance.toFixed(1)} mm ${deltaMm > 0 ? larger : smaller} than ${target}`;
+
+  return {
+    valueMm,
+    targetMm: sizing.targetMm,
+    deltaMm,
+    rating,
+    score: 1 / (1 + (deltaMm / tolerance.ok) ** 2),
+    explanation: `${name} ${valueMm} mm: ${offset} (${rating})`,
+  };
+}
+
+/**
+ * Rank catalog frames by how well they fit the measurements
+ *
+ * @param {Object} state - Measurement state
+ * @param {Object[]} catalog - Frames (id, name, lensWidthMm, bridgeWidthMm,
+ *   templeLengthMm, optional totalWidthMm)
+ * @param {Object} config - Recommender configuration (RECOMMENDER_CONFIG)
+ * @returns {{sizing: FrameSizing, matches: FrameMatch[]}} Sizing targets and
+ *   matches, best first (no matches until the face width is measured)
+ */
+export function recommendFrames(state, catalog, config) {
+  const sizing = computeFrameSizing(state, config);
+  if (!sizing.totalWidth || !Array.isArray(catalog)) return { sizing, matches: [] };
+
+  const matches = catalog.map((frame) => {
+    const values = {
+      lensWidth: frame.lensWidthMm,
+      bridge: frame.bridgeWidthMm,
+      templeLength: frame.templeLengthMm,
+      totalWidth: frameTotalWidthMm(frame, config.endpieceMm),
+    };
+
+    const fit = {};
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const key of Object.keys(DIMENSIONS)) {
+      if (!sizing[key] || !Number.isFinite(values[key])) continue;
+      fit[key] = rateDimension(key, values[key], sizing[key], config.tolerances[key]);
+      const weight = config.weights?.[key] ?? 1;
+      weighted += fit[key].score * weight;
+      totalWeight += weight;
+    }
+
+    return { frame, score: totalWeight ? weighted / totalWeight : 0, fit };
+  });
+
+  matches.sort((a, b) => b.score - a.score);
+  return { sizing, matches };
+}
+
+/**
+ * Load a frame catalog ({"frames": [...]}) from a local JSON file
+ * @param {string} url - Catalog URL
+ * @returns {Promise<Object[]>} Frames with the required dimensions
+ */
+export async function loadFrameCatalog(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url}`);
+  const { frames } = await response.json();
+  if (!Array.isArray(frames)) throw new Error(`${url} has no "frames" array`);
+  return frames.filter(
+    (frame) =>
+      frame?.id &&
+      Number.isFinite(frame.lensWidthMm) &&
+      Number.isFinite(frame.bridgeWidthMm)
+  );
+}
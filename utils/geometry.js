@@ -106,3 +106,31 @@ export function minEnclosingCircle(points) {
   }
   return circle;
 }
+
+/**
+ * Mirror normalized landmarks horizontally (flip x-coordinates)
+ * @param {Array} landmarks - MediaPipe landmarks array
+ * @returns {Array|null} Mirrored landmarks or null if invalid input
+ */
+export function mirrorLandmarks(landmarks) {
+  if (!Array.isArray(landmarks)) return null;
+  return landmarks.map((lm) => {
+    if (!lm) return lm;
+    const mirroredX = Number.isFinite(lm.x) ? 1 - lm.x : lm.x;
+    return { ...lm, x: mirroredX };
+  });
+}
+
+/**
+ * Mirror a facial transformation matrix horizontally (conjugate by diag(-1, 1, 1, 1))
+ * @param {{rows: number, columns: number, data: number[]}} matrix - MediaPipe 4x4 matrix
+ * @returns {Object|null} Mirrored matrix or null if invalid input
+ */
+export function mirrorTransformMatrix(matrix) {
+  if (!matrix?.data || matrix.data.length < 16) return null;
+  // Entries that mix the x axis with y/z/w flip sign (same set in either layout)
+  const data = Array.from(matrix.data, (v, i) =>
+    i === 1 || i === 2 || i === 3 || i === 4 || i === 8 || i === 12 ? -v : v
+  );
+  return { ...matrix, data };
+}
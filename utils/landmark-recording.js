@@ -0,0 +1,251 @@
+/**
+ * Landmark recordings - raw FaceLandmarker results per frame, for replaying
+ * the measurement pipeline without a camera or model
+ * @module utils/landmark-recording
+ *
+ * Recordings are NDJSON: a header line, then one line per frame, with session
+ * changes (iris calibration, frame model) as event lines before the frame
+ * they apply from.
+ *
+ *   {"type":"header","format":"headsize-landmarks","version":1,"videoSize":{...},
+ *    "irisDiameterMm":null,"frameId":null,"createdAt":"..."}
+ *   {"type":"frame","timestampMs":1234.5,"displaySize":{"width":960,"height":540},
+ *    "focalLengthPx":{"x":614.4,"y":604.8},"mirror":true,"faceResults":{...}}
+ *   {"type":"event","frameIndex":1,"kind":"frame","frameId":"round-48-21"}
+ *
+ * A single JSON object ({header, frames, events}) is read as well. Plain MediaPipe
+ * result dumps (one FaceLandmarker result, or an array of results or of
+ * {timestampMs, faceResults} entries) are read by parseLandmarkFile.
+ */
+
+export const RECORDING_FORMAT = "headsize-landmarks";
+export const RECORDING_VERSION = 1;
+
+/** Event kinds and their fields */
+const EVENT_FIELDS = {
+  irisCalibration: ["faceId", "irisDiameterMm"],
+  frame: ["frameId"],
+};
+
+/**
+ * @typedef {Object} RecordingHeader
+ * @property {string} format - Always RECORDING_FORMAT
+ * @property {number} version - Format version
+ * @property {{width: number, height: number}} videoSize - Source video size in pixels
+ * @property {number|null} irisDiameterMm - Calibrated iris diameter given to newly
+ *   tracked faces (single-face sessions)
+ * @property {string|null} frameId - Selected frame model (FRAME_CONFIG)
+ * @property {string} createdAt - ISO date of the recording
+ */
+
+/**
+ * @typedef {Object} RecordingFrame
+ * @property {number} timestampMs - Frame time given to the pipeline
+ * @property {{width: number, height: number}} displaySize - Display (canvas) size the
+ *   landmarks were measured at
+ * @property {{x: number, y: number}} focalLengthPx - Focal length at the display size
+ * @property {boolean} mirror - Landmarks were mirrored for display
+ * @property {boolean} [still] - Single still image (photo), not quality gated
+ * @property {Object} faceResults - Raw FaceLandmarker results (faceLandmarks,
+ *   faceBlendshapes, facialTransformationMatrixes)
+ */
+
+/**
+ * @typedef {Object} RecordingEvent
+ * @property {number} frameIndex - Index of the first frame processed after the change
+ * @property {"irisCalibration"|"frame"} kind - Iris calibration of a face (faceId,
+ *   irisDiameterMm) or frame model selection (frameId)
+ * @property {number} [faceId] - Face ID in the recording: faces are numbered 1, 2, ...
+ *   in order of first detection, as a replay's face tracks are
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {RecordingHeader} header - Session settings at the start
+ * @property {RecordingFrame[]} frames - Frames in order
+ * @property {RecordingEvent[]} events - Session changes in frame order
+ */
+
+/**
+ * Plain copy of FaceLandmarker results (typed arrays and class instances
+ * become JSON-safe arrays and objects)
+ * @param {Object|null} faceResults - FaceLandmarker results
+ * @returns {Object} Results with faceLandmarks, faceBlendshapes and facialTransformationMatrixes
+ */
+export function toPlainFaceResults(faceResults) {
+  return {
+    faceLandmarks: (faceResults?.faceLandmarks || []).map((landmarks) =>
+      landmarks.map(({ x, y, z }) => ({ x, y, z }))
+    ),
+    faceBlendshapes: (faceResults?.faceBlendshapes || []).map((blendshapes) => ({
+      categories: (blendshapes?.categories || []).map(({ categoryName, score }) => ({
+        categoryName,
+        score,
+      })),
+    })),
+    facialTransformationMatrixes: (faceResults?.facialTransformationMatrixes || []).map(
+      (matrix) => ({ rows: matrix.rows, columns: matrix.columns, data: Array.from(matrix.data) })
+    ),
+  };
+}
+
+/**
+ * Recording header
+ * @param {Object} options - Session settings
+ * @param {{width: number, height: number}} options.videoSize - Source video size
+ * @param {number|null} [options.irisDiameterMm] - Calibrated iris diameter
+ * @param {string|null} [options.frameId] - Selected frame model
+ * @returns {RecordingHeader} Header
+ */
+export function createRecordingHeader({ videoSize, irisDiameterMm = null, frameId = null }) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    videoSize: { width: videoSize.width, height: videoSize.height },
+    irisDiameterMm,
+    frameId,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Serialize a recording as NDJSON
+ * @param {Recording} recording - Recording (events optional)
+ * @returns {string} NDJSON text
+ */
+export function serializeRecording({ header, frames, events = [] }) {
+  const lines = [JSON.stringify({ type: "header", ...header })];
+  let next = 0;
+  const addEvents = (frameIndex) => {
+    while (next < events.length && events[next].frameIndex <= frameIndex) {
+      lines.push(JSON.stringify({ type: "event", ...events[next++] }));
+    }
+  };
+  frames.forEach((frame, i) => {
+    addEvents(i);
+    lines.push(JSON.stringify({ type: "frame", ...frame }));
+  });
+  addEvents(Infinity);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Parse a recording (NDJSON, or a JSON object with header, frames and events)
+ * @param {string} text - File contents
+ * @returns {Recording} Recording
+ * @throws {Error} If the text is not a landmark recording
+ */
+export function parseRecording(text) {
+  const parsed = parseJsonDocument(text);
+  let header = null;
+  let frames = [];
+  let events = [];
+
+  if (parsed && !parsed.type) {
+    ({ header = null, frames = [], events = [] } = parsed);
+  } else {
+    text.split("\n").forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Recording line ${i + 1} is not valid JSON`);
+      }
+      const { type, ...rest } = entry;
+      if (type === "header") header = rest;
+      else if (type === "frame") frames.push(rest);
+      else if (type === "event") events.push(rest);
+    });
+  }
+
+  if (header?.format !== RECORDING_FORMAT) {
+    throw new Error(`Not a ${RECORDING_FORMAT} recording`);
+  }
+  if (header.version > RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${header.version}`);
+  }
+  frames = frames.map(({ type, ...frame }) => frame);
+  frames.forEach((frame, i) => {
+    if (
+      !Number.isFinite(frame.timestampMs) ||
+      !frame.displaySize ||
+      !frame.focalLengthPx ||
+      !frame.faceResults
+    ) {
+      throw new Error(`Recording frame ${i} is incomplete`);
+    }
+  });
+  events = events.map(({ type, ...event }) => event);
+  events.forEach((event, i) => {
+    const fields = EVENT_FIELDS[event.kind];
+    if (!fields || !Number.isInteger(event.frameIndex) || event.frameIndex < 0) {
+      throw new Error(`Recording event ${i} is invalid`);
+    }
+    if (fields.some((field) => !(field in event))) {
+      throw new Error(`Recording event ${i} is incomplete`);
+    }
+  });
+  events.sort((a, b) => a.frameIndex - b.frameIndex);
+  return { header, frames, events };
+}
+
+/**
+ * @typedef {Object} DumpOptions
+ * @property {{width: number, height: number}} videoSize - Image size the results
+ *   were detected on (landmarks are measured at this size)
+ * @property {{x: number, y: number}} focalLengthPx - Focal length at that size
+ * @property {number} frameRate - Frames per second, for entries without a timestampMs
+ * @property {boolean} [mirror] - Mirror the landmarks (default false)
+ */
+
+/**
+ * Wrap MediaPipe result dumps in a recording
+ * @param {Object[]} entries - FaceLandmarker results, or {timestampMs, faceResults} entries
+ * @param {DumpOptions} options - How the results were captured
+ * @returns {Recording} Recording (no events)
+ */
+export function recordingFromFaceResults(
+  entries,
+  { videoSize, focalLengthPx, frameRate, mirror = false }
+) {
+  const frames = entries.map((entry, i) => ({
+    timestampMs: Number.isFinite(entry.timestampMs) ? entry.timestampMs : (i * 1000) / frameRate,
+    displaySize: { width: videoSize.width, height: videoSize.height },
+    focalLengthPx: { x: focalLengthPx.x, y: focalLengthPx.y },
+    mirror,
+    faceResults: toPlainFaceResults(entry.faceResults || entry),
+  }));
+  return { header: createRecordingHeader({ videoSize }), frames, events: [] };
+}
+
+/**
+ * Parse a landmark file: a recording, or a MediaPipe result dump
+ * @param {string} text - File contents
+ * @param {DumpOptions} dumpOptions - How dumped results were captured (recordings
+ *   carry their own)
+ * @returns {Recording} Recording
+ * @throws {Error} If the text is neither
+ */
+export function parseLandmarkFile(text, dumpOptions) {
+  const parsed = parseJsonDocument(text);
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const isDump =
+    parsed != null &&
+    entries.length > 0 &&
+    entries.every((entry) => Array.isArray((entry?.faceResults || entry)?.faceLandmarks));
+  return isDump ? recordingFromFaceResults(entries, dumpOptions) : parseRecording(text);
+}
+
+/**
+ * Parse text as a single JSON value
+ * @param {string} text - Text
+ * @returns {*} Parsed value, or null if the text is not one JSON value (NDJSON)
+ */
+function parseJsonDocument(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
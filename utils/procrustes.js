@@ -0,0 +1,193 @@
+/**
+ * Similarity (Procrustes) fitting utilities
+ * @module utils/procrustes
+ *
+ * Solves for the scale, rotation and translation that best map one 3D point
+ * set onto another in the least-squares sense, using Horn's closed-form
+ * quaternion method.
+ */
+
+/** @typedef {{x: number, y: number, z: number}} Point3D */
+/** @typedef {number[][]} Matrix3 */
+
+const MAX_JACOBI_SWEEPS = 32;
+const EPSILON = 1e-12;
+
+/**
+ * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi rotations)
+ * @param {number[][]} matrix - Symmetric n x n matrix (not modified)
+ * @returns {{values: number[], vectors: number[][]}} Eigenvalues and column eigenvectors
+ */
+export function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row) => row.slice());
+  const v = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+  );
+
+  for (let sweep = 0; sweep < MAX_JACOBI_SWEEPS; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < EPSILON) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < EPSILON) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return { values: a.map((row, i) => row[i]), vectors: v };
+}
+
+/**
+ * Convert a unit quaternion (w, x, y, z) to a 3x3 rotation matrix
+ * @param {number[]} q - Quaternion components [w, x, y, z]
+ * @returns {Matrix3} Rotation matrix
+ */
+export function quaternionToMatrix([w, x, y, z]) {
+  return [
+    [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z],
+  ];
+}
+
+/**
+ * Apply a 3x3 matrix to a point
+ * @param {Matrix3} m - Matrix
+ * @param {Point3D} p - Point
+ * @returns {Point3D} Transformed point
+ */
+export function applyMatrix3(m, p) {
+  return {
+    x: m[0][0] * p.x + m[0][1] * p.y + m[0][2] * p.z,
+    y: m[1][0] * p.x + m[1][1] * p.y + m[1][2] * p.z,
+    z: m[2][0] * p.x + m[2][1] * p.y + m[2][2] * p.z,
+  };
+}
+
+/**
+ * Fit target ≈ scale * R * source + translation (Horn, 1987)
+ *
+ * @param {Point3D[]} source - Reference points
+ * @param {Point3D[]} target - Observed points (same length and order as source)
+ * @param {number[]} [weights] - Optional per-point weights
+ * @returns {{scale: number, rotation: Matrix3, translation: Point3D, rmsError: number}|null}
+ *   Transform and RMS residual in target units, or null if degenerate
+ */
+export function fitSimilarityTransform(source, target, weights = null) {
+  const n = Math.min(source?.length || 0, target?.length || 0);
+  if (n < 3) return null;
+
+  // Weighted centroids
+  let wSum = 0;
+  const cs = { x: 0, y: 0, z: 0 };
+  const ct = { x: 0, y: 0, z: 0 };
+  for (let i = 0; i < n; i++) {
+    const w = weights ? weights[i] : 1;
+    wSum += w;
+    cs.x += w * source[i].x;
+    cs.y += w * source[i].y;
+    cs.z += w * source[i].z;
+    ct.x += w * target[i].x;
+    ct.y += w * target[i].y;
+    ct.z += w * target[i].z;
+  }
+  if (wSum <= 0) return null;
+  for (const c of [cs, ct]) {
+    c.x /= wSum;
+    c.y /= wSum;
+    c.z /= wSum;
+  }
+
+  // Cross-covariance S[a][b] = sum w * source'_a * target'_b
+  const S = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  let sourceVariance = 0;
+  for (let i = 0; i < n; i++) {
+    const w = weights ? weights[i] : 1;
+    const a = [source[i].x - cs.x, source[i].y - cs.y, source[i].z - cs.z];
+    const b = [target[i].x - ct.x, target[i].y - ct.y, target[i].z - ct.z];
+    sourceVariance += w * (a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) S[r][c] += w * a[r] * b[c];
+    }
+  }
+  if (sourceVariance <= EPSILON) return null;
+
+  const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = S;
+  const N = [
+    [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+    [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+    [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+    [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz],
+  ];
+
+  // Optimal rotation is the eigenvector of the largest eigenvalue
+  const { values, vectors } = symmetricEigen(N);
+  let best = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[best]) best = i;
+  }
+  const q = vectors.map((row) => row[best]);
+  const qNorm = Math.hypot(...q) || 1;
+  const rotation = quaternionToMatrix(q.map((v) => v / qNorm));
+
+  const scale = values[best] / sourceVariance;
+  if (!Number.isFinite(scale) || scale <= 0) return null;
+
+  const rc = applyMatrix3(rotation, cs);
+  const translation = {
+    x: ct.x - scale * rc.x,
+    y: ct.y - scale * rc.y,
+    z: ct.z - scale * rc.z,
+  };
+
+  // Weighted RMS residual
+  let residual = 0;
+  for (let i = 0; i < n; i++) {
+    const w = weights ? weights[i] : 1;
+    const p = applyMatrix3(rotation, source[i]);
+    const dx = scale * p.x + translation.x - target[i].x;
+    const dy = scale * p.y + translation.y - target[i].y;
+    const dz = scale * p.z + translation.z - target[i].z;
+    residual += w * (dx * dx + dy * dy + dz * dz);
+  }
+
+  return {
+    scale,
+    rotation,
+    translation,
+    rmsError: Math.sqrt(residual / wSum),
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Robust statistics for aggregating measurements over many frames
+ * @module utils/statistics
+ */
+
+/**
+ * @typedef {Object} SampleSummary
+ * @property {number} median - Median of the kept samples
+ * @property {number} q1 - First quartile
+ * @property {number} q3 - Third quartile
+ * @property {number} iqr - Interquartile range (q3 - q1)
+ * @property {number} ciLow - Lower bound of the median confidence interval
+ * @property {number} ciHigh - Upper bound of the median confidence interval
+ * @property {number} count - Samples kept after outlier rejection
+ * @property {number} rejected - Samples rejected as outliers
+ */
+
+/**
+ * Quantile of sorted values (linear interpolation between order statistics)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} q - Quantile (0-1)
+ * @returns {number|null} Quantile or null if empty
+ */
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Median of a numeric array
+ * @param {number[]} values - Values
+ * @returns {number|null} Median or null if empty
+ */
+export function median(values) {
+  return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+/**
+ * Summarize samples: reject outliers outside Tukey fences, then report the
+ * median, quartiles and a distribution-free confidence interval for the median
+ *
+ * @param {number[]} values - Samples (non-finite entries are ignored)
+ * @param {Object} [options] - Options
+ * @param {number} [options.outlierIqrFactor=1.5] - Fence distance in IQRs
+ * @param {number} [options.confidenceZ=1.96] - Normal quantile of the interval (1.96 = 95%)
+ * @returns {SampleSummary|null} Summary or null if there are no samples
+ */
+export function summarizeSamples(values, options = {}) {
+  const { outlierIqrFactor = 1.5, confidenceZ = 1.96 } = options;
+  const all = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!all.length) return null;
+
+  const fenceQ1 = quantile(all, 0.25);
+  const fenceQ3 = quantile(all, 0.75);
+  const fence = (fenceQ3 - fenceQ1) * outlierIqrFactor;
+  const kept = all.filter((v) => v >= fenceQ1 - fence && v <= fenceQ3 + fence);
+
+  const q1 = quantile(kept, 0.25);
+  const q3 = quantile(kept, 0.75);
+
+  // Order-statistic ranks bracketing the median (binomial normal approximation)
+  const n = kept.length;
+  const halfWidth = (confidenceZ * Math.sqrt(n)) / 2;
+  const lowRank = Math.max(0, Math.floor(n / 2 - halfWidth) - 1);
+  const highRank = Math.min(n - 1, Math.ceil(n / 2 + halfWidth));
+
+  return {
+    median: quantile(kept, 0.5),
+    q1,
+    q3,
+    iqr: q3 - q1,
+    ciLow: kept[lowRank],
+    ciHigh: kept[highRank],
+    count: n,
+    rejected: all.length - n,
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * Temporal filters for per-frame signals (landmarks, iris diameter, distance,
+ * measurements). Every filter takes a value and a timestamp, so frame rate
+ * changes and dropped frames are handled the same way everywhere.
+ * @module utils/temporal-filters
+ */
+
+/**
+ * @typedef {Object} FilterParams
+ * @property {"oneEuro"|"kalman"|"none"} type - Filter type
+ * @property {number} [minCutoff] - One Euro: cutoff frequency at rest (Hz)
+ * @property {number} [beta] - One Euro: cutoff increase per unit/s of speed
+ * @property {number} [dCutoff] - One Euro: cutoff of the speed estimate (Hz)
+ * @property {number} [processNoise] - Kalman: acceleration noise density (units²/s³)
+ * @property {number} [measurementNoise] - Kalman: measurement variance (units²)
+ */
+
+// Interval used for the first step or when timestamps do not advance
+const DEFAULT_DT_S = 1 / 30;
+
+/**
+ * Seconds between two millisecond timestamps (DEFAULT_DT_S if not increasing)
+ */
+function elapsedSeconds(previousMs, timestampMs) {
+  const dt = (timestampMs - previousMs) / 1000;
+  return dt > 0 && Number.isFinite(dt) ? dt : DEFAULT_DT_S;
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012): a low-pass filter whose cutoff rises
+ * with speed, so slow drift is smoothed heavily and fast motion has little lag
+ */
+export class OneEuroFilter {
+  /**
+   * @param {FilterParams} params - minCutoff, beta and dCutoff
+   */
+  constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.speed = 0;
+    this.timestampMs = null;
+  }
+
+  /**
+   * Smoothing factor of a first-order low-pass filter
+   */
+  static alpha(cutoffHz, dt) {
+    const tau = 1 / (2 * Math.PI * cutoffHz);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * @param {number} value - New sample
+   * @param {number} timestampMs - Sample time in milliseconds
+   * @returns {number} Filtered value
+   */
+  filter(value, timestampMs) {
+    if (this.value == null) {
+      this.value = value;
+      this.timestampMs = timestampMs;
+      return value;
+    }
+
+    const dt = elapsedSeconds(this.timestampMs, timestampMs);
+    this.timestampMs = timestampMs;
+
+    const rawSpeed = (value - this.value) / dt;
+    this.speed += (rawSpeed - this.speed) * OneEuroFilter.alpha(this.dCutoff, dt);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+    this.value += (value - this.value) * OneEuroFilter.alpha(cutoff, dt);
+    return this.value;
+  }
+}
+
+/**
+ * Constant-velocity Kalman filter on a scalar: state [value, velocity],
+ * white-noise acceleration process model
+ */
+export class KalmanFilter {
+  /**
+   * @param {FilterParams} params - processNoise and measurementNoise
+   */
+  constructor({ processNoise = 1, measurementNoise = 1 } = {}) {
+    this.processNoise = processNoise;
+    this.measurementNoise = measurementNoise;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.velocity = 0;
+    this.covariance = null; // [p00, p01, p11]
+    this.timestampMs = null;
+  }
+
+  /**
+   * @param {number} value - New sample
+   * @param {number} timestampMs - Sample time in milliseconds
+   * @returns {number} Filtered value
+   */
+  filter(value, timestampMs) {
+    if (this.value == null) {
+      this.value = value;
+      this.velocity = 0;
+      this.covariance = [this.measurementNoise, 0, this.measurementNoise];
+      this.timestampMs = timestampMs;
+      return value;
+    }
+
+    const dt = elapsedSeconds(this.timestampMs, timestampMs);
+    this.timestampMs = timestampMs;
+
+    // Predict: x = F x, P = F P F' + Q
+    const q = this.processNoise;
+    let [p00, p01, p11] = this.covariance;
+    const predicted = this.value + this.velocity * dt;
+    p00 += dt * (2 * p01 + dt * p11) + (q * dt ** 3) / 3;
+    p01 += dt * p11 + (q * dt ** 2) / 2;
+    p11 += q * dt;
+
+    // Update with the measured value
+    const innovation = value - predicted;
+    const s = p00 + this.measurementNoise;
+    const k0 = p00 / s;
+    const k1 = p01 / s;
+    this.value = predicted + k0 * innovation;
+    this.velocity += k1 * innovation;
+    this.covariance = [(1 - k0) * p00, (1 - k0) * p01, p11 - k1 * p01];
+    return this.value;
+  }
+}
+
+/**
+ * Pass-through filter (type "none")
+ */
+class IdentityFilter {
+  reset() {}
+
+  filter(value) {
+    return value;
+  }
+}
+
+/**
+ * Create a scalar filter from its parameters
+ * @param {FilterParams|null} params - Filter parameters (null = pass-through)
+ * @returns {{filter: Function, reset: Function}} Filter instance
+ */
+export function createFilter(params) {
+  switch (params?.type) {
+    case "oneEuro":
+      return new OneEuroFilter(params);
+    case "kalman":
+      return new KalmanFilter(params);
+    case "none":
+    case undefined:
+      return new IdentityFilter();
+    default:
+      throw new Error(`Unknown filter type: ${params.type}`);
+  }
+}
+
+/**
+ * A set of scalar filters sharing one parameter set, created on first use
+ * of each key (e.g. one per measurement value)
+ */
+export class FilterBank {
+  /**
+   * @param {FilterParams|null} params - Parameters for every filter in the bank
+   */
+  constructor(params) {
+    this.params = params;
+    this.filters = new Map();
+  }
+
+  reset() {
+    this.filters.clear();
+  }
+
+  /**
+   * @param {string} key - Signal name
+   * @param {number} value - New sample (non-finite values pass through unfiltered)
+   * @param {number} timestampMs - Sample time in milliseconds
+   * @returns {number} Filtered value
+   */
+  filter(key, value, timestampMs) {
+    if (!Number.isFinite(value)) return value;
+    let filter = this.filters.get(key);
+    if (!filter) {
+      filter = createFilter(this.params);
+      this.filters.set(key, filter);
+    }
+    return filter.filter(value, timestampMs);
+  }
+
+  /**
+   * Filter the numeric top-level values of an object (points and other
+   * nested geometry are left as they are)
+   * @param {string} prefix - Key prefix for this object's signals
+   * @param {Object|null} values - Object with numeric values
+   * @param {number} timestampMs - Sample time in milliseconds
+   * @returns {Object|null} Copy with filtered values
+   */
+  filterValues(prefix, values, timestampMs) {
+    if (!values) return values;
+    const result = { ...values };
+    for (const [key, value] of Object.entries(values)) {
+      if (typeof value === "number") {
+        result[key] = this.filter(`${prefix}.${key}`, value, timestampMs);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Filters every coordinate of a landmark array
+ */
+export class LandmarkFilter {
+  /**
+   * @param {FilterParams|null} params - Parameters for every coordinate
+   */
+  constructor(params) {
+    this.params = params;
+    this.filters = null;
+  }
+
+  reset() {
+    this.filters = null;
+  }
+
+  /**
+   * @param {Array<{x: number, y: number, z: number}>} landmarks - Landmarks
+   * @param {number} timestampMs - Frame time in milliseconds
+   * @returns {Array<{x: number, y: number, z: number}>} Filtered copies
+   */
+  filter(landmarks, timestampMs) {
+    if (!landmarks) return landmarks;
+    if (!this.params || this.params.type === "none") return landmarks;
+    if (!this.filters || this.filters.length !== landmarks.length) {
+      this.filters = landmarks.map(() => ({
+        x: createFilter(this.params),
+        y: createFilter(this.params),
+        z: createFilter(this.params),
+      }));
+    }
+
+    return landmarks.map((lm, i) => {
+      const f = this.filters[i];
+      return {
+        ...lm,
+        x: f.x.filter(lm.x, timestampMs),
+        y: f.y.filter(lm.y, timestampMs),
+        z: f.z.filter(lm.z, timestampMs),
+      };
+    });
+  }
+}